@@ -0,0 +1,172 @@
+/* eslint-disable max-len */
+/**
+ * Server-side audit logging for admin and moderator callables
+ *
+ * Entries go to the `auditLog` collection the app also writes to, in the same
+ * shape (action, spotId, userId, userName, timestamp, changes, metadata), so
+ * the audit log viewer shows both. Server entries add:
+ * - targetType / targetIds: what the action touched (spots, sync sources,
+ *   users, ratings, ...)
+ * - request: caller metadata (callable name, IP, user agent, App Check)
+ * - source: "server", to tell them apart from client-written entries
+ *
+ * `changes` holds before/after values per field ({field: {from, to}}).
+ * Every callable that changes data logs through writeAuditLog; read-only
+ * callables don't. Logging never fails the action it records.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const AUDIT_LOG_COLLECTION = "auditLog";
+// Bookkeeping fields left out of diffs
+const IGNORED_DIFF_FIELDS = ["updatedAt"];
+
+/**
+ * Converts a Firestore value into plain data for an audit entry
+ * @param {*} value - Value from a document
+ * @return {*} JSON-friendly value (Timestamps become ISO strings)
+ */
+function toAuditValue(value) {
+  if (value === undefined) return null;
+  if (value === null || typeof value !== "object") return value;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof admin.firestore.GeoPoint) return {latitude: value.latitude, longitude: value.longitude};
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = toAuditValue(item);
+  }
+  return result;
+}
+
+/**
+ * Computes the field-level changes between two versions of a document
+ * @param {Object|null} before - Data before the action (null when created)
+ * @param {Object|null} after - Data after the action (null when deleted);
+ *   FieldValue.delete() counts as null, other FieldValue sentinels are skipped
+ * @param {string[]|null} fields - Fields to compare; defaults to all fields of both
+ * @return {Object} {field: {from, to}} for every changed field
+ */
+function diffFields(before, after, fields = null) {
+  const from = before || {};
+  const to = after || {};
+  const keys = fields || Array.from(new Set([...Object.keys(from), ...Object.keys(to)]));
+  const changes = {};
+  for (const key of keys) {
+    if (IGNORED_DIFF_FIELDS.includes(key)) continue;
+    const isDelete = to[key] instanceof admin.firestore.FieldValue && to[key].isEqual(admin.firestore.FieldValue.delete());
+    if (to[key] instanceof admin.firestore.FieldValue && !isDelete) continue;
+    const fromValue = toAuditValue(from[key]);
+    const toValue = after && !isDelete ? toAuditValue(to[key]) : null;
+    if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
+      changes[key] = {from: fromValue, to: toValue};
+    }
+  }
+  return changes;
+}
+
+/**
+ * Extracts caller metadata from a callable request
+ * @param {Object} request - Callable request
+ * @param {string} functionName - Name of the callable
+ * @return {Object} {function, ip, userAgent, appCheck}
+ */
+function requestMetadata(request, functionName) {
+  const raw = request.rawRequest || {};
+  const headers = raw.headers || {};
+  const forwardedFor = typeof headers["x-forwarded-for"] === "string" ?
+    headers["x-forwarded-for"].split(",")[0].trim() :
+    null;
+  return {
+    function: functionName,
+    ip: forwardedFor || raw.ip || null,
+    userAgent: headers["user-agent"] || null,
+    appCheck: Boolean(request.app),
+  };
+}
+
+/**
+ * Builds an audit log entry
+ * @param {Object} request - Callable request (provides the actor)
+ * @param {string} functionName - Name of the callable
+ * @param {Object} entry - {action, spotId, targetType, targetIds, changes, metadata}
+ * @return {Object} Document data
+ */
+function buildAuditEntry(request, functionName, {action, spotId = null, targetType = null, targetIds = [], changes = null, metadata = null}) {
+  const auth = request.auth || null;
+  const token = (auth && auth.token) || {};
+  const data = {
+    action: action,
+    // The app expects a string here, also for entries not about a spot
+    spotId: spotId || "",
+    targetType: targetType || (spotId ? "spot" : null),
+    targetIds: targetIds.length > 0 ? targetIds : (spotId ? [spotId] : []),
+    userId: auth ? auth.uid : null,
+    userName: token.name || token.email || null,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    source: "server",
+    request: requestMetadata(request, functionName),
+  };
+  if (changes && Object.keys(changes).length > 0) data.changes = changes;
+  if (metadata) data.metadata = toAuditValue(metadata);
+  return data;
+}
+
+/**
+ * Records an admin or moderator action
+ * @param {Object} request - Callable request (provides the actor)
+ * @param {string} functionName - Name of the callable
+ * @param {Object} entry - {action, spotId, targetType, targetIds, changes, metadata, id}; pass `id`
+ *   to use a pre-allocated document id
+ * @return {Promise<string|null>} Audit log entry id, or null if logging failed
+ */
+async function writeAuditLog(request, functionName, entry) {
+  try {
+    const collection = db.collection(AUDIT_LOG_COLLECTION);
+    const ref = entry.id ? collection.doc(entry.id) : collection.doc();
+    await ref.set(buildAuditEntry(request, functionName, entry));
+    return ref.id;
+  } catch (e) {
+    console.error(`Failed to write audit log for ${functionName}`, entry.action, e);
+    return null;
+  }
+}
+
+/**
+ * Records one action per target, e.g. a bulk delete with one entry per spot
+ * so every spot's history shows it
+ * @param {Object} request - Callable request (provides the actor)
+ * @param {string} functionName - Name of the callable
+ * @param {Array<Object>} entries - Entries as for writeAuditLog
+ * @return {Promise<number>} Number of entries written
+ */
+async function writeAuditLogs(request, functionName, entries) {
+  const BATCH_SIZE = 400;
+  let written = 0;
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const chunk = entries.slice(i, i + BATCH_SIZE);
+    try {
+      const batch = db.batch();
+      chunk.forEach((entry) => {
+        batch.set(db.collection(AUDIT_LOG_COLLECTION).doc(), buildAuditEntry(request, functionName, entry));
+      });
+      await batch.commit();
+      written += chunk.length;
+    } catch (e) {
+      console.error(`Failed to write audit logs for ${functionName}`, e);
+    }
+  }
+  return written;
+}
+
+module.exports = {
+  AUDIT_LOG_COLLECTION,
+  toAuditValue,
+  diffFields,
+  writeAuditLog,
+  writeAuditLogs,
+};
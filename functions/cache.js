@@ -0,0 +1,301 @@
+/* eslint-disable max-len */
+/**
+ * Response caching helpers for Firebase Cloud Functions
+ *
+ * Map endpoints are called on every pan, so their responses are cached:
+ * - In instance memory (LRU with TTL), always
+ * - Optionally in the `responseCache` collection, shared between instances
+ *
+ * Entries for bounds are tagged with the "generations" of the coarse geohash
+ * cells (GENERATION_CELL_PRECISION) covering them: counters in
+ * `cacheState/spots/cells/{cell}` that spot triggers bump when a spot in the
+ * cell changes (including rating aggregate updates). An entry is never
+ * served once one of its cells moved on, and writes elsewhere leave it
+ * alone. Bounds too wide for MAX_GENERATION_CELLS cells aren't tagged and
+ * only live for WIDE_BOUNDS_TTL_MS.
+ *
+ * Bounds are quantized for the cache key only (quantizeBounds): responses are
+ * computed for the quantized bounds and callers clip them to the requested ones.
+ */
+
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+
+const {computeLongitudeRanges, encodeGeohash, geohashesForBounds} = require("./geo");
+
+const db = admin.firestore();
+
+const CACHE_STATE_COLLECTION = "cacheState";
+const SPOTS_GENERATION_DOC = "spots";
+const GENERATION_CELLS_COLLECTION = "cells";
+const PERSISTENT_CACHE_COLLECTION = "responseCache";
+
+const MEMORY_MAX_ENTRIES = 500;
+const MEMORY_TTL_MS = 60 * 1000;
+const PERSISTENT_TTL_MS = 10 * 60 * 1000;
+// Untagged entries for bounds wider than MAX_GENERATION_CELLS cells
+const WIDE_BOUNDS_TTL_MS = 60 * 1000;
+// How long an instance trusts its last read of a generation counter
+const GENERATION_TTL_MS = 5 * 1000;
+// Generation cells are about 156km wide, so a sync in one city doesn't
+// invalidate the rest of the map or contend on a single counter
+const GENERATION_CELL_PRECISION = 3;
+const MAX_GENERATION_CELLS = 16;
+// Quantized bounds use a grid of about 1/32 of the viewport span
+const BOUNDS_GRID_DIVISIONS = 32;
+
+/**
+ * Small in-memory LRU cache with per-entry expiry
+ */
+class MemoryCache {
+  /**
+   * @param {number} maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @return {*} Cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, {value, expiresAt: Date.now() + ttlMs});
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+const memoryCache = new MemoryCache(MEMORY_MAX_ENTRIES);
+
+/**
+ * Memoizes an async value in instance memory, e.g. a settings document
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @param {Function} loader - Async function producing the value
+ * @return {Promise<*>} The cached or freshly loaded value
+ */
+async function getCachedValue(key, ttlMs, loader) {
+  const memoKey = `value:${key}`;
+  const cached = memoryCache.get(memoKey);
+  if (cached !== undefined) return cached;
+  const value = await loader();
+  memoryCache.set(memoKey, value, ttlMs);
+  return value;
+}
+
+/**
+ * Generation counter document of a cell
+ * @param {string} cell - Geohash at GENERATION_CELL_PRECISION
+ * @return {FirebaseFirestore.DocumentReference} Counter document
+ */
+function generationCellRef(cell) {
+  return db.collection(CACHE_STATE_COLLECTION).doc(SPOTS_GENERATION_DOC)
+      .collection(GENERATION_CELLS_COLLECTION).doc(cell);
+}
+
+/**
+ * Generation cells covering bounds
+ * @param {Object} bounds - {minLat, maxLat, minLng, maxLng}
+ * @return {string[]|null} Cells, or null if the bounds need more than MAX_GENERATION_CELLS
+ */
+function generationCellsForBounds({minLat, maxLat, minLng, maxLng}) {
+  const {ranges} = computeLongitudeRanges(minLng, maxLng);
+  const cells = geohashesForBounds(minLat, maxLat, ranges, GENERATION_CELL_PRECISION, MAX_GENERATION_CELLS);
+  return cells ? cells.sort() : null;
+}
+
+/**
+ * Returns the generation tag of a set of cells
+ * @param {string[]} cells - Generation cells
+ * @return {Promise<string>} Tag that changes whenever one of the cells is bumped
+ */
+async function getCellsGeneration(cells) {
+  const generations = new Map();
+  const unknown = [];
+  for (const cell of cells) {
+    const cached = memoryCache.get(`generation:${cell}`);
+    if (cached !== undefined) {
+      generations.set(cell, cached);
+    } else {
+      unknown.push(cell);
+    }
+  }
+  if (unknown.length > 0) {
+    const snaps = await db.getAll(...unknown.map(generationCellRef));
+    snaps.forEach((snap, i) => {
+      const value = snap.exists && typeof snap.data().generation === "number" ? snap.data().generation : 0;
+      generations.set(unknown[i], value);
+      memoryCache.set(`generation:${unknown[i]}`, value, GENERATION_TTL_MS);
+    });
+  }
+  return cells.map((cell) => `${cell}:${generations.get(cell)}`).join(",");
+}
+
+/**
+ * Invalidates cached responses covering the given spot positions, e.g. a
+ * spot before and after an update
+ * @param {Array<Object>} spots - Spot data ({latitude, longitude}); entries
+ *   without coordinates are ignored
+ * @return {Promise<void>}
+ */
+async function bumpSpotCells(spots) {
+  const cells = new Set();
+  for (const spot of spots) {
+    if (spot && typeof spot.latitude === "number" && typeof spot.longitude === "number") {
+      cells.add(encodeGeohash(spot.latitude, spot.longitude, GENERATION_CELL_PRECISION));
+    }
+  }
+  if (cells.size === 0) return;
+  const batch = db.batch();
+  for (const cell of cells) {
+    batch.set(generationCellRef(cell), {
+      generation: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+  }
+  await batch.commit();
+  // This instance sees its own writes immediately
+  for (const cell of cells) {
+    memoryCache.delete(`generation:${cell}`);
+  }
+}
+
+/**
+ * Expands bounds outward to a grid proportional to the viewport size, so
+ * nearby pans at the same zoom share cache entries. The result is a cache
+ * key: responses computed for it cover more than the requested bounds.
+ * @param {number} minLat - Southern edge
+ * @param {number} maxLat - Northern edge
+ * @param {number} minLng - Western edge (may exceed maxLng across the dateline)
+ * @param {number} maxLng - Eastern edge
+ * @return {{minLat: number, maxLat: number, minLng: number, maxLng: number}} Quantized bounds
+ */
+function quantizeBounds(minLat, maxLat, minLng, maxLng) {
+  const gridStep = (span) => {
+    const raw = Math.max(span, 1e-6) / BOUNDS_GRID_DIVISIONS;
+    return Math.pow(2, Math.floor(Math.log2(raw)));
+  };
+
+  const latStep = gridStep(maxLat - minLat);
+  let lngSpan = maxLng - minLng;
+  if (lngSpan < 0) lngSpan += 360; // Crosses the dateline
+  const lngStep = gridStep(lngSpan);
+
+  return {
+    minLat: Math.max(-90, Math.floor(minLat / latStep) * latStep),
+    maxLat: Math.min(90, Math.ceil(maxLat / latStep) * latStep),
+    minLng: Math.floor(minLng / lngStep) * lngStep,
+    maxLng: Math.ceil(maxLng / lngStep) * lngStep,
+  };
+}
+
+/**
+ * Serializes parameters with sorted keys so equal requests share a key
+ * @param {*} value - Parameters
+ * @return {string} Stable JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+        .filter((k) => value[k] !== undefined)
+        .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+        .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Returns a cached response for the given parameters, computing and storing
+ * it on a miss
+ * @param {string} namespace - Endpoint name
+ * @param {Object} params - Normalized request parameters
+ * @param {Function} compute - Async function producing the response payload
+ * @param {Object} options - {bounds: {minLat, maxLat, minLng, maxLng} the
+ *   response covers, persistent: also use the shared Firestore cache}
+ * @return {Promise<Object>} {value, cache: {hit, source}} where source is "memory", "firestore" or null
+ */
+async function getCachedResponse(namespace, params, compute, {bounds, persistent = false}) {
+  const key = crypto.createHash("sha256")
+      .update(`${namespace}|${stableStringify(params)}`)
+      .digest("hex");
+  const cells = generationCellsForBounds(bounds);
+  const generation = cells ? await getCellsGeneration(cells) : null;
+  const memoryTtlMs = cells ? MEMORY_TTL_MS : Math.min(MEMORY_TTL_MS, WIDE_BOUNDS_TTL_MS);
+  const persistentTtlMs = cells ? PERSISTENT_TTL_MS : WIDE_BOUNDS_TTL_MS;
+
+  const memoryEntry = memoryCache.get(key);
+  if (memoryEntry && memoryEntry.generation === generation) {
+    return {value: memoryEntry.value, cache: {hit: true, source: "memory"}};
+  }
+
+  const persistentRef = db.collection(PERSISTENT_CACHE_COLLECTION).doc(key);
+  if (persistent) {
+    try {
+      const snap = await persistentRef.get();
+      const data = snap.exists ? snap.data() : null;
+      if (data && data.generation === generation && data.expiresAt && data.expiresAt.toMillis() > Date.now()) {
+        const value = JSON.parse(data.payload);
+        memoryCache.set(key, {generation, value}, memoryTtlMs);
+        return {value, cache: {hit: true, source: "firestore"}};
+      }
+    } catch (e) {
+      console.warn(`Failed to read ${namespace} response cache`, e);
+    }
+  }
+
+  const value = await compute();
+  memoryCache.set(key, {generation, value}, memoryTtlMs);
+
+  if (persistent) {
+    try {
+      await persistentRef.set({
+        namespace,
+        generation,
+        payload: JSON.stringify(value),
+        // Also usable as a Firestore TTL policy field
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + persistentTtlMs),
+      });
+    } catch (e) {
+      console.warn(`Failed to write ${namespace} response cache`, e);
+    }
+  }
+
+  return {value, cache: {hit: false, source: null}};
+}
+
+module.exports = {
+  getCachedValue,
+  getCachedResponse,
+  bumpSpotCells,
+  quantizeBounds,
+};
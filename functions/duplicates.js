@@ -0,0 +1,216 @@
+/* eslint-disable max-len */
+/**
+ * Duplicate spot detection for Firebase Cloud Functions
+ *
+ * New spots (onSpotCreated) and spots changed by a sync are compared with
+ * nearby spots and with spots sharing an image (`imageHashes` are content
+ * hashes, so the same photo imported from two sources matches). Candidates
+ * are scored by:
+ * - Distance, within DUPLICATE_RADIUS_METERS
+ * - Name similarity (ASCII-folded, see nameSimilarity in utils.js)
+ * - Shared image hashes
+ *
+ * Spots of the same sync source are only candidates when they share an
+ * image: a source lists each spot once, so its neighbouring pins are separate
+ * spots, not copies.
+ *
+ * Likely duplicates are written to the `duplicateSuggestions` moderator
+ * queue, one document per pair of spots. Moderators confirm a suggestion,
+ * which sets `duplicateOf` on the duplicate, or dismiss it; reviewed pairs
+ * are never suggested again.
+ */
+
+const admin = require("firebase-admin");
+
+const {nameSimilarity} = require("./utils");
+const {
+  boundsAroundPoint,
+  computeLongitudeRanges,
+  coverBoundsWithGeohashes,
+  distanceMeters,
+} = require("./geo");
+
+const db = admin.firestore();
+
+const DUPLICATE_SUGGESTIONS_COLLECTION = "duplicateSuggestions";
+
+const SUGGESTION_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  DISMISSED: "dismissed",
+};
+
+// Spots further apart than this only match through shared images
+const DUPLICATE_RADIUS_METERS = 150;
+// Pins this close are almost always the same spot, whatever their names
+const SAME_PLACE_METERS = 10;
+const MAX_NEARBY_CANDIDATES = 200;
+const MAX_IMAGE_CANDIDATES = 50;
+// array-contains-any accepts at most 30 values
+const MAX_QUERY_HASHES = 30;
+const MAX_SUGGESTIONS_PER_SPOT = 5;
+
+const DISTANCE_WEIGHT = 0.4;
+const NAME_WEIGHT = 0.45;
+const IMAGE_WEIGHT = 0.15;
+const MIN_SUGGESTION_SCORE = 0.6;
+
+const CANDIDATE_FIELDS = [
+  "name",
+  "latitude",
+  "longitude",
+  "imageHashes",
+  "duplicateOf",
+  "hidden",
+  "spotSource",
+  "spotSourceName",
+];
+
+/**
+ * Scores how likely two spots are the same place
+ * @param {Object} spot - Spot data
+ * @param {Object} candidate - Candidate spot data
+ * @return {Object} {score, distanceMeters, nameSimilarity, sharedImageHashes};
+ *   distanceMeters is null if either spot has no coordinates
+ */
+function scoreDuplicateCandidate(spot, candidate) {
+  const hasCoordinates = (s) => typeof s.latitude === "number" && typeof s.longitude === "number";
+  const distance = hasCoordinates(spot) && hasCoordinates(candidate) ?
+    distanceMeters(spot.latitude, spot.longitude, candidate.latitude, candidate.longitude) :
+    null;
+  const distanceScore = distance !== null && distance <= DUPLICATE_RADIUS_METERS ?
+    1 - distance / DUPLICATE_RADIUS_METERS :
+    0;
+  const similarity = nameSimilarity(spot.name, candidate.name);
+  const hashes = new Set(Array.isArray(spot.imageHashes) ? spot.imageHashes : []);
+  const sharedImageHashes = (Array.isArray(candidate.imageHashes) ? candidate.imageHashes : [])
+      .filter((hash) => hashes.has(hash)).length;
+
+  let score = DISTANCE_WEIGHT * distanceScore + NAME_WEIGHT * similarity +
+    IMAGE_WEIGHT * (sharedImageHashes > 0 ? 1 : 0);
+  if (sharedImageHashes > 0) score = Math.max(score, 0.9);
+  if (distance !== null && distance <= SAME_PLACE_METERS) score = Math.max(score, 0.65);
+
+  return {
+    score: Number(score.toFixed(4)),
+    distanceMeters: distance !== null ? Math.round(distance) : null,
+    nameSimilarity: Number(similarity.toFixed(4)),
+    sharedImageHashes,
+  };
+}
+
+/**
+ * Finds likely duplicates of a spot
+ * @param {string} spotId - Spot document id
+ * @param {Object} spot - Spot data
+ * @return {Promise<Array<Object>>} Candidates ({id, data, ...score}), best first
+ */
+async function findDuplicateCandidates(spotId, spot) {
+  const queries = [];
+  if (typeof spot.latitude === "number" && typeof spot.longitude === "number") {
+    const box = boundsAroundPoint(spot.latitude, spot.longitude, DUPLICATE_RADIUS_METERS);
+    const {ranges: lngRanges} = computeLongitudeRanges(box.minLng, box.maxLng);
+    const cover = coverBoundsWithGeohashes(box.minLat, box.maxLat, lngRanges);
+    if (cover) {
+      queries.push(db.collection("spots")
+          .where("geohashes", "array-contains-any", cover.cells)
+          .select(...CANDIDATE_FIELDS)
+          .limit(MAX_NEARBY_CANDIDATES)
+          .get());
+    }
+  }
+  const hashes = Array.isArray(spot.imageHashes) ? spot.imageHashes.filter((h) => typeof h === "string" && h) : [];
+  if (hashes.length > 0) {
+    queries.push(db.collection("spots")
+        .where("imageHashes", "array-contains-any", hashes.slice(0, MAX_QUERY_HASHES))
+        .select(...CANDIDATE_FIELDS)
+        .limit(MAX_IMAGE_CANDIDATES)
+        .get());
+  }
+
+  const candidates = new Map();
+  for (const snap of await Promise.all(queries)) {
+    for (const doc of snap.docs) {
+      if (doc.id === spotId || candidates.has(doc.id)) continue;
+      const data = doc.data();
+      // Suggest the canonical spot, not another copy of it
+      if (data.duplicateOf) continue;
+      const scored = scoreDuplicateCandidate(spot, data);
+      const sameSource = Boolean(spot.spotSource) && spot.spotSource === data.spotSource;
+      if (sameSource && scored.sharedImageHashes === 0) continue;
+      if (scored.score >= MIN_SUGGESTION_SCORE) {
+        candidates.set(doc.id, {id: doc.id, data, ...scored});
+      }
+    }
+  }
+
+  return Array.from(candidates.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS_PER_SPOT);
+}
+
+/**
+ * Document id of the suggestion for a pair of spots (order independent)
+ * @param {string} a - Spot id
+ * @param {string} b - Spot id
+ * @return {string} Suggestion document id
+ */
+function suggestionIdFor(a, b) {
+  return a < b ? `${a}_${b}` : `${b}_${a}`;
+}
+
+/**
+ * Detects duplicates of a spot and queues them for moderator review
+ * @param {string} spotId - Spot document id
+ * @param {Object} spot - Spot data
+ * @param {Object} options - {detectedBy: "spotCreated" or "sync"}
+ * @return {Promise<number>} Number of suggestions written or refreshed
+ */
+async function detectSpotDuplicates(spotId, spot, {detectedBy = "spotCreated"} = {}) {
+  if (!spot || spot.duplicateOf) return 0;
+
+  const candidates = await findDuplicateCandidates(spotId, spot);
+  let written = 0;
+  for (const candidate of candidates) {
+    const ref = db.collection(DUPLICATE_SUGGESTIONS_COLLECTION).doc(suggestionIdFor(spotId, candidate.id));
+    const wrote = await db.runTransaction(async (tx) => {
+      const existing = await tx.get(ref);
+      // Reviewed pairs stay reviewed
+      if (existing.exists && existing.data().status !== SUGGESTION_STATUS.PENDING) return false;
+
+      const data = {
+        spotIds: [spotId, candidate.id],
+        spotId: spotId,
+        candidateId: candidate.id,
+        spotName: spot.name || null,
+        candidateName: candidate.data.name || null,
+        spotSource: spot.spotSource || null,
+        candidateSource: candidate.data.spotSource || null,
+        score: candidate.score,
+        signals: {
+          distanceMeters: candidate.distanceMeters,
+          nameSimilarity: candidate.nameSimilarity,
+          sharedImageHashes: candidate.sharedImageHashes,
+        },
+        status: SUGGESTION_STATUS.PENDING,
+        detectedBy: detectedBy,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (!existing.exists) {
+        data.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      tx.set(ref, data, {merge: true});
+      return true;
+    });
+    if (wrote) written++;
+  }
+  return written;
+}
+
+module.exports = {
+  DUPLICATE_SUGGESTIONS_COLLECTION,
+  SUGGESTION_STATUS,
+  scoreDuplicateCandidate,
+  suggestionIdFor,
+  detectSpotDuplicates,
+};
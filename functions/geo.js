@@ -0,0 +1,314 @@
+/* eslint-disable max-len */
+/**
+ * Geospatial helpers for Firebase Cloud Functions
+ *
+ * Spots carry a geohash (full precision) plus an array of geohash prefixes
+ * ("geohashes") so that map queries can cover a viewport with a handful of
+ * cells using a single array-contains-any filter, instead of range filters on
+ * latitude and longitude.
+ */
+
+const GEOHASH_BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+// Precision of the stored `geohash` string (~5m cells)
+const GEOHASH_PRECISION = 9;
+
+// Prefixes 1..GEOHASH_INDEX_PRECISION are stored in `geohashes` (~150m cells at 7)
+const GEOHASH_INDEX_PRECISION = 7;
+
+// Firestore limit for array-contains-any / in filters
+const MAX_QUERY_CELLS = 30;
+
+/**
+ * Encodes a coordinate into a geohash string
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} precision - Number of geohash characters
+ * @return {string} The geohash
+ */
+function encodeGeohash(latitude, longitude, precision = GEOHASH_PRECISION) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let hash = "";
+  let bit = 0;
+  let ch = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (longitude >= mid) {
+        ch = (ch << 1) | 1;
+        lngMin = mid;
+      } else {
+        ch = ch << 1;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (latitude >= mid) {
+        ch = (ch << 1) | 1;
+        latMin = mid;
+      } else {
+        ch = ch << 1;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bit === 5) {
+      hash += GEOHASH_BASE32.charAt(ch);
+      bit = 0;
+      ch = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Decodes a geohash into its bounding box
+ * @param {string} hash - The geohash
+ * @return {{minLat: number, maxLat: number, minLng: number, maxLng: number}} Cell bounds
+ */
+function decodeGeohashBounds(hash) {
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let evenBit = true;
+
+  for (const c of String(hash).toLowerCase()) {
+    const idx = GEOHASH_BASE32.indexOf(c);
+    if (idx === -1) throw new Error(`Invalid geohash: ${hash}`);
+    for (let n = 4; n >= 0; n--) {
+      const bitN = (idx >> n) & 1;
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (bitN === 1) lngMin = mid;
+        else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (bitN === 1) latMin = mid;
+        else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+  return {minLat: latMin, maxLat: latMax, minLng: lngMin, maxLng: lngMax};
+}
+
+/**
+ * Returns the cell size in degrees for a geohash precision
+ * @param {number} precision - Number of geohash characters
+ * @return {{latHeight: number, lngWidth: number}} Cell dimensions
+ */
+function geohashCellSize(precision) {
+  const bits = precision * 5;
+  const lngBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return {
+    latHeight: 180 / Math.pow(2, latBits),
+    lngWidth: 360 / Math.pow(2, lngBits),
+  };
+}
+
+/**
+ * Builds the geo fields stored on spot documents
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @return {Object} {geohash, geohashes}, or an empty object for invalid coordinates
+ */
+function buildSpotGeoFields(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return {};
+  const geohash = encodeGeohash(latitude, longitude, GEOHASH_PRECISION);
+  const geohashes = [];
+  for (let p = 1; p <= GEOHASH_INDEX_PRECISION; p++) {
+    geohashes.push(geohash.substring(0, p));
+  }
+  return {geohash, geohashes};
+}
+
+/**
+ * Normalizes a longitude value to the [-180, 180] range
+ * @param {number} lng - Longitude in degrees
+ * @return {number} Normalized longitude
+ */
+function normalizeLongitude(lng) {
+  return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Splits a viewport longitude span into one or two non-wrapping ranges,
+ * handling dateline crossing and viewports spanning the entire globe.
+ * @param {number} minLng - Western edge of the viewport
+ * @param {number} maxLng - Eastern edge of the viewport
+ * @return {{ranges: Array<Array<number>>, crossesDateline: boolean, spansEntireGlobe: boolean}}
+ */
+function computeLongitudeRanges(minLng, maxLng) {
+  const normalizedMinLng = normalizeLongitude(minLng);
+  const normalizedMaxLng = normalizeLongitude(maxLng);
+
+  // Both bounds normalizing to the same value indicates a full 360-degree wrap
+  let spansEntireGlobe = normalizedMinLng === normalizedMaxLng;
+  if (!spansEntireGlobe && normalizedMinLng <= normalizedMaxLng) {
+    // Raw span >= 360 means the viewport shows the entire globe or more
+    spansEntireGlobe = maxLng - minLng >= 360;
+  }
+
+  if (spansEntireGlobe) {
+    return {ranges: [[-180, 180]], crossesDateline: false, spansEntireGlobe: true};
+  }
+  if (normalizedMinLng > normalizedMaxLng) {
+    return {
+      ranges: [[normalizedMinLng, 180], [-180, normalizedMaxLng]],
+      crossesDateline: true,
+      spansEntireGlobe: false,
+    };
+  }
+  return {
+    ranges: [[normalizedMinLng, normalizedMaxLng]],
+    crossesDateline: false,
+    spansEntireGlobe: false,
+  };
+}
+
+/**
+ * Checks whether a coordinate lies inside a latitude range and any of the
+ * given longitude ranges
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} minLat - Southern edge
+ * @param {number} maxLat - Northern edge
+ * @param {Array<Array<number>>} lngRanges - Ranges from computeLongitudeRanges
+ * @return {boolean} True if inside
+ */
+function isWithinBounds(latitude, longitude, minLat, maxLat, lngRanges) {
+  if (typeof latitude !== "number" || typeof longitude !== "number") return false;
+  if (latitude < minLat || latitude > maxLat) return false;
+  return lngRanges.some(([lo, hi]) => longitude >= lo && longitude <= hi);
+}
+
+/**
+ * Lists the geohash cells of a given precision that intersect the bounds
+ * @param {number} minLat - Southern edge
+ * @param {number} maxLat - Northern edge
+ * @param {Array<Array<number>>} lngRanges - Ranges from computeLongitudeRanges
+ * @param {number} precision - Geohash precision
+ * @param {number} maxCells - Stop and return null once this many cells are exceeded
+ * @return {string[]|null} Cells, or null if more than maxCells are needed
+ */
+function geohashesForBounds(minLat, maxLat, lngRanges, precision, maxCells = Infinity) {
+  const {latHeight, lngWidth} = geohashCellSize(precision);
+  const latCells = Math.round(180 / latHeight);
+  const lngCells = Math.round(360 / lngWidth);
+  const clampIndex = (i, n) => Math.max(0, Math.min(n - 1, i));
+
+  const latStart = clampIndex(Math.floor((Math.max(-90, minLat) + 90) / latHeight), latCells);
+  const latEnd = clampIndex(Math.floor((Math.min(90, maxLat) + 90) / latHeight), latCells);
+
+  const cells = new Set();
+  for (const [lo, hi] of lngRanges) {
+    const lngStart = clampIndex(Math.floor((lo + 180) / lngWidth), lngCells);
+    const lngEnd = clampIndex(Math.floor((hi + 180) / lngWidth), lngCells);
+    for (let y = latStart; y <= latEnd; y++) {
+      for (let x = lngStart; x <= lngEnd; x++) {
+        const centerLat = -90 + (y + 0.5) * latHeight;
+        const centerLng = -180 + (x + 0.5) * lngWidth;
+        cells.add(encodeGeohash(centerLat, centerLng, precision));
+        if (cells.size > maxCells) return null;
+      }
+    }
+  }
+  return Array.from(cells);
+}
+
+/**
+ * Covers bounds with the finest geohash precision that needs at most
+ * maxCells cells
+ * @param {number} minLat - Southern edge
+ * @param {number} maxLat - Northern edge
+ * @param {Array<Array<number>>} lngRanges - Ranges from computeLongitudeRanges
+ * @param {number} maxCells - Maximum number of cells (defaults to the Firestore filter limit)
+ * @param {number} maxPrecision - Finest precision to consider
+ * @return {{precision: number, cells: string[]}|null} Cover, or null if even precision 1 needs too many cells
+ */
+function coverBoundsWithGeohashes(minLat, maxLat, lngRanges, maxCells = MAX_QUERY_CELLS, maxPrecision = GEOHASH_INDEX_PRECISION) {
+  const latSpan = Math.max(0, maxLat - minLat);
+  const lngSpan = lngRanges.reduce((sum, [lo, hi]) => sum + Math.max(0, hi - lo), 0);
+
+  for (let precision = maxPrecision; precision >= 1; precision--) {
+    // Cheap estimate first so we never enumerate huge fine-grained covers
+    const {latHeight, lngWidth} = geohashCellSize(precision);
+    const estimate = (Math.ceil(latSpan / latHeight) + 1) *
+      (Math.ceil(lngSpan / lngWidth) + lngRanges.length);
+    if (estimate > maxCells * 4) continue;
+
+    const cells = geohashesForBounds(minLat, maxLat, lngRanges, precision, maxCells);
+    if (cells) return {precision, cells};
+  }
+  return null;
+}
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance between two coordinates (haversine)
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @return {number} Distance in metres
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Bounding box around a point. Longitudes may fall outside [-180, 180] when
+ * the box crosses the antimeridian; pass them through computeLongitudeRanges.
+ * @param {number} latitude - Center latitude
+ * @param {number} longitude - Center longitude
+ * @param {number} radiusMeters - Radius in metres
+ * @return {{minLat: number, maxLat: number, minLng: number, maxLng: number}} Bounds
+ */
+function boundsAroundPoint(latitude, longitude, radiusMeters) {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const minLat = Math.max(-90, latitude - latDelta);
+  const maxLat = Math.min(90, latitude + latDelta);
+
+  // Near the poles the box covers every longitude
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  if (minLat <= -90 || maxLat >= 90 || cosLat < 1e-6) {
+    return {minLat, maxLat, minLng: -180, maxLng: 180};
+  }
+  const lngDelta = latDelta / cosLat;
+  if (lngDelta >= 180) {
+    return {minLat, maxLat, minLng: -180, maxLng: 180};
+  }
+  return {minLat, maxLat, minLng: longitude - lngDelta, maxLng: longitude + lngDelta};
+}
+
+module.exports = {
+  GEOHASH_PRECISION,
+  GEOHASH_INDEX_PRECISION,
+  MAX_QUERY_CELLS,
+  encodeGeohash,
+  decodeGeohashBounds,
+  geohashCellSize,
+  buildSpotGeoFields,
+  normalizeLongitude,
+  computeLongitudeRanges,
+  isWithinBounds,
+  geohashesForBounds,
+  coverBoundsWithGeohashes,
+  distanceMeters,
+  boundsAroundPoint,
+};
@@ -14,12 +14,15 @@
 
 const {onCall, onRequest} = require("firebase-functions/v2/https");
 const {onSchedule} = require("firebase-functions/v2/scheduler");
+const {onTaskDispatched} = require("firebase-functions/v2/tasks");
 const {
   onDocumentCreated,
   onDocumentUpdated,
   onDocumentDeleted,
+  onDocumentWritten,
 } = require("firebase-functions/v2/firestore");
 const admin = require("firebase-admin");
+const {getFunctions} = require("firebase-admin/functions");
 const sharp = require("sharp");
 const yauzl = require("yauzl");
 const xml2js = require("xml2js");
@@ -65,11 +68,170 @@ function getCountryNameWithArticle(countryCode, withArticle = true) {
 }
 
 // Import shared utilities
-const {normalizeToAscii, slugify, formatDateToISO} = require("./utils");
+const {normalizeToAscii, slugify} = require("./utils");
 
 // Import shared HTML template
 const {generateHtmlPage} = require("./html-template");
 
+// Import shared spot query helpers
+const {
+  SPOT_LIST_PROJECTION,
+  applyAttributeFilterClauses,
+  applySpotFilters,
+  attributeIndexUpToDate,
+  buildSpotAttributeIndex,
+  decodeSpotCursor,
+  encodeSpotCursor,
+  normalizeAttributeFilters,
+  normalizeSpotTimestamps,
+  spotListFieldsChanged,
+  spotMatchesAttributeFilters,
+} = require("./spot-queries");
+
+// Import geospatial helpers
+const {
+  GEOHASH_INDEX_PRECISION,
+  boundsAroundPoint,
+  buildSpotGeoFields,
+  computeLongitudeRanges,
+  coverBoundsWithGeohashes,
+  decodeGeohashBounds,
+  distanceMeters,
+  geohashCellSize,
+  geohashesForBounds,
+  isWithinBounds,
+  normalizeLongitude,
+} = require("./geo");
+
+// Import ranking strategies
+const {
+  computeSpotRanking,
+  decayedRatingStats,
+  normalizeRankingConfig,
+} = require("./ranking");
+
+// Import incremental rating aggregation
+const {
+  aggregateFieldsFromRatings,
+  applyRatingEvent,
+} = require("./rating-aggregates");
+
+// Import new spot validation
+const {VALIDATION_ISSUES, needsGeocoding, validateNewSpot} = require("./spot-validation");
+
+// Import duplicate spot detection
+const {
+  DUPLICATE_SUGGESTIONS_COLLECTION,
+  SUGGESTION_STATUS,
+  detectSpotDuplicates,
+  suggestionIdFor,
+} = require("./duplicates");
+
+// Import spot merging
+const {buildMergedSpotFields, moveSpotComments, moveSpotRatings} = require("./spot-merge");
+
+// Import the spot trash bin
+const {
+  SPOT_TRASH_COLLECTION,
+  purgeExpiredTrash,
+  restoreSpotFromTrash,
+  trashSpot,
+} = require("./spot-trash");
+
+// Import placemark to spot matching for syncs and imports
+const {
+  buildPositionChange,
+  buildSpotMatchIndex,
+  loadMatchCandidates,
+  loadSourceSpots,
+  matchPlacemark,
+  matchPlacemarks,
+  normalizeExternalId,
+  placemarkMatchItem,
+} = require("./spot-identity");
+
+// Import handling of spots missing from their sync source
+const {
+  MISSING_POLICY_ACTIONS,
+  applyMissingPolicy,
+  buildReappearedFields,
+  loadMissingSpots,
+  missingPolicyOf,
+  missingSpotOutcome,
+  normalizeMissingPolicy,
+  spotsCountingMiss,
+} = require("./missing-placemarks");
+
+// Import automatic sync scheduling
+const {
+  beginScheduledSync,
+  claimDueSources,
+  nextSyncAtFor,
+  normalizeSyncSchedule,
+  releaseSourceLease,
+  scheduleFieldsAfterFailure,
+  scheduleFieldsAfterSuccess,
+  scheduledSyncTaskId,
+} = require("./sync-schedule");
+
+// Import content hashes for skipping unchanged sources and placemarks
+const {
+  combinedContentHash,
+  hashContent,
+  placemarkContentHash,
+  syncSettingsHash,
+} = require("./sync-content-hash");
+
+// Import roles and permissions
+const {
+  ANY_SCOPE,
+  PERMISSIONS,
+  ROLES,
+  buildRoleClaims,
+  grantFromClaims,
+  grantFromUserDoc,
+  hasPermission,
+  normalizeRoleAssignment,
+  permittedCountries,
+} = require("./permissions");
+
+// Import server-side audit logging
+const {
+  AUDIT_LOG_COLLECTION,
+  diffFields,
+  toAuditValue,
+  writeAuditLog,
+  writeAuditLogs,
+} = require("./audit-log");
+
+// Import rating abuse detection
+const {MODERATION_STATUS, detectRatingAbuse} = require("./rating-abuse");
+
+// Import response caching helpers
+const {
+  bumpSpotCells,
+  getCachedResponse,
+  getCachedValue,
+  quantizeBounds,
+} = require("./cache");
+
+// Import spot search functions
+const {
+  SEARCH_INDEX_COLLECTION,
+  deleteSpotSearchIndex,
+  searchIndexNeedsUpdate,
+  searchSpotIndex,
+  updateSpotSearchIndex,
+} = require("./search");
+
+// Import vector tile functions
+const {
+  PRECOMPUTED_MAX_ZOOM,
+  isValidTile,
+  getSpotTile,
+  generateLowZoomTiles,
+} = require("./vector-tiles");
+
 // Import sitemap generation functions
 const {
   generateAllSitemaps,
@@ -149,6 +311,36 @@ function extractSpotIdFromPath(pathname) {
   return qpId ? String(qpId) : null;
 }
 
+/**
+ * Builds the public path of a spot page
+ * @param {Object} spot - Spot data with id
+ * @return {string} /<cc>/<city>/<spotId>, or /spot/<spotId> without a location
+ */
+function buildSpotPath(spot) {
+  if (spot.countryCode && spot.city) {
+    return `/${String(spot.countryCode).toLowerCase()}/${slugify(spot.city)}/${spot.id}`;
+  }
+  return `/spot/${spot.id}`;
+}
+
+/**
+ * Follows `mergedInto` links to the spot a merged duplicate ended up in
+ * @param {string} spotId - Id the duplicate was merged into
+ * @return {Promise<Object|null>} Spot data with id, or null if missing
+ */
+async function resolveMergedSpot(spotId) {
+  let currentId = spotId;
+  // A few hops at most: merges point at canonical spots
+  for (let hop = 0; hop < 5 && currentId; hop++) {
+    const snap = await db.collection("spots").doc(currentId).get();
+    if (!snap.exists) return null;
+    const data = snap.data();
+    if (!data.mergedInto) return {id: snap.id, ...data};
+    currentId = data.mergedInto;
+  }
+  return null;
+}
+
 /**
  * Builds description for social sharing from spot data
  * @param {Object} s - Spot data object
@@ -265,13 +457,16 @@ exports.spotPage = onRequest({region: "europe-west1"}, async (req, res) => {
       }
     })();
 
-    // Check if this is a location URL (1 or 2 segments) vs spot URL (3 segments)
+    // Check if this is a location URL (1 or 2 segments) vs spot URL (3 segments,
+    // or /spot/<spotId> for spots without a location)
     const pathSegments = pathname.split("/").filter((segment) => segment.length > 0);
-    const isLocationUrl = pathSegments.length === 1 || pathSegments.length === 2;
-    const isSpotUrl = pathSegments.length === 3;
+    const isSpotUrl = pathSegments.length === 3 || (pathSegments.length === 2 && pathSegments[0] === "spot");
+    const isLocationUrl = !isSpotUrl && (pathSegments.length === 1 || pathSegments.length === 2);
 
     let spot = null;
     let locationInfo = null;
+    // Deleted spots are kept in the trash for a while; tell crawlers they're gone
+    let isTrashed = false;
 
     if (isSpotUrl) {
       // Handle spot detail URLs
@@ -280,6 +475,16 @@ exports.spotPage = onRequest({region: "europe-west1"}, async (req, res) => {
         const snap = await db.collection("spots").doc(spotId).get();
         if (snap.exists) {
           spot = {id: snap.id, ...snap.data()};
+        } else {
+          isTrashed = (await db.collection(SPOT_TRASH_COLLECTION).doc(spotId).get()).exists;
+        }
+        // Merged duplicates permanently redirect to their canonical spot
+        if (spot && spot.mergedInto) {
+          const target = await resolveMergedSpot(spot.mergedInto);
+          if (target) {
+            res.redirect(301, buildSpotPath(target));
+            return;
+          }
         }
       }
     } else if (isLocationUrl) {
@@ -387,6 +592,9 @@ exports.spotPage = onRequest({region: "europe-west1"}, async (req, res) => {
       // Spot detail page
       title = `${spot.name} - Parkour·Spot`;
       description = buildDescription(spot);
+    } else if (isTrashed) {
+      title = `Spot removed - ${siteName}`;
+      description = "This parkour spot has been removed from Parkour·Spot";
     } else if (locationInfo) {
       // Location page
       if (locationInfo.city) {
@@ -457,7 +665,7 @@ exports.spotPage = onRequest({region: "europe-west1"}, async (req, res) => {
       pageAddress: pageAddress,
     });
 
-    res.status(200).send(html);
+    res.status(isTrashed ? 410 : 200).send(html);
   } catch (err) {
     console.error("spotPage error", err);
     res.status(500).send("Internal Server Error");
@@ -480,9 +688,199 @@ function cleanUndefinedValues(obj) {
 }
 
 // ========== Ranked Spots within Bounds ==========
+// Maximum number of candidates scanned per bounds request
+const MAX_BOUNDS_SCAN = 2000;
+// How long settings read by map endpoints are kept in instance memory
+const SETTINGS_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Scans the spots inside bounds in ranking order
+ * @param {Object} params - Validated getTopSpotsInBounds parameters
+ * @return {Promise<Object>} Page of spots with counts and the next cursor
+ */
+async function queryTopSpotsInBounds({
+  minLat,
+  maxLat,
+  minLng,
+  maxLng,
+  maxItems,
+  spotSource,
+  folder,
+  hasImages,
+  cursor,
+  attributeFilters,
+}) {
+  const startAfter = cursor ? decodeSpotCursor(cursor) : null;
+
+  // Split the viewport into non-wrapping longitude ranges, handling
+  // dateline crossing and viewports spanning the entire globe
+  const {ranges: lngRanges, spansEntireGlobe} = computeLongitudeRanges(minLng, maxLng);
+
+  // Cover the viewport with geohash cells. Cells overshoot the viewport,
+  // so results are filtered against the exact bounds below. A null cover
+  // means the viewport is too wide for the cell limit and no geo filter
+  // is applied at all.
+  const cover = coverBoundsWithGeohashes(minLat, maxLat, lngRanges);
+
+  const filters = {spotSource, folder, hasImages};
+
+  // Restrict to the geohash cells covering the viewport
+  let baseQuery = db.collection("spots");
+  if (cover) {
+    baseQuery = baseQuery.where("geohashes", "array-contains-any", cover.cells);
+  }
+  // Tie-break on document id so the cursor position is unambiguous. A
+  // single query covers dateline-crossing and full-globe viewports, so
+  // pages form one stream in ranking order.
+  const query = applySpotFilters(baseQuery, filters)
+      .orderBy("ranking", "desc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+
+  // Attribute filters are counted by a count query with equality clauses.
+  // Filters that can't be clauses (and the image filter's inequality, which
+  // would need a composite index per attribute) are only checked in memory.
+  let countQuery = query;
+  if (attributeFilters !== null) {
+    countQuery = hasImages ? null : applyAttributeFilterClauses(applySpotFilters(baseQuery, filters), attributeFilters);
+  }
+
+  // Scan in ranking order, keeping only spots inside the exact viewport.
+  // Pages are over-fetched since cells extend beyond the viewport. Without
+  // a count query, keep scanning on the first page after the result list is
+  // full to count every match.
+  const isFirstPage = startAfter === null;
+  const countByScan = countQuery === null && isFirstPage;
+  const pageSize = Math.max(50, maxItems * 2);
+  const spots = [];
+  let matchedCount = 0;
+  // Positions of the matches, so the count can be clipped to narrower bounds
+  const matchedPositions = [];
+  let lastScannedDoc = null;
+  let lastReturnedDoc = null;
+  let scanned = 0;
+  let exhausted = false;
+
+  while ((spots.length < maxItems || countByScan) && scanned < MAX_BOUNDS_SCAN) {
+    let pageQuery = query.select(...SPOT_LIST_PROJECTION).limit(pageSize);
+    if (lastScannedDoc) {
+      pageQuery = pageQuery.startAfter(lastScannedDoc);
+    } else if (startAfter) {
+      pageQuery = pageQuery.startAfter(startAfter.ranking, startAfter.id);
+    }
+    const snap = await pageQuery.get();
+
+    let pageScanned = 0;
+    for (const doc of snap.docs) {
+      pageScanned++;
+      lastScannedDoc = doc;
+      const data = doc.data();
+      if (!isWithinBounds(data.latitude, data.longitude, minLat, maxLat, lngRanges)) continue;
+      if (!spotMatchesAttributeFilters(data, attributeFilters)) continue;
+      matchedCount++;
+      matchedPositions.push([data.latitude, data.longitude]);
+      if (spots.length < maxItems) {
+        spots.push({id: doc.id, ...data});
+        lastReturnedDoc = doc;
+        if (spots.length >= maxItems && !countByScan) break;
+      }
+    }
+    scanned += pageScanned;
+
+    if (snap.size < pageSize) {
+      // Last page: exhausted only if no candidate was left unseen
+      exhausted = pageScanned === snap.size;
+      break;
+    }
+  }
+
+  // Continue after the last returned spot when the page is full,
+  // otherwise after the last scanned candidate (scan limit reached)
+  let nextCursor = null;
+  if (spots.length >= maxItems && maxItems > 0) {
+    if (!exhausted || matchedCount > spots.length) {
+      nextCursor = encodeSpotCursor(lastReturnedDoc);
+    }
+  } else if (!exhausted && lastScannedDoc) {
+    nextCursor = encodeSpotCursor(lastScannedDoc);
+  }
+
+  // The count covers whole cells, so it is only exact when the scan
+  // above saw every candidate. Later pages don't repeat it.
+  let totalCount = null;
+  let totalCountApproximate = false;
+  if (!isFirstPage) {
+    // Count was returned with the first page
+  } else if (exhausted) {
+    totalCount = matchedCount;
+  } else if (countByScan) {
+    // Scan limit reached: a lower bound
+    totalCount = matchedCount;
+    totalCountApproximate = true;
+  } else {
+    const count = await countQuery.count().get();
+    totalCount = count.data().count || 0;
+    totalCountApproximate = cover !== null || !spansEntireGlobe || minLat > -90 || maxLat < 90;
+  }
+
+  return {
+    totalCount,
+    totalCountApproximate,
+    shownCount: spots.length,
+    nextCursor,
+    spots: spots.map(normalizeSpotTimestamps),
+    // Only when the count came from the scan
+    matchedPositions: totalCount !== null && (exhausted || countByScan) ? matchedPositions : null,
+  };
+}
+
+// Spots fetched per requested spot for quantized bounds, so a page clipped
+// to the requested bounds is still full
+const QUANTIZED_BOUNDS_OVERFETCH = 1.25;
+
+/**
+ * Clips a queryTopSpotsInBounds result for quantized bounds to the
+ * requested bounds
+ * @param {Object} result - queryTopSpotsInBounds result
+ * @param {Object} bounds - Requested {minLat, maxLat, minLng, maxLng}
+ * @param {number} maxItems - Requested page size
+ * @return {Object} {totalCount, totalCountApproximate, shownCount, nextCursor, spots}
+ */
+function clipTopSpotsToBounds(result, {minLat, maxLat, minLng, maxLng}, maxItems) {
+  const {ranges: lngRanges} = computeLongitudeRanges(minLng, maxLng);
+  const inBounds = (latitude, longitude) => isWithinBounds(latitude, longitude, minLat, maxLat, lngRanges);
+  const spots = result.spots.filter((spot) => inBounds(spot.latitude, spot.longitude));
+  const page = spots.slice(0, maxItems);
+  // Spots left over from the overfetch come again on the next page
+  const nextCursor = spots.length > page.length && page.length > 0 ?
+    encodeSpotCursor(page[page.length - 1]) :
+    result.nextCursor;
+
+  let totalCount = result.totalCount;
+  let totalCountApproximate = result.totalCountApproximate;
+  if (totalCount !== null) {
+    if (Array.isArray(result.matchedPositions)) {
+      totalCount = result.matchedPositions.filter(([latitude, longitude]) => inBounds(latitude, longitude)).length;
+    } else {
+      // Counted for the quantized bounds
+      totalCountApproximate = true;
+    }
+  }
+
+  return {
+    totalCount,
+    totalCountApproximate,
+    shownCount: page.length,
+    nextCursor,
+    spots: page,
+  };
+}
+
 /**
  * Returns the top N spots within given map bounds ranked by ranking field,
- * along with total count.
+ * along with total count. Pass the returned `nextCursor` back as `cursor` to
+ * fetch the next page; the total count is only computed for the first page.
+ * Responses are cached for bounds expanded to a grid, so nearby pans share
+ * them, and clipped to the requested bounds.
  */
 exports.getTopSpotsInBounds = onCall(
     {region: "europe-west1", timeoutSeconds: 60, memory: "512MiB"},
@@ -497,8 +895,12 @@ exports.getTopSpotsInBounds = onCall(
           spotSource = null, // null = all sources, empty string = native only, string = specific source
           hasImages = false, // true = only spots with images, false = all spots
           folder = null, // Optional single folder name to filter by (only used when spotSource is set, null = all folders)
+          cursor = null, // Opaque cursor from a previous page
         } = request.data || {};
 
+        // Optional goodFor / spotFeatures / spotAccess / spotFacilities filters
+        const attributeFilters = normalizeAttributeFilters(request.data || {});
+
         if (
           typeof minLat !== "number" ||
         typeof maxLat !== "number" ||
@@ -508,217 +910,417 @@ exports.getTopSpotsInBounds = onCall(
           throw new Error(
               "minLat, maxLat, minLng, maxLng are required numbers");
         }
+        if (cursor) {
+          // Reject malformed cursors before they reach the cache
+          decodeSpotCursor(cursor);
+        }
 
-        // Normalize longitude values to [-180, 180] range
-        const normalizeLongitude = (lng) => {
-          // Normalize to [-180, 180]
-          const normalized = ((lng + 180) % 360 + 360) % 360 - 180;
-          return normalized;
+        const maxItems = Math.max(0, Math.min(200, Number(limit) || 100));
+        const params = {
+          ...quantizeBounds(minLat, maxLat, minLng, maxLng),
+          maxItems,
+          spotSource,
+          folder,
+          hasImages: hasImages === true,
+          cursor: cursor || null,
+          attributeFilters,
         };
 
-        // Normalize longitude values for query building
-        const normalizedMinLng = normalizeLongitude(minLng);
-        const normalizedMaxLng = normalizeLongitude(maxLng);
+        const [averageWilson, persistentCache] = await Promise.all([
+          getCachedValue("wilsonLowerBoundAvg", SETTINGS_CACHE_TTL_MS, getWilsonLowerBoundAvg),
+          getCachedValue("boundsQueryCachePersistent", SETTINGS_CACHE_TTL_MS,
+              () => getSettingValue("boundsQueryCachePersistent", false)),
+        ]);
+        const {value, cache} = await getCachedResponse(
+            "getTopSpotsInBounds",
+            params,
+            () => queryTopSpotsInBounds({...params, maxItems: Math.ceil(maxItems * QUANTIZED_BOUNDS_OVERFETCH)}),
+            {bounds: params, persistent: persistentCache === true},
+        );
 
-        // Check if both normalized values are the same (indicates full wrap-around)
-        // This happens when the viewport spans exactly 360 degrees or more
-        const isFullWrap = normalizedMinLng === normalizedMaxLng;
+        return {
+          success: true,
+          ...clipTopSpotsToBounds(value, {minLat, maxLat, minLng, maxLng}, maxItems),
+          averageWilson,
+          cache,
+        };
+      } catch (error) {
+        console.error("getTopSpotsInBounds error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
 
-        // If full wrap, treat as spanning entire globe and skip span calculation
-        let spansEntireGlobe = false;
-        let crossesDateline = false;
-        let lngSpan = null; // Only set when not a full wrap
+// ========== Spot Clusters within Bounds ==========
+/**
+ * Aggregates the spots inside bounds into geohash-grid clusters
+ * @param {Object} params - Validated getSpotClustersInBounds parameters
+ * @return {Promise<Object>} Clusters with counts and the precision used
+ */
+async function querySpotClustersInBounds({
+  minLat,
+  maxLat,
+  minLng,
+  maxLng,
+  zoom,
+  clusterSizePx,
+  maxClusters,
+  spotSource,
+  hasImages,
+  folder,
+}) {
+  const cellLimit = Math.max(1, Math.min(100, Number(maxClusters) || 64));
+  const {ranges: lngRanges} = computeLongitudeRanges(minLng, maxLng);
+
+  // Pick the finest precision whose cells are at least clusterSizePx
+  // wide at this zoom (256px web mercator tiles), then coarsen until the
+  // viewport fits within the cluster limit
+  const targetLngWidth = (360 / Math.pow(2, Math.max(0, zoom))) *
+    (Math.max(16, Number(clusterSizePx) || 64) / 256);
+  let precision = 1;
+  for (let p = GEOHASH_INDEX_PRECISION; p >= 1; p--) {
+    if (geohashCellSize(p).lngWidth >= targetLngWidth) {
+      precision = p;
+      break;
+    }
+  }
 
-        if (isFullWrap) {
-          // Both bounds normalize to the same value - this means full 360-degree wrap
-          spansEntireGlobe = true;
-        } else {
-          // Calculate longitude span for other cases
-          if (normalizedMinLng > normalizedMaxLng) {
-            // Crosses dateline: span = (180 - minLng) + (maxLng - (-180))
-            lngSpan = (180 - normalizedMinLng) + (normalizedMaxLng - (-180));
-          } else {
-            // Normal case: check if raw span is >= 360 (viewport spans entire globe)
-            const rawSpan = maxLng - minLng;
-            if (rawSpan >= 360) {
-              // Viewport spans entire globe or more
-              lngSpan = rawSpan;
-            } else {
-              // Use normalized span
-              lngSpan = normalizedMaxLng - normalizedMinLng;
-            }
-          }
+  let cells = null;
+  while (precision >= 1) {
+    cells = geohashesForBounds(minLat, maxLat, lngRanges, precision, cellLimit);
+    if (cells) break;
+    precision--;
+  }
+  if (!cells) {
+    throw new Error("Viewport too large for the requested cluster limit");
+  }
 
-          // If viewport spans entire globe or more (>= 360 degrees), query all longitudes
-          spansEntireGlobe = lngSpan >= 360;
+  const filters = {spotSource, folder, hasImages};
+  const {AggregateField} = admin.firestore;
+
+  // One aggregation and one top-spot lookup per cell, all in parallel
+  const results = await Promise.all(cells.map(async (cell) => {
+    const cellQuery = applySpotFilters(
+        db.collection("spots").where("geohashes", "array-contains", cell),
+        filters,
+    ).orderBy("ranking", "desc");
+
+    const [aggSnap, topSnap] = await Promise.all([
+      cellQuery.aggregate({
+        count: AggregateField.count(),
+        avgLat: AggregateField.average("latitude"),
+        avgLng: AggregateField.average("longitude"),
+      }).get(),
+      cellQuery.select(...SPOT_LIST_PROJECTION).limit(1).get(),
+    ]);
+
+    const agg = aggSnap.data();
+    const count = agg.count || 0;
+    if (count === 0) return null;
+
+    const cellBounds = decodeGeohashBounds(cell);
+    const topDoc = topSnap.docs[0];
+    return {
+      geohash: cell,
+      count: count,
+      latitude: typeof agg.avgLat === "number" ? agg.avgLat : (cellBounds.minLat + cellBounds.maxLat) / 2,
+      longitude: typeof agg.avgLng === "number" ? agg.avgLng : (cellBounds.minLng + cellBounds.maxLng) / 2,
+      bounds: cellBounds,
+      topSpot: topDoc ? normalizeSpotTimestamps({id: topDoc.id, ...topDoc.data()}) : null,
+    };
+  }));
 
-          // Handle dateline crossing (only if not spanning entire globe)
-          crossesDateline = !spansEntireGlobe && normalizedMinLng > normalizedMaxLng;
-        }
+  const clusters = results
+      .filter((c) => c !== null)
+      .sort((a, b) => b.count - a.count);
+  const totalCount = clusters.reduce((sum, c) => sum + c.count, 0);
 
-        // Fetch precomputed average wilson from settings
-        let averageWilson = 0;
-        try {
-          const settingsSnap = await db
-              .collection("settings")
-              .where("name", "==", "wilsonLowerBoundAvg")
-              .limit(1)
-              .get();
-          if (!settingsSnap.empty) {
-            const v = settingsSnap.docs[0].data().value;
-            if (typeof v === "number") averageWilson = v;
-            else if (
-              v &&
-                typeof v === "object" &&
-                typeof v.toNumber === "function"
-            ) {
-              averageWilson = v.toNumber();
-            }
-          }
-        } catch (avgErr) {
-          console.warn(
-              "Failed to load wilsonLowerBoundAvg from settings, " +
-              "defaulting to 0",
-              avgErr,
-          );
+  return {
+    precision,
+    totalCount,
+    clusterCount: clusters.length,
+    clusters,
+  };
+}
+
+/**
+ * Clips a querySpotClustersInBounds result for quantized bounds to the
+ * clusters whose cells overlap the requested bounds
+ * @param {Object} result - querySpotClustersInBounds result
+ * @param {Object} bounds - Requested {minLat, maxLat, minLng, maxLng}
+ * @return {Object} Result with the overlapping clusters and their counts
+ */
+function clipClustersToBounds(result, {minLat, maxLat, minLng, maxLng}) {
+  const {ranges: lngRanges} = computeLongitudeRanges(minLng, maxLng);
+  const clusters = result.clusters.filter(({bounds}) =>
+    bounds.minLat <= maxLat && bounds.maxLat >= minLat &&
+    lngRanges.some(([lo, hi]) => bounds.minLng <= hi && bounds.maxLng >= lo));
+  return {
+    ...result,
+    totalCount: clusters.reduce((sum, c) => sum + c.count, 0),
+    clusterCount: clusters.length,
+    clusters,
+  };
+}
+
+/**
+ * Returns geohash-grid clusters for the given map bounds and zoom, with the
+ * spot count, centroid and top-ranked spot of each cluster. Uses the same
+ * filters and response cache as getTopSpotsInBounds so zoomed-out views show
+ * real density.
+ */
+exports.getSpotClustersInBounds = onCall(
+    {region: "europe-west1", timeoutSeconds: 60, memory: "512MiB"},
+    async (request) => {
+      try {
+        const {
+          minLat,
+          maxLat,
+          minLng,
+          maxLng,
+          zoom,
+          clusterSizePx = 64, // Approximate on-screen size of one cluster cell
+          maxClusters = 64,
+          spotSource = null,
+          hasImages = false,
+          folder = null,
+        } = request.data || {};
+
+        if (
+          typeof minLat !== "number" ||
+          typeof maxLat !== "number" ||
+          typeof minLng !== "number" ||
+          typeof maxLng !== "number" ||
+          typeof zoom !== "number"
+        ) {
+          throw new Error(
+              "minLat, maxLat, minLng, maxLng and zoom are required numbers");
         }
 
-        // Fields to return to reduce payload size
-        const projection = [
-          "name",
-          "description",
-          "latitude",
-          "longitude",
-          "address",
-          "city",
-          "countryCode",
-          "imageUrls",
-          "tags",
-          "spotSource",
-          "spotSourceName",
-          "folderName",
-          "averageRating",
-          "ratingCount",
-          "wilsonLowerBound",
-          "createdAt",
-          "updatedAt",
-          "ranking",
-        ];
+        const params = {
+          ...quantizeBounds(minLat, maxLat, minLng, maxLng),
+          zoom: Math.round(zoom * 4) / 4,
+          clusterSizePx,
+          maxClusters,
+          spotSource,
+          hasImages: hasImages === true,
+          folder,
+        };
 
-        const maxItems = Math.max(0, Math.min(200, Number(limit) || 100));
+        const persistentCache = await getCachedValue("boundsQueryCachePersistent", SETTINGS_CACHE_TTL_MS,
+            () => getSettingValue("boundsQueryCachePersistent", false));
+        const {value, cache} = await getCachedResponse(
+            "getSpotClustersInBounds",
+            params,
+            () => querySpotClustersInBounds(params),
+            {bounds: params, persistent: persistentCache === true},
+        );
+
+        return {
+          success: true,
+          ...clipClustersToBounds(value, {minLat, maxLat, minLng, maxLng}),
+          cache,
+        };
+      } catch (error) {
+        console.error("getSpotClustersInBounds error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Nearby Spots ==========
+// Maximum search radius in metres
+const MAX_NEARBY_RADIUS = 100000;
+// Radius of the first search ring; grown until enough spots are found
+const NEARBY_START_RADIUS = 250;
+// Maximum number of candidates fetched per search ring
+const MAX_NEARBY_SCAN = 2000;
+
+/**
+ * Returns the spots closest to a point, sorted by great-circle distance.
+ * Searches growing rings around the point and stops as soon as `limit`
+ * spots lie within the current ring, since every spot in the ring has been
+ * seen and anything outside it is further away. Without `radius` the search
+ * keeps growing up to MAX_NEARBY_RADIUS to find the k nearest spots.
+ */
+exports.getNearbySpots = onCall(
+    {region: "europe-west1", timeoutSeconds: 60, memory: "512MiB"},
+    async (request) => {
+      try {
+        const {
+          latitude,
+          longitude,
+          radius = null, // Metres; null = search up to MAX_NEARBY_RADIUS for the nearest `limit` spots
+          limit = 20,
+          minRating = null, // Optional minimum averageRating
+          spotSource = null,
+          hasImages = false,
+          folder = null,
+        } = request.data || {};
 
-        // Normalize folder string
-        let normalizedFolder = null;
-        if (folder && typeof folder === "string" && folder.trim().length > 0 && spotSource !== null && spotSource !== undefined) {
-          normalizedFolder = String(folder).trim();
+        if (
+          typeof latitude !== "number" ||
+          typeof longitude !== "number" ||
+          latitude < -90 || latitude > 90
+        ) {
+          throw new Error("latitude and longitude are required numbers");
+        }
+        if (radius !== null && (typeof radius !== "number" || !(radius > 0))) {
+          throw new Error("radius must be a positive number of metres");
+        }
+        if (minRating !== null && typeof minRating !== "number") {
+          throw new Error("minRating must be a number");
         }
 
-        // Build query function with source, image, and folder filtering
-        const buildQuery = (lngMin, lngMax) => {
-          let query = db
-              .collection("spots")
-              .where("latitude", ">=", minLat)
-              .where("latitude", "<=", maxLat)
-              .where("longitude", ">=", lngMin)
-              .where("longitude", "<=", lngMax);
-
-          // Apply source filter if specified
-          if (spotSource !== null && spotSource !== undefined) {
-            if (spotSource === "") {
-              // Empty string means native spots only (spotSource is null)
-              query = query.where("spotSource", "==", null);
-            } else {
-              // Specific source ID
-              query = query.where("spotSource", "==", spotSource);
-            }
-          } else {
-            // If spotSource is null, no source filter is applied (all sources)
-            // Exclude spots marked as duplicates when searching all sources
-            query = query.where("duplicateOf", "==", null);
+        const maxItems = Math.max(1, Math.min(100, Number(limit) || 20));
+        const maxRadius = radius === null ?
+          MAX_NEARBY_RADIUS :
+          Math.min(MAX_NEARBY_RADIUS, radius);
+        const centerLng = normalizeLongitude(longitude);
+        const filters = {spotSource, folder, hasImages};
+
+        let searchRadius = Math.min(NEARBY_START_RADIUS, maxRadius);
+        let nearby = [];
+        let truncated = false;
+
+        for (;;) {
+          // Bounds may extend past +/-180; computeLongitudeRanges splits them
+          // at the antimeridian and the cover queries both sides at once
+          const box = boundsAroundPoint(latitude, centerLng, searchRadius);
+          const {ranges: lngRanges} = computeLongitudeRanges(box.minLng, box.maxLng);
+          const cover = coverBoundsWithGeohashes(box.minLat, box.maxLat, lngRanges);
+
+          let baseQuery = db.collection("spots");
+          if (cover) {
+            baseQuery = baseQuery.where("geohashes", "array-contains-any", cover.cells);
           }
+          // Ranking order only matters when the scan limit is hit: the best
+          // ranked candidates are kept
+          const snap = await applySpotFilters(baseQuery, filters)
+              .orderBy("ranking", "desc")
+              .select(...SPOT_LIST_PROJECTION)
+              .limit(MAX_NEARBY_SCAN)
+              .get();
+          truncated = snap.size >= MAX_NEARBY_SCAN;
 
-          // Apply folder filter if specified (only when spotSource is set)
-          // Note: This requires a composite index on (spotSource, folderName, ranking)
-          if (normalizedFolder) {
-            query = query.where("folderName", "==", normalizedFolder);
+          nearby = [];
+          for (const doc of snap.docs) {
+            const data = doc.data();
+            if (typeof data.latitude !== "number" || typeof data.longitude !== "number") continue;
+            if (minRating !== null && !((data.averageRating || 0) >= minRating)) continue;
+            const distance = distanceMeters(latitude, centerLng, data.latitude, data.longitude);
+            if (distance > searchRadius) continue;
+            nearby.push({id: doc.id, ...data, distanceMeters: Math.round(distance)});
           }
 
-          // Apply image filter if specified
-          if (hasImages === true) {
-            query = query.where("imageUrls", "!=", []);
-          }
+          if (nearby.length >= maxItems || searchRadius >= maxRadius || truncated) break;
+          searchRadius = Math.min(searchRadius * 4, maxRadius);
+        }
 
-          // Exclude hidden spots from public view
-          // Use == false instead of != true to avoid inequality filter conflict
-          query = query.where("hidden", "==", false);
+        nearby.sort((a, b) => a.distanceMeters - b.distanceMeters);
+        const spots = nearby.slice(0, maxItems);
 
-          return query.orderBy("ranking", "desc");
+        return {
+          success: true,
+          searchRadius,
+          truncated,
+          shownCount: spots.length,
+          spots: spots.map(normalizeSpotTimestamps),
         };
+      } catch (error) {
+        console.error("getNearbySpots error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
 
-        // Execute query(ies)
-        let totalCount = 0;
-        let spots = [];
+// ========== Spot Search ==========
+/**
+ * Full-text search over spot names, descriptions, cities and addresses with
+ * prefix matching and typo tolerance, optionally restricted to map bounds.
+ * Results are ordered by text relevance blended with ranking.
+ */
+exports.searchSpots = onCall(
+    {region: "europe-west1", timeoutSeconds: 60, memory: "512MiB"},
+    async (request) => {
+      try {
+        const {
+          query,
+          limit = 20,
+          minLat = null,
+          maxLat = null,
+          minLng = null,
+          maxLng = null,
+        } = request.data || {};
 
-        if (spansEntireGlobe) {
-          // Viewport spans entire globe or more - use full longitude range (-180 to 180)
-          // This allows Firestore to use indexes that include longitude
-          const [snap, count] = await Promise.all([
-            buildQuery(-180, 180).select(...projection).limit(maxItems).get(),
-            buildQuery(-180, 180).count().get(),
-          ]);
+        if (!query || typeof query !== "string" || query.trim().length === 0) {
+          throw new Error("query is required");
+        }
+        if (query.length > 200) {
+          throw new Error("query is too long");
+        }
 
-          spots = snap.docs.map((d) => ({id: d.id, ...d.data()}));
-          totalCount = count.data().count || 0;
-        } else if (crossesDateline) {
-          // Query both sides of dateline
-          const [snap1, snap2, count1, count2] = await Promise.all([
-            buildQuery(normalizedMinLng, 180).select(...projection).limit(maxItems).get(),
-            buildQuery(-180, normalizedMaxLng).select(...projection).limit(maxItems).get(),
-            buildQuery(normalizedMinLng, 180).count().get(),
-            buildQuery(-180, normalizedMaxLng).count().get(),
-          ]);
+        const hasBounds = [minLat, maxLat, minLng, maxLng].every((v) => typeof v === "number");
+        if (!hasBounds && [minLat, maxLat, minLng, maxLng].some((v) => v !== null && v !== undefined)) {
+          throw new Error("minLat, maxLat, minLng, maxLng must all be numbers when bounds are given");
+        }
 
-          spots = [
-            ...snap1.docs.map((d) => ({id: d.id, ...d.data()})),
-            ...snap2.docs.map((d) => ({id: d.id, ...d.data()})),
-          ];
-          totalCount = (count1.data().count || 0) + (count2.data().count || 0);
-        } else {
-          // Single query
-          const [snap, count] = await Promise.all([
-            buildQuery(normalizedMinLng, normalizedMaxLng).select(...projection).limit(maxItems).get(),
-            buildQuery(normalizedMinLng, normalizedMaxLng).count().get(),
-          ]);
+        const maxItems = Math.max(1, Math.min(50, Number(limit) || 20));
+        const {results, matchedCount, truncated} = await searchSpotIndex(query, {
+          limit: maxItems,
+          minLat: hasBounds ? minLat : null,
+          maxLat: hasBounds ? maxLat : null,
+          lngRanges: hasBounds ? computeLongitudeRanges(minLng, maxLng).ranges : null,
+        });
 
-          spots = snap.docs.map((d) => ({id: d.id, ...d.data()}));
-          totalCount = count.data().count || 0;
+        if (results.length === 0) {
+          return {success: true, matchedCount, truncated, spots: []};
         }
 
-        // Folder filtering is now done at database level via whereIn query
-        // No additional in-memory filtering needed
-
-        // Normalize Firestore Timestamp fields to ISO strings for client
-        const normalize = (s) => {
-          const createdAt = formatDateToISO(s.createdAt) || s.createdAt || null;
-          const updatedAt = formatDateToISO(s.updatedAt) || s.updatedAt || null;
-          return {...s, createdAt, updatedAt};
-        };
+        // Load the spots themselves; entries whose spot is gone are skipped
+        const refs = results.map((r) => db.collection("spots").doc(r.id));
+        const snaps = await db.getAll(...refs, {fieldMask: SPOT_LIST_PROJECTION});
+        const spots = [];
+        snaps.forEach((snap, i) => {
+          if (!snap.exists) return;
+          spots.push(normalizeSpotTimestamps({
+            id: snap.id,
+            ...snap.data(),
+            searchScore: results[i].score,
+          }));
+        });
 
-        return {
-          success: true,
-          totalCount,
-          averageWilson,
-          shownCount: spots.length,
-          spots: spots.map(normalize),
-        };
+        return {success: true, matchedCount, truncated, spots};
       } catch (error) {
-        console.error("getTopSpotsInBounds error", error);
+        console.error("searchSpots error", error);
         return {success: false, error: error.message};
       }
     },
 );
 
 // ========== Ratings Aggregation Helpers ==========
+/**
+ * Reads the value of a `settings` document by name
+ * @param {string} name - Setting name
+ * @param {*} defaultValue - Returned when the setting is missing or unreadable
+ * @return {Promise<*>} The setting value
+ */
+async function getSettingValue(name, defaultValue = null) {
+  try {
+    const settingsSnap = await db
+        .collection("settings")
+        .where("name", "==", name)
+        .limit(1)
+        .get();
+    if (settingsSnap.empty) return defaultValue;
+    const value = settingsSnap.docs[0].data().value;
+    return value === undefined ? defaultValue : value;
+  } catch (err) {
+    console.warn(`Failed to load ${name} from settings, using default`, err);
+    return defaultValue;
+  }
+}
+
 /**
  * Helper function to fetch wilsonLowerBoundAvg from settings
  * @return {Promise<number>} The average Wilson lower bound
@@ -745,92 +1347,154 @@ async function getWilsonLowerBoundAvg() {
 }
 
 /**
- * Recomputes rating aggregates for a spot and updates the spot document.
+ * Loads the ranking strategy from settings along with the global values the
+ * strategies depend on
+ * @param {Object|null} configOverride - Normalized config to use instead of the setting
+ * @return {Promise<{config: Object, context: Object}>} Ranking config and context
+ */
+async function loadRankingContext(configOverride = null) {
+  let config = configOverride;
+  if (!config) {
+    try {
+      config = normalizeRankingConfig(await getSettingValue("rankingStrategy", null));
+    } catch (err) {
+      console.warn("Invalid rankingStrategy setting, using default", err);
+      config = normalizeRankingConfig(null);
+    }
+  }
+
+  const wilsonLowerBoundAvg = await getWilsonLowerBoundAvg();
+
+  // The Bayesian prior defaults to the mean of all ratings
+  let globalMeanRating = null;
+  if (config.strategy !== "wilson" && config.priorMean === null) {
+    try {
+      const agg = await db.collection("ratings")
+          .aggregate({avg: admin.firestore.AggregateField.average("rating")})
+          .get();
+      const avg = agg.data().avg;
+      if (typeof avg === "number") globalMeanRating = avg;
+    } catch (err) {
+      console.warn("Failed to compute global mean rating", err);
+    }
+  }
+
+  let wilsonLowerBoundAvgByCountry = {};
+  if (config.strategy === "wilson" && config.perCountryAverage) {
+    const byCountry = await getSettingValue("wilsonLowerBoundAvgByCountry", {});
+    if (byCountry && typeof byCountry === "object") wilsonLowerBoundAvgByCountry = byCountry;
+  }
+
+  return {
+    config,
+    context: {wilsonLowerBoundAvg, wilsonLowerBoundAvgByCountry, globalMeanRating, now: Date.now()},
+  };
+}
+
+/**
+ * Recomputes the ranking of every spot with the configured strategy. Spots
+ * are processed in document id order and only written when their ranking
+ * changed.
+ * @return {Promise<{processed: number, updated: number, failed: number}>} Stats
+ */
+async function recomputeAllSpotRankings() {
+  // Load the ranking strategy and its inputs once
+  const {config, context} = await loadRankingContext();
+
+  const BATCH_SIZE = 400;
+  let processed = 0;
+  let updated = 0;
+  let failed = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("spots")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snap = await query.get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    let batchWrites = 0;
+    for (const spotDoc of snap.docs) {
+      processed++;
+      const spotData = spotDoc.data();
+      const ranking = computeSpotRanking({id: spotDoc.id, ...spotData}, config, context);
+      if (spotData.ranking === ranking) continue;
+      batch.update(spotDoc.ref, {
+        ranking: ranking,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      batchWrites++;
+    }
+    if (batchWrites > 0) {
+      try {
+        await batch.commit();
+        updated += batchWrites;
+      } catch (e) {
+        console.error("Failed to write ranking batch", e);
+        failed += batchWrites;
+      }
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+    if (snap.size < BATCH_SIZE) break;
+  }
+
+  return {processed, updated, failed};
+}
+
+/**
+ * Ranking config and context for the rating triggers, cached in memory so a
+ * vote doesn't re-read settings
+ * @return {Promise<{config: Object, context: Object}>} Ranking config and context
+ */
+function getCachedRankingContext() {
+  return getCachedValue("rankingContext", SETTINGS_CACHE_TTL_MS, () => loadRankingContext());
+}
+
+/**
+ * Recomputes rating aggregates for a spot from all of its ratings and updates
+ * the spot document. Rating triggers maintain the aggregates incrementally;
+ * this full scan is the repair path.
  * averageRating: mean of ratings (0..5)
  * ratingCount: number of ratings
+ * ratingSum: sum of ratings, the running total used by the triggers
  * wilsonLowerBound: Wilson score lower bound over normalized stars (0..5)
- * ranking: computed ranking value based on wilsonLowerBound and wilsonLowerBoundAvg
+ * ranking: computed by the ranking strategy configured in settings
  * @param {string} spotId
  */
 async function recomputeSpotRatingAggregates(spotId) {
   try {
     if (!spotId) return;
 
-    // Fetch wilsonLowerBoundAvg from settings
-    const wilsonLowerBoundAvg = await getWilsonLowerBoundAvg();
+    const spotRef = db.collection("spots").doc(spotId);
+    const spotSnap = await spotRef.get();
+    if (!spotSnap.exists) {
+      console.warn("Skipping rating aggregates for missing spot", spotId);
+      return;
+    }
+
+    const {config, context} = await loadRankingContext();
 
     const ratingsSnap = await db
         .collection("ratings")
         .where("spotId", "==", spotId)
         .get();
 
-    const count = ratingsSnap.size;
+    const fields = aggregateFieldsFromRatings(ratingsSnap.docs.map((doc) => doc.data()), config, context.now);
 
-    if (count === 0) {
-      // No ratings: set ranking to random value
-      await db.collection("spots").doc(spotId).set(
-          {
-            averageRating: 0,
-            ratingCount: 0,
-            wilsonLowerBound: 0,
-            ranking: Math.random(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          },
-          {merge: true},
-      );
-      return;
-    }
-
-    let sum = 0;
-    ratingsSnap.forEach((doc) => {
-      const data = doc.data();
-      const r = typeof data.rating === "number" ? data.rating : 0;
-      // Clamp ratings to [0,5]
-      const clamped = Math.max(0, Math.min(5, r));
-      sum += clamped;
-    });
-
-    const average = sum / count;
-
-    // Compute Wilson lower bound on normalized ratings
-    // (treat each star as Bernoulli success)
-    // successes = total stars awarded = sum (rating),
-    // trials = max stars per rating (5) * count
-    const z = 1.96; // 95% confidence
-    const trials = 5 * count;
-    const successes = sum; // since ratings already clamped 0..5
-    const p = successes / trials;
-    const denom = 1 + (z * z) / trials;
-    const center = p + (z * z) / (2 * trials);
-    const margin = z * Math.sqrt(
-        (p * (1 - p) + (z * z) / (4 * trials)) / trials);
-    const lowerBoundProportion = (center - margin) / denom;
-    const wilsonLowerBound = Math.max(0, Math.min(1, lowerBoundProportion)) * 5;
-
-    // Compute ranking based on wilsonLowerBound vs wilsonLowerBoundAvg
-    let ranking;
-    if (wilsonLowerBound > wilsonLowerBoundAvg) {
-      ranking = wilsonLowerBound + 10;
-    } else if (wilsonLowerBound < wilsonLowerBoundAvg) {
-      ranking = wilsonLowerBound - 10;
-    } else {
-      // Equal: treat as above average
-      ranking = wilsonLowerBound + 10;
-    }
-
-    await db
-        .collection("spots")
-        .doc(spotId)
-        .set(
-            {
-              averageRating: Number(average.toFixed(4)),
-              ratingCount: count,
-              wilsonLowerBound: Number(wilsonLowerBound.toFixed(4)),
-              ranking: Number(ranking.toFixed(4)),
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            },
-            {merge: true},
-        );
+    await spotRef.set(
+        {
+          ...fields,
+          ranking: computeSpotRanking({id: spotId, ...spotSnap.data(), ...fields}, config, context),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        {merge: true},
+    );
   } catch (err) {
     console.error(
         "Failed to recompute rating aggregates for spot",
@@ -843,10 +1507,12 @@ async function recomputeSpotRatingAggregates(spotId) {
 // ========== Admin Callable: Recompute aggregates for all rated spots ==========
 exports.recomputeAllRatedSpots = onCall(
     {region: "europe-west1", memory: "512MiB", timeoutSeconds: 540},
-    async (_request) => {
+    async (request) => {
       try {
+        await ensurePermission(request, PERMISSIONS.RANKINGS_MANAGE);
+        // Repair tool: rating triggers keep aggregates up to date incrementally.
         // Collect unique spotIds from ratings
-        const ratingsSnap = await db.collection("ratings").get();
+        const ratingsSnap = await db.collection("ratings").select("spotId").get();
         const uniqueSpotIds = new Set();
         ratingsSnap.forEach((doc) => {
           const data = doc.data();
@@ -871,153 +1537,1099 @@ exports.recomputeAllRatedSpots = onCall(
           }
         }
 
+        await writeAuditLog(request, "recomputeAllRatedSpots", {
+          action: "ratingAggregatesRecomputed",
+          targetType: "spots",
+          metadata: {processed: spotIds.length, updated: successCount, failed: failCount},
+        });
+
+        return {
+          success: true,
+          processed: spotIds.length,
+          updated: successCount,
+          failed: failCount,
+        };
+      } catch (error) {
+        console.error("recomputeAllRatedSpots error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Admin Callable: Recompute spot rankings ==========
+exports.recomputeSpotRankings = onCall(
+    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 540},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.RANKINGS_MANAGE);
+        const {processed, updated, failed} = await recomputeAllSpotRankings();
+        await writeAuditLog(request, "recomputeSpotRankings", {
+          action: "spotRankingsRecomputed",
+          targetType: "spots",
+          metadata: {processed, updated, failed},
+        });
+
+        return {
+          success: true,
+          processed: processed,
+          updated: updated,
+          failed: failed,
+        };
+      } catch (error) {
+        console.error("recomputeSpotRankings error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Admin Callable: Preview a ranking strategy ==========
+// Maximum number of spots scored per preview
+const MAX_RANKING_PREVIEW_SCAN = 5000;
+
+/**
+ * Dry run: shows how the top N spots of a region (bounds or countryCode)
+ * would change under a candidate ranking strategy, without writing anything.
+ * `config` takes the same shape as the `rankingStrategy` setting.
+ */
+exports.previewRankingStrategy = onCall(
+    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 120},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.RANKINGS_MANAGE);
+        const {
+          config: candidateConfig,
+          minLat,
+          maxLat,
+          minLng,
+          maxLng,
+          countryCode = null,
+          topN = 20,
+        } = request.data || {};
+
+        const config = normalizeRankingConfig(candidateConfig);
+        const maxItems = Math.max(1, Math.min(100, Number(topN) || 20));
+        const hasBounds = [minLat, maxLat, minLng, maxLng].every((v) => typeof v === "number");
+        if (!hasBounds && !countryCode) {
+          throw new Error("Either bounds (minLat, maxLat, minLng, maxLng) or countryCode is required");
+        }
+
+        let query = db.collection("spots");
+        let lngRanges = null;
+        if (hasBounds) {
+          lngRanges = computeLongitudeRanges(minLng, maxLng).ranges;
+          const cover = coverBoundsWithGeohashes(minLat, maxLat, lngRanges);
+          if (cover) {
+            query = query.where("geohashes", "array-contains-any", cover.cells);
+          }
+        } else {
+          query = query.where("countryCode", "==", String(countryCode).toUpperCase());
+        }
+        const snap = await applySpotFilters(query, {})
+            .orderBy("ranking", "desc")
+            .limit(MAX_RANKING_PREVIEW_SCAN)
+            .get();
+
+        const {context} = await loadRankingContext(config);
+
+        const spots = [];
+        for (const doc of snap.docs) {
+          const data = doc.data();
+          if (hasBounds && !isWithinBounds(data.latitude, data.longitude, minLat, maxLat, lngRanges)) continue;
+          spots.push({
+            id: doc.id,
+            name: data.name || "",
+            averageRating: data.averageRating || 0,
+            ratingCount: data.ratingCount || 0,
+            currentRanking: typeof data.ranking === "number" ? data.ranking : null,
+            proposedRanking: computeSpotRanking({id: doc.id, ...data}, config, context),
+          });
+        }
+
+        // Snapshot is already in current ranking order
+        const currentPositions = new Map(spots.map((s, i) => [s.id, i + 1]));
+        const proposedOrder = [...spots].sort((a, b) => b.proposedRanking - a.proposedRanking);
+        const proposedPositions = new Map(proposedOrder.map((s, i) => [s.id, i + 1]));
+
+        const current = spots.slice(0, maxItems).map((s) => ({
+          ...s,
+          position: currentPositions.get(s.id),
+          proposedPosition: proposedPositions.get(s.id),
+        }));
+        const proposed = proposedOrder.slice(0, maxItems).map((s) => ({
+          ...s,
+          position: proposedPositions.get(s.id),
+          currentPosition: currentPositions.get(s.id),
+        }));
+
+        const currentTopIds = new Set(current.map((s) => s.id));
+        const proposedTopIds = new Set(proposed.map((s) => s.id));
+
+        return {
+          success: true,
+          config,
+          scannedCount: spots.length,
+          truncated: snap.size >= MAX_RANKING_PREVIEW_SCAN,
+          current,
+          proposed,
+          entered: proposed.filter((s) => !currentTopIds.has(s.id)).map((s) => s.id),
+          left: current.filter((s) => !proposedTopIds.has(s.id)).map((s) => s.id),
+        };
+      } catch (error) {
+        console.error("previewRankingStrategy error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Wilson Lower Bound Average ==========
+// Minimum change of the global average that triggers a ranking recompute
+const WILSON_AVG_RECOMPUTE_THRESHOLD = 0.01;
+// Countries need this many rated spots for their own average
+const MIN_RATED_SPOTS_PER_COUNTRY = 20;
+
+/**
+ * Writes the value of a `settings` document by name, creating it if needed
+ * @param {string} name - Setting name
+ * @param {*} value - New value
+ * @return {Promise<void>}
+ */
+async function setSettingValue(name, value) {
+  const settingsSnap = await db
+      .collection("settings")
+      .where("name", "==", name)
+      .limit(1)
+      .get();
+  const data = {
+    name: name,
+    value: value,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  if (settingsSnap.empty) {
+    await db.collection("settings").add(data);
+  } else {
+    await settingsSnap.docs[0].ref.set(data, {merge: true});
+  }
+}
+
+/**
+ * Averages the Wilson lower bound over all rated spots, globally and per
+ * country. With rating decay on, the decayed lower bound is averaged so the
+ * threshold matches what spots are ranked by.
+ * @param {Object} config - Ranking configuration
+ * @param {number} now - Time decayed ratings are evaluated at, in milliseconds
+ * @return {Promise<Object>} {average, ratedSpotCount, byCountry: {CC: {average, count}}}
+ */
+async function computeWilsonLowerBoundAverages(config, now) {
+  const PAGE_SIZE = 1000;
+  let sum = 0;
+  let count = 0;
+  const countries = new Map();
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection("spots")
+        .where("ratingCount", ">", 0)
+        .orderBy("ratingCount")
+        .select("wilsonLowerBound", "ratingDecay", "countryCode")
+        .limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snap = await query.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const data = doc.data();
+      const decayed = decayedRatingStats(data, config, now);
+      let wilson = typeof data.wilsonLowerBound === "number" ? data.wilsonLowerBound : 0;
+      if (decayed) wilson = decayed.wilsonLowerBound;
+      sum += wilson;
+      count++;
+      if (data.countryCode) {
+        const code = String(data.countryCode).toUpperCase();
+        const entry = countries.get(code) || {sum: 0, count: 0};
+        entry.sum += wilson;
+        entry.count++;
+        countries.set(code, entry);
+      }
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+    if (snap.size < PAGE_SIZE) break;
+  }
+
+  const byCountry = {};
+  for (const [code, entry] of countries.entries()) {
+    byCountry[code] = {
+      average: Number((entry.sum / entry.count).toFixed(4)),
+      count: entry.count,
+    };
+  }
+
+  return {
+    average: count > 0 ? Number((sum / count).toFixed(4)) : 0,
+    ratedSpotCount: count,
+    byCountry,
+  };
+}
+
+/**
+ * Recomputes wilsonLowerBoundAvg (and the per-country averages), records the
+ * result in `wilsonLowerBoundAvgHistory` and recomputes all rankings when the
+ * average moved enough to change them.
+ * @param {Object} options - {forceRecompute: recompute rankings even if unchanged}
+ * @return {Promise<Object>} New and previous averages and the ranking stats
+ */
+async function updateWilsonLowerBoundAvg({forceRecompute = false} = {}) {
+  const previous = await getWilsonLowerBoundAvg();
+  const {config, context} = await loadRankingContext();
+  const {average, ratedSpotCount, byCountry} = await computeWilsonLowerBoundAverages(config, context.now);
+
+  // Only countries with enough rated spots get their own threshold
+  const countryAverages = {};
+  for (const [code, entry] of Object.entries(byCountry)) {
+    if (entry.count >= MIN_RATED_SPOTS_PER_COUNTRY) {
+      countryAverages[code] = entry.average;
+    }
+  }
+
+  await setSettingValue("wilsonLowerBoundAvg", average);
+  await setSettingValue("wilsonLowerBoundAvgByCountry", countryAverages);
+
+  // Only the wilson strategy ranks against the average
+  const moved = Math.abs(average - previous) >= WILSON_AVG_RECOMPUTE_THRESHOLD;
+  const shouldRecompute = forceRecompute === true ||
+    (config.strategy === "wilson" && (moved || config.perCountryAverage));
+
+  let rankingStats = null;
+  if (shouldRecompute) {
+    rankingStats = await recomputeAllSpotRankings();
+  }
+
+  await db.collection("wilsonLowerBoundAvgHistory").add({
+    value: average,
+    previousValue: previous,
+    ratedSpotCount: ratedSpotCount,
+    byCountry: byCountry,
+    rankingStrategy: config.strategy,
+    rankingsRecomputed: shouldRecompute,
+    rankingStats: rankingStats,
+    computedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return {average, previous, ratedSpotCount, rankingsRecomputed: shouldRecompute, rankingStats};
+}
+
+/**
+ * Scheduled function: recomputes wilsonLowerBoundAvg daily
+ */
+exports.updateWilsonLowerBoundAvgScheduled = onSchedule(
+    {
+      schedule: "every day 02:00",
+      timeZone: "UTC",
+      region: "europe-west1",
+      memory: "1GiB",
+      timeoutSeconds: 540,
+    },
+    async () => {
+      console.log("Scheduled wilsonLowerBoundAvg update started");
+      try {
+        const result = await updateWilsonLowerBoundAvg();
+        console.log("Scheduled wilsonLowerBoundAvg update completed", result);
+      } catch (error) {
+        console.error("Error in scheduled wilsonLowerBoundAvg update:", error);
+        throw error;
+      }
+    },
+);
+
+/**
+ * Admin callable: recomputes wilsonLowerBoundAvg now
+ */
+exports.recomputeWilsonLowerBoundAvg = onCall(
+    {region: "europe-west1", memory: "1GiB", timeoutSeconds: 540},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.RANKINGS_MANAGE);
+        const {forceRecompute = false} = request.data || {};
+        const result = await updateWilsonLowerBoundAvg({forceRecompute});
+        await writeAuditLog(request, "recomputeWilsonLowerBoundAvg", {
+          action: "wilsonLowerBoundAvgRecomputed",
+          targetType: "settings",
+          targetIds: ["wilsonLowerBoundAvg"],
+          changes: diffFields({wilsonLowerBoundAvg: result.previous}, {wilsonLowerBoundAvg: result.average}),
+          metadata: {
+            forceRecompute: forceRecompute === true,
+            ratedSpotCount: result.ratedSpotCount,
+            rankingsRecomputed: result.rankingsRecomputed,
+          },
+        });
+        return {success: true, ...result};
+      } catch (error) {
+        console.error("recomputeWilsonLowerBoundAvg error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Scheduled: Refresh time-decayed rankings ==========
+/**
+ * Rebuilds the decayed rating totals of spots aggregated without the
+ * configured half-life, then recomputes the Wilson averages and all rankings.
+ * Decay lowers scores over time without any writes, so this has to run
+ * periodically while `ratingHalfLifeDays` is set.
+ * @return {Promise<Object>} {enabled, rebuiltSpots, ...updateWilsonLowerBoundAvg result}
+ */
+async function refreshDecayedRankings() {
+  const {config} = await loadRankingContext();
+  if (!(config.ratingHalfLifeDays > 0)) {
+    return {enabled: false};
+  }
+
+  // Spots rated before decay was enabled, or with another half-life
+  const PAGE_SIZE = 1000;
+  const staleSpotIds = [];
+  let lastDoc = null;
+  for (;;) {
+    let query = db.collection("spots")
+        .where("ratingCount", ">", 0)
+        .orderBy("ratingCount")
+        .select("ratingDecay")
+        .limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snap = await query.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const decay = doc.data().ratingDecay;
+      if (!decay || decay.halfLifeDays !== config.ratingHalfLifeDays) {
+        staleSpotIds.push(doc.id);
+      }
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+    if (snap.size < PAGE_SIZE) break;
+  }
+
+  for (const spotId of staleSpotIds) {
+    await recomputeSpotRatingAggregates(spotId);
+  }
+
+  const result = await updateWilsonLowerBoundAvg({forceRecompute: true});
+  return {enabled: true, rebuiltSpots: staleSpotIds.length, ...result};
+}
+
+/**
+ * Scheduled function: refreshes time-decayed rankings daily (no-op while
+ * ratings don't decay)
+ */
+exports.refreshDecayedRankingsScheduled = onSchedule(
+    {
+      schedule: "every day 03:00",
+      timeZone: "UTC",
+      region: "europe-west1",
+      memory: "1GiB",
+      timeoutSeconds: 540,
+    },
+    async () => {
+      console.log("Scheduled decayed ranking refresh started");
+      try {
+        const result = await refreshDecayedRankings();
+        console.log("Scheduled decayed ranking refresh completed", result);
+      } catch (error) {
+        console.error("Error in scheduled decayed ranking refresh:", error);
+        throw error;
+      }
+    },
+);
+
+// ========== Rating Triggers ==========
+// Each trigger applies the rating's delta to the spot's running totals;
+// duplicate deliveries of the same event are ignored.
+exports.onRatingCreated = onDocumentCreated(
+    {document: "ratings/{ratingId}", region: "europe-west1"},
+    async (event) => {
+      try {
+        const data = event.data.data();
+        if (!data || !data.spotId) return;
+        // Restoring a spot from the trash recomputes its aggregates once
+        if (data.restoredFromTrash === true) return;
+
+        // Flagged votes are down-weighted or quarantined before they count
+        const moderation = await detectRatingAbuse(data);
+        if (moderation.abuseFlags.length > 0) {
+          console.log("Rating flagged for abuse review", {
+            ratingId: event.params.ratingId,
+            spotId: data.spotId,
+            userId: data.userId,
+            ...moderation,
+          });
+        }
+
+        await applyRatingEvent(
+            event.id,
+            undefined,
+            data,
+            await getCachedRankingContext(),
+            {ratingRef: event.data.ref, moderation},
+        );
+      } catch (e) {
+        console.error("onRatingCreated error", e);
+      }
+    },
+);
+
+exports.onRatingUpdated = onDocumentUpdated(
+    {document: "ratings/{ratingId}", region: "europe-west1"},
+    async (event) => {
+      try {
+        const before = event.data.before.data();
+        const after = event.data.after.data();
+        // Ratings moved or discarded by mergeSpots are re-aggregated by the merge
+        if (after.mergeId && after.mergeId !== before.mergeId) return;
+        // A changed spotId (unlikely) moves the rating between both spots
+        await applyRatingEvent(event.id, before, after, await getCachedRankingContext());
+      } catch (e) {
+        console.error("onRatingUpdated error", e);
+      }
+    },
+);
+
+exports.onRatingDeleted = onDocumentDeleted(
+    {document: "ratings/{ratingId}", region: "europe-west1"},
+    async (event) => {
+      try {
+        const before = event.data && event.data.data();
+        if (before && (before.mergeDiscarded === true || before.trashed === true)) return;
+        await applyRatingEvent(event.id, before, undefined, await getCachedRankingContext());
+      } catch (e) {
+        console.error("onRatingDeleted error", e);
+      }
+    },
+);
+
+// ========== Moderator Callables: Rating abuse review ==========
+/**
+ * Lists ratings flagged by abuse detection, newest first
+ */
+exports.listFlaggedRatings = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
+      try {
+        const grant = await ensurePermission(request, PERMISSIONS.RATINGS_MODERATE, ANY_SCOPE);
+        const countries = permittedCountries(grant, PERMISSIONS.RATINGS_MODERATE);
+        const {
+          status = null, // "quarantined" or "downweighted"; null = both
+          limit = 50,
+          startAfterId = null,
+        } = request.data || {};
+
+        const statuses = status ?
+          [status] :
+          [MODERATION_STATUS.QUARANTINED, MODERATION_STATUS.DOWNWEIGHTED];
+        if (!statuses.every((s) => s === MODERATION_STATUS.QUARANTINED || s === MODERATION_STATUS.DOWNWEIGHTED)) {
+          throw new Error("status must be \"quarantined\" or \"downweighted\"");
+        }
+        const pageSize = Math.max(1, Math.min(200, Number(limit) || 50));
+
+        const query = db.collection("ratings")
+            .where("moderationStatus", "in", statuses)
+            .orderBy("createdAt", "desc");
+        const cursorDoc = startAfterId ? await db.collection("ratings").doc(startAfterId).get() : null;
+        // Regional moderators only see ratings of spots in their countries
+        const page = await queryListingPage(query, pageSize, cursorDoc && cursorDoc.exists ? cursorDoc : null,
+            (docs) => filterDocsBySpotCountries(docs, (data) => [data.spotId], countries));
+
+        const ratings = page.docs.map((doc) => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            spotId: data.spotId,
+            userId: data.userId,
+            rating: data.rating,
+            weight: data.weight,
+            moderationStatus: data.moderationStatus,
+            abuseFlags: data.abuseFlags || [],
+            createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+          };
+        });
+
+        return {
+          success: true,
+          ratings,
+          nextStartAfterId: page.nextStartAfterId,
+        };
+      } catch (error) {
+        console.error("listFlaggedRatings error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+/**
+ * Restores or quarantines a rating after review. The rating update trigger
+ * applies the weight change to the spot aggregates.
+ */
+exports.reviewRating = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.RATINGS_MODERATE, ANY_SCOPE);
+        const {ratingId, action} = request.data || {};
+        if (!ratingId) {
+          throw new Error("ratingId is required");
+        }
+
+        let update;
+        if (action === "restore") {
+          update = {weight: 1, moderationStatus: MODERATION_STATUS.RESTORED};
+        } else if (action === "quarantine") {
+          update = {weight: 0, moderationStatus: MODERATION_STATUS.QUARANTINED};
+        } else {
+          throw new Error("action must be \"restore\" or \"quarantine\"");
+        }
+
+        const ratingRef = db.collection("ratings").doc(ratingId);
+        const ratingDoc = await ratingRef.get();
+        if (!ratingDoc.exists) {
+          throw new Error("Rating not found");
+        }
+        const ratingSpotId = ratingDoc.data().spotId;
+        const ratingSpotSnap = ratingSpotId ? await db.collection("spots").doc(ratingSpotId).get() : null;
+        await ensureSpotPermission(request, PERMISSIONS.RATINGS_MODERATE, [
+          ratingSpotSnap && ratingSpotSnap.exists ? ratingSpotSnap.data() : null,
+        ]);
+
+        await ratingRef.update({
+          ...update,
+          reviewedBy: request.auth.uid,
+          reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await writeAuditLog(request, "reviewRating", {
+          action: "ratingReviewed",
+          spotId: ratingDoc.data().spotId || null,
+          targetType: "rating",
+          targetIds: [ratingId],
+          changes: diffFields(ratingDoc.data(), update, Object.keys(update)),
+          metadata: {reviewAction: action, ratingUserId: ratingDoc.data().userId || null},
+        });
+
+        return {success: true, ratingId, ...update};
+      } catch (error) {
+        console.error("reviewRating error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Moderator Callables: Duplicate suggestions ==========
+/**
+ * Lists duplicate suggestions, most likely duplicates first
+ */
+exports.listDuplicateSuggestions = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
+      try {
+        const grant = await ensurePermission(request, PERMISSIONS.SPOTS_MODERATE, ANY_SCOPE);
+        const countries = permittedCountries(grant, PERMISSIONS.SPOTS_MODERATE);
+        const {
+          status = SUGGESTION_STATUS.PENDING,
+          limit = 50,
+          startAfterId = null,
+        } = request.data || {};
+        if (!Object.values(SUGGESTION_STATUS).includes(status)) {
+          throw new Error(`status must be one of: ${Object.values(SUGGESTION_STATUS).join(", ")}`);
+        }
+        const pageSize = Math.max(1, Math.min(200, Number(limit) || 50));
+
+        const query = db.collection(DUPLICATE_SUGGESTIONS_COLLECTION)
+            .where("status", "==", status)
+            .orderBy("score", "desc");
+        const cursorDoc = startAfterId ? await db.collection(DUPLICATE_SUGGESTIONS_COLLECTION).doc(startAfterId).get() : null;
+        // Regional moderators only see pairs of spots that are both in their countries
+        const page = await queryListingPage(query, pageSize, cursorDoc && cursorDoc.exists ? cursorDoc : null,
+            (docs) => filterDocsBySpotCountries(docs, (data) => data.spotIds || [data.spotId, data.candidateId], countries));
+
+        const suggestions = page.docs.map((doc) => {
+          const data = doc.data();
+          return {
+            id: doc.id,
+            spotId: data.spotId,
+            candidateId: data.candidateId,
+            spotName: data.spotName,
+            candidateName: data.candidateName,
+            spotSource: data.spotSource,
+            candidateSource: data.candidateSource,
+            score: data.score,
+            signals: data.signals,
+            status: data.status,
+            detectedBy: data.detectedBy,
+            createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+          };
+        });
+
         return {
           success: true,
-          processed: spotIds.length,
-          updated: successCount,
-          failed: failCount,
+          suggestions,
+          nextStartAfterId: page.nextStartAfterId,
         };
       } catch (error) {
-        console.error("recomputeAllRatedSpots error", error);
+        console.error("listDuplicateSuggestions error", error);
         return {success: false, error: error.message};
       }
     },
 );
 
-// ========== Admin Callable: Recompute spot rankings ==========
-exports.recomputeSpotRankings = onCall(
-    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 540},
-    async (_request) => {
+/**
+ * Confirms a duplicate suggestion: sets `duplicateOf` on the duplicate.
+ * The canonical spot defaults to the spot that existed first (the candidate).
+ */
+exports.confirmDuplicateSuggestion = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
       try {
-        // Fetch wilsonLowerBoundAvg from settings once
-        const wilsonLowerBoundAvg = await getWilsonLowerBoundAvg();
+        await ensurePermission(request, PERMISSIONS.SPOTS_MODERATE, ANY_SCOPE);
+        const {suggestionId, canonicalId = null} = request.data || {};
+        if (!suggestionId) {
+          throw new Error("suggestionId is required");
+        }
 
-        // Query all spots
-        const spotsSnap = await db.collection("spots").get();
+        const result = await db.runTransaction(async (tx) => {
+          const suggestionRef = db.collection(DUPLICATE_SUGGESTIONS_COLLECTION).doc(suggestionId);
+          const suggestionSnap = await tx.get(suggestionRef);
+          if (!suggestionSnap.exists) {
+            throw new Error("Suggestion not found");
+          }
+          const suggestion = suggestionSnap.data();
+          if (suggestion.status !== SUGGESTION_STATUS.PENDING) {
+            throw new Error(`Suggestion is already ${suggestion.status}`);
+          }
 
-        let processed = 0;
-        let updated = 0;
-        let failed = 0;
+          const canonical = canonicalId || suggestion.candidateId;
+          if (!suggestion.spotIds.includes(canonical)) {
+            throw new Error("canonicalId must be one of the suggested spots");
+          }
+          const duplicate = suggestion.spotIds.find((id) => id !== canonical);
 
-        // Process each spot
-        for (const spotDoc of spotsSnap.docs) {
-          try {
-            processed++;
-            const spotData = spotDoc.data();
-            const wilsonLowerBound = spotData.wilsonLowerBound || 0;
-
-            let ranking;
-            if (wilsonLowerBound === 0) {
-              // No ratings: set ranking to random value
-              ranking = Math.random();
-            } else if (wilsonLowerBound > wilsonLowerBoundAvg) {
-              ranking = wilsonLowerBound + 10;
-            } else if (wilsonLowerBound < wilsonLowerBoundAvg) {
-              ranking = wilsonLowerBound - 10;
-            } else {
-              // Equal: treat as above average
-              ranking = wilsonLowerBound + 10;
-            }
+          const [canonicalSnap, duplicateSnap] = await Promise.all([
+            tx.get(db.collection("spots").doc(canonical)),
+            tx.get(db.collection("spots").doc(duplicate)),
+          ]);
+          if (!canonicalSnap.exists || !duplicateSnap.exists) {
+            throw new Error("Spot not found");
+          }
+          await ensureSpotPermission(request, PERMISSIONS.SPOTS_MODERATE, [canonicalSnap.data(), duplicateSnap.data()]);
+          // Point at the root, never at another duplicate
+          const canonicalRoot = canonicalSnap.data().duplicateOf || canonical;
+          if (canonicalRoot === duplicate) {
+            throw new Error("The canonical spot is already a duplicate of the other spot");
+          }
 
-            // Update the spot document with ranking field
-            await spotDoc.ref.update({
-              ranking: Number(ranking.toFixed(4)),
-              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            });
+          tx.update(duplicateSnap.ref, {
+            duplicateOf: canonicalRoot,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          tx.update(suggestionRef, {
+            status: SUGGESTION_STATUS.CONFIRMED,
+            canonicalId: canonicalRoot,
+            duplicateId: duplicate,
+            reviewedBy: request.auth.uid,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          return {
+            canonicalId: canonicalRoot,
+            duplicateId: duplicate,
+            previousDuplicateOf: duplicateSnap.data().duplicateOf || null,
+          };
+        });
 
-            updated++;
-          } catch (e) {
-            console.error("Failed to recompute ranking for", spotDoc.id, e);
-            failed++;
-          }
-        }
+        await writeAuditLog(request, "confirmDuplicateSuggestion", {
+          action: "spotMarkedAsDuplicate",
+          spotId: result.duplicateId,
+          targetIds: [result.duplicateId, result.canonicalId],
+          changes: diffFields({duplicateOf: result.previousDuplicateOf}, {duplicateOf: result.canonicalId}),
+          metadata: {suggestionId, originalSpotId: result.canonicalId},
+        });
 
-        return {
-          success: true,
-          processed: processed,
-          updated: updated,
-          failed: failed,
-        };
+        return {success: true, canonicalId: result.canonicalId, duplicateId: result.duplicateId};
       } catch (error) {
-        console.error("recomputeSpotRankings error", error);
+        console.error("confirmDuplicateSuggestion error", error);
         return {success: false, error: error.message};
       }
     },
 );
 
-// ========== Rating Triggers ==========
-exports.onRatingCreated = onDocumentCreated(
-    {document: "ratings/{ratingId}", region: "europe-west1"},
-    async (event) => {
+/**
+ * Dismisses a duplicate suggestion; the pair won't be suggested again
+ */
+exports.dismissDuplicateSuggestion = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
       try {
-        const data = event.data.data();
-        const spotId = data && data.spotId;
-        await recomputeSpotRatingAggregates(spotId);
-      } catch (e) {
-        console.error("onRatingCreated error", e);
+        await ensurePermission(request, PERMISSIONS.SPOTS_MODERATE, ANY_SCOPE);
+        const {suggestionId} = request.data || {};
+        if (!suggestionId) {
+          throw new Error("suggestionId is required");
+        }
+
+        const suggestionRef = db.collection(DUPLICATE_SUGGESTIONS_COLLECTION).doc(suggestionId);
+        const suggestionSnap = await suggestionRef.get();
+        if (!suggestionSnap.exists) {
+          throw new Error("Suggestion not found");
+        }
+        if (suggestionSnap.data().status !== SUGGESTION_STATUS.PENDING) {
+          throw new Error(`Suggestion is already ${suggestionSnap.data().status}`);
+        }
+        const suggestedSpotSnaps = await db.getAll(
+            ...(suggestionSnap.data().spotIds || []).map((id) => db.collection("spots").doc(id)),
+        );
+        await ensureSpotPermission(request, PERMISSIONS.SPOTS_MODERATE, suggestedSpotSnaps
+            .filter((snap) => snap.exists)
+            .map((snap) => snap.data()));
+
+        await suggestionRef.update({
+          status: SUGGESTION_STATUS.DISMISSED,
+          reviewedBy: request.auth.uid,
+          reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await writeAuditLog(request, "dismissDuplicateSuggestion", {
+          action: "duplicateSuggestionDismissed",
+          spotId: suggestionSnap.data().spotId || null,
+          targetType: "duplicateSuggestion",
+          targetIds: [suggestionId, ...(suggestionSnap.data().spotIds || [])],
+          changes: {status: {from: SUGGESTION_STATUS.PENDING, to: SUGGESTION_STATUS.DISMISSED}},
+        });
+        return {success: true, suggestionId};
+      } catch (error) {
+        console.error("dismissDuplicateSuggestion error", error);
+        return {success: false, error: error.message};
       }
     },
 );
 
-exports.onRatingUpdated = onDocumentUpdated(
-    {document: "ratings/{ratingId}", region: "europe-west1"},
-    async (event) => {
+// ========== Moderator Callable: Merge duplicate spots ==========
+/**
+ * Merges a duplicate spot into its canonical spot: moves ratings and
+ * comments, unions media and attributes, recomputes both spots' aggregates
+ * and leaves `mergedInto` on the duplicate so its page redirects
+ */
+exports.mergeSpots = onCall(
+    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 300},
+    async (request) => {
       try {
-        const before = event.data.before.data();
-        const after = event.data.after.data();
-        const beforeSpotId = before && before.spotId;
-        const afterSpotId = after && after.spotId;
-
-        // If spotId changed (unlikely), recompute both
-        if (beforeSpotId && beforeSpotId !== afterSpotId) {
-          await Promise.all([
-            recomputeSpotRatingAggregates(beforeSpotId),
-            recomputeSpotRatingAggregates(afterSpotId),
-          ]);
-        } else {
-          await recomputeSpotRatingAggregates(afterSpotId);
+        await ensurePermission(request, PERMISSIONS.SPOTS_MODERATE, ANY_SCOPE);
+        const {duplicateId, canonicalId} = request.data || {};
+        if (!duplicateId || !canonicalId) {
+          throw new Error("duplicateId and canonicalId are required");
         }
-      } catch (e) {
-        console.error("onRatingUpdated error", e);
+        if (duplicateId === canonicalId) {
+          throw new Error("Cannot merge a spot into itself");
+        }
+
+        const duplicateRef = db.collection("spots").doc(duplicateId);
+        const canonicalRef = db.collection("spots").doc(canonicalId);
+        const [duplicateSnap, canonicalSnap] = await Promise.all([duplicateRef.get(), canonicalRef.get()]);
+        if (!duplicateSnap.exists || !canonicalSnap.exists) {
+          throw new Error("Spot not found");
+        }
+        const duplicate = duplicateSnap.data();
+        const canonical = canonicalSnap.data();
+        await ensureSpotPermission(request, PERMISSIONS.SPOTS_MODERATE, [duplicate, canonical]);
+        if (duplicate.mergedInto) {
+          throw new Error(`Spot ${duplicateId} was already merged into ${duplicate.mergedInto}`);
+        }
+        if (canonical.mergedInto || (canonical.duplicateOf && canonical.duplicateOf !== duplicateId)) {
+          throw new Error("The canonical spot is itself a duplicate; merge into its canonical spot instead");
+        }
+
+        // The audit log entry id doubles as the merge id on moved ratings
+        const mergeId = db.collection(AUDIT_LOG_COLLECTION).doc().id;
+        const ratingStats = await moveSpotRatings(duplicateId, canonicalId, mergeId);
+        const movedComments = await moveSpotComments(duplicateId, canonicalId);
+
+        const {fields, addedImages} = buildMergedSpotFields(canonical, duplicate);
+        await canonicalRef.update({
+          ...fields,
+          // A canonical spot marked as duplicate of the spot merged into it is canonical now
+          ...(canonical.duplicateOf === duplicateId ? {duplicateOf: null} : {}),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await duplicateRef.update({
+          mergedInto: canonicalId,
+          duplicateOf: canonicalId,
+          mergedAt: admin.firestore.FieldValue.serverTimestamp(),
+          mergedBy: request.auth.uid,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        await recomputeSpotRatingAggregates(canonicalId);
+        await recomputeSpotRatingAggregates(duplicateId);
+
+        // Close the matching duplicate suggestion, if one was queued
+        const suggestionRef = db.collection(DUPLICATE_SUGGESTIONS_COLLECTION).doc(suggestionIdFor(duplicateId, canonicalId));
+        const suggestionSnap = await suggestionRef.get();
+        if (suggestionSnap.exists && suggestionSnap.data().status === SUGGESTION_STATUS.PENDING) {
+          await suggestionRef.update({
+            status: SUGGESTION_STATUS.CONFIRMED,
+            canonicalId: canonicalId,
+            duplicateId: duplicateId,
+            reviewedBy: request.auth.uid,
+            reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+
+        const stats = {
+          movedRatings: ratingStats.moved,
+          discardedRatings: ratingStats.discarded,
+          movedComments: movedComments,
+          addedImages: addedImages,
+          mergedFields: Object.keys(fields),
+        };
+        await writeAuditLog(request, "mergeSpots", {
+          id: mergeId,
+          action: "spotMerged",
+          spotId: duplicateId,
+          targetIds: [duplicateId, canonicalId],
+          changes: diffFields(duplicate, {mergedInto: canonicalId, duplicateOf: canonicalId}, ["mergedInto", "duplicateOf"]),
+          metadata: {
+            canonicalSpotId: canonicalId,
+            canonicalChanges: diffFields(canonical, fields, Object.keys(fields)),
+            ...stats,
+          },
+        });
+
+        return {success: true, duplicateId, canonicalId, ...stats};
+      } catch (error) {
+        console.error("mergeSpots error", error);
+        return {success: false, error: error.message};
       }
     },
 );
 
-exports.onRatingDeleted = onDocumentDeleted(
-    {document: "ratings/{ratingId}", region: "europe-west1"},
-    async (event) => {
+// ========== Moderator Callable: Query the audit log ==========
+/**
+ * Lists audit log entries, newest first, filtered by actor (`userId`),
+ * `action`, `spotId` and a `startDate`/`endDate` range (ISO strings).
+ * Covers entries written by the app and by admin callables. Every
+ * combination of the filters has a composite index (firestore.indexes.json).
+ */
+exports.queryAuditLog = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
       try {
-        const before = event.data && event.data.data();
-        const spotId = before && before.spotId;
-        await recomputeSpotRatingAggregates(spotId);
-      } catch (e) {
-        console.error("onRatingDeleted error", e);
+        const grant = await ensurePermission(request, PERMISSIONS.AUDIT_LOG_READ, ANY_SCOPE);
+        const countries = permittedCountries(grant, PERMISSIONS.AUDIT_LOG_READ);
+        const {
+          userId = null,
+          action = null,
+          spotId = null,
+          startDate = null,
+          endDate = null,
+          limit = 50,
+          startAfterId = null,
+        } = request.data || {};
+        const pageSize = Math.max(1, Math.min(200, Number(limit) || 50));
+
+        const parseDate = (value, name) => {
+          if (!value) return null;
+          const date = new Date(value);
+          if (Number.isNaN(date.getTime())) {
+            throw new Error(`${name} must be a valid date`);
+          }
+          return admin.firestore.Timestamp.fromDate(date);
+        };
+        const start = parseDate(startDate, "startDate");
+        const end = parseDate(endDate, "endDate");
+        if (start && end && start.toMillis() > end.toMillis()) {
+          throw new Error("startDate must be before endDate");
+        }
+
+        let query = db.collection(AUDIT_LOG_COLLECTION);
+        if (userId) query = query.where("userId", "==", userId);
+        if (action) query = query.where("action", "==", action);
+        if (spotId) query = query.where("spotId", "==", spotId);
+        if (start) query = query.where("timestamp", ">=", start);
+        if (end) query = query.where("timestamp", "<=", end);
+        query = query.orderBy("timestamp", "desc");
+        const cursorDoc = startAfterId ? await db.collection(AUDIT_LOG_COLLECTION).doc(startAfterId).get() : null;
+        // Regional moderators only see entries about spots in their countries
+        const page = await queryListingPage(query, pageSize, cursorDoc && cursorDoc.exists ? cursorDoc : null,
+            (docs) => filterDocsBySpotCountries(docs, (data) => [data.spotId], countries));
+
+        const entries = page.docs.map((doc) => ({id: doc.id, ...toAuditValue(doc.data())}));
+
+        return {
+          success: true,
+          entries,
+          nextStartAfterId: page.nextStartAfterId,
+        };
+      } catch (error) {
+        console.error("queryAuditLog error", error);
+        return {success: false, error: error.message};
       }
     },
 );
 
+/**
+ * Writes the geohash fields on a spot when they are missing or out of date
+ * @param {FirebaseFirestore.DocumentReference} spotRef - The spot document
+ * @param {Object} spotData - Current spot data
+ * @return {Promise<boolean>} True if the spot was updated
+ */
+async function syncSpotGeoFields(spotRef, spotData) {
+  const geoFields = buildSpotGeoFields(spotData.latitude, spotData.longitude);
+  if (!geoFields.geohash) return false;
+
+  const upToDate = spotData.geohash === geoFields.geohash &&
+    Array.isArray(spotData.geohashes) &&
+    spotData.geohashes.join(",") === geoFields.geohashes.join(",");
+  if (upToDate) return false;
+
+  await spotRef.update(geoFields);
+  return true;
+}
+
+/**
+ * Writes the attribute index of a spot (used by map attribute filters) when
+ * it is missing or out of date
+ * @param {FirebaseFirestore.DocumentReference} spotRef - The spot document
+ * @param {Object} spotData - Current spot data
+ * @return {Promise<boolean>} True if the spot was updated
+ */
+async function syncSpotAttributeIndex(spotRef, spotData) {
+  if (attributeIndexUpToDate(spotData)) return false;
+  // Replace the whole map so removed keys disappear
+  await spotRef.update({attributeIndex: buildSpotAttributeIndex(spotData)});
+  return true;
+}
+
+/**
+ * Validates and normalizes a new spot, fills in a missing address by reverse
+ * geocoding and initializes its ranking
+ * @param {FirebaseFirestore.DocumentReference} spotRef - The spot document
+ * @param {Object} spotData - Spot data as created
+ * @return {Promise<Object>} The spot data after normalization
+ */
+async function normalizeNewSpot(spotRef, spotData) {
+  const {updates, issues, normalized} = validateNewSpot(spotData);
+  const hasCoordinates = !issues.includes(VALIDATION_ISSUES.INVALID_COORDINATES);
+
+  if (hasCoordinates && needsGeocoding(normalized)) {
+    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    try {
+      const result = apiKey ?
+        await geocodeLatLng(normalized.latitude, normalized.longitude, apiKey) :
+        {success: false, error: "Google Maps API key not configured"};
+      if (result.success) {
+        // Only fill in what the creator left empty
+        const geocoded = {
+          address: result.address || null,
+          city: result.city || null,
+          countryCode: result.countryCode ? String(result.countryCode).toUpperCase() : null,
+        };
+        for (const [field, value] of Object.entries(geocoded)) {
+          if (value && !normalized[field]) {
+            updates[field] = value;
+            normalized[field] = value;
+          }
+        }
+      } else {
+        console.warn(`Geocoding failed for new spot ${spotRef.id}: ${result.error}`);
+      }
+    } catch (e) {
+      console.warn(`Geocoding failed for new spot ${spotRef.id}`, e);
+    }
+  }
+
+  if (hasCoordinates) {
+    const geoFields = buildSpotGeoFields(normalized.latitude, normalized.longitude);
+    Object.assign(updates, geoFields);
+    Object.assign(normalized, geoFields);
+  }
+
+  const {config, context} = await getCachedRankingContext();
+  const ranking = computeSpotRanking({id: spotRef.id, ...normalized}, config, context);
+  if (normalized.ranking !== ranking) {
+    updates.ranking = ranking;
+    normalized.ranking = ranking;
+  }
+
+  if (issues.length > 0) {
+    console.warn("New spot hidden by validation", {spotId: spotRef.id, issues});
+  }
+  if (Object.keys(updates).length > 0) {
+    await spotRef.update({
+      ...updates,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+  return normalized;
+}
+
 // Trigger when a new spot is created
 exports.onSpotCreated = onDocumentCreated(
-    {document: "spots/{spotId}", region: "europe-west1"},
-    (event) => {
-      const spotData = event.data.data();
+    {document: "spots/{spotId}", region: "europe-west1", secrets: ["GOOGLE_MAPS_API_KEY"]},
+    async (event) => {
+      let spotData = event.data.data();
       console.log("New parkour spot created:", {
         spotId: event.params.spotId,
         name: spotData.name,
         createdBy: spotData.createdBy,
       });
 
-    // You can add logic here like:
-    // - Send notifications to nearby users
-    // - Update search indexes
-    // - Validate spot data
+      // Spots restored from the trash keep their data and ratings
+      const isRestored = Boolean(spotData.restoredAt);
+
+      // Any signed-in user can create spots, so validate server-side
+      if (!isRestored) {
+        try {
+          spotData = await normalizeNewSpot(event.data.ref, spotData);
+        } catch (e) {
+          console.error("onSpotCreated validation error", e);
+        }
+
+        try {
+          const suggestions = await detectSpotDuplicates(event.params.spotId, spotData, {detectedBy: "spotCreated"});
+          if (suggestions > 0) {
+            console.log(`Queued ${suggestions} duplicate suggestion(s) for spot ${event.params.spotId}`);
+          }
+        } catch (e) {
+          console.error("onSpotCreated duplicate detection error", e);
+        }
+      }
+
+      try {
+        await syncSpotGeoFields(event.data.ref, spotData);
+      } catch (e) {
+        console.error("onSpotCreated geohash error", e);
+      }
+
+      try {
+        await syncSpotAttributeIndex(event.data.ref, spotData);
+      } catch (e) {
+        console.error("onSpotCreated attribute index error", e);
+      }
+
+      try {
+        await updateSpotSearchIndex(event.params.spotId, spotData);
+      } catch (e) {
+        console.error("onSpotCreated search index error", e);
+      }
+
+      try {
+        await bumpSpotCells([spotData]);
+      } catch (e) {
+        console.error("onSpotCreated cache invalidation error", e);
+      }
     },
 );
 
 // Trigger when a spot is updated
 exports.onSpotUpdated = onDocumentUpdated(
     {document: "spots/{spotId}", region: "europe-west1"},
-    (event) => {
+    async (event) => {
       const beforeData = event.data.before.data();
       const afterData = event.data.after.data();
 
@@ -1027,24 +2639,79 @@ exports.onSpotUpdated = onDocumentUpdated(
         ratingChanged: beforeData.rating !== afterData.rating,
       });
 
+      // Keep geohash fields in step with the coordinates (no-op when unchanged)
+      try {
+        await syncSpotGeoFields(event.data.after.ref, afterData);
+      } catch (e) {
+        console.error("onSpotUpdated geohash error", e);
+      }
+
+      try {
+        await syncSpotAttributeIndex(event.data.after.ref, afterData);
+      } catch (e) {
+        console.error("onSpotUpdated attribute index error", e);
+      }
+
+      if (searchIndexNeedsUpdate(beforeData, afterData)) {
+        try {
+          await updateSpotSearchIndex(event.params.spotId, afterData);
+        } catch (e) {
+          console.error("onSpotUpdated search index error", e);
+        }
+      }
+
+      // Invalidate cached map responses (covers rating aggregate updates too)
+      if (spotListFieldsChanged(beforeData, afterData)) {
+        try {
+          await bumpSpotCells([beforeData, afterData]);
+        } catch (e) {
+          console.error("onSpotUpdated cache invalidation error", e);
+        }
+      }
+
     // You can add logic here like:
-    // - Update search indexes
     // - Send notifications about changes
     // - Log rating changes
     },
 );
 
+// Trigger when a spot is deleted
+exports.onSpotDeleted = onDocumentDeleted(
+    {document: "spots/{spotId}", region: "europe-west1"},
+    async (event) => {
+      try {
+        await deleteSpotSearchIndex(event.params.spotId);
+      } catch (e) {
+        console.error("onSpotDeleted search index error", e);
+      }
+
+      try {
+        await bumpSpotCells([event.data ? event.data.data() : null]);
+      } catch (e) {
+        console.error("onSpotDeleted cache invalidation error", e);
+      }
+    },
+);
+
 
 /**
- * Downloads a file from the given URL
+ * Requests a file from the given URL
  * @param {string} url - The URL to download from
- * @return {Promise<Buffer>} A promise that resolves to the file buffer
+ * @param {Object} headers - Extra request headers
+ * @return {Promise<Object>} {statusCode, buffer, headers}; buffer is null
+ *   for 304 Not Modified
  */
-function downloadFile(url) {
+function requestFile(url, headers = {}) {
   return new Promise((resolve, reject) => {
     https
-        .get(url, (response) => {
+        .get(url, {headers}, (response) => {
+          if (response.statusCode === 304) {
+            response.resume();
+            resolve({statusCode: 304, buffer: null, headers: response.headers});
+            return;
+          }
           if (response.statusCode !== 200) {
+            response.resume();
             reject(
                 new Error(
                     `HTTP ${response.statusCode}: ${response.statusMessage}`,
@@ -1055,13 +2722,50 @@ function downloadFile(url) {
 
           const chunks = [];
           response.on("data", (chunk) => chunks.push(chunk));
-          response.on("end", () => resolve(Buffer.concat(chunks)));
+          response.on("end", () => resolve({
+            statusCode: 200,
+            buffer: Buffer.concat(chunks),
+            headers: response.headers,
+          }));
           response.on("error", reject);
         })
         .on("error", reject);
   });
 }
 
+/**
+ * Downloads a file from the given URL
+ * @param {string} url - The URL to download from
+ * @return {Promise<Buffer>} A promise that resolves to the file buffer
+ */
+async function downloadFile(url) {
+  const response = await requestFile(url);
+  return response.buffer;
+}
+
+/**
+ * Downloads a file unless the server reports it unchanged since a previous
+ * download (If-None-Match / If-Modified-Since)
+ * @param {string} url - The URL to download from
+ * @param {Object|null} previous - {etag, lastModified} of the previous download
+ * @return {Promise<Object>} {notModified, buffer, etag, lastModified, contentHash};
+ *   buffer and contentHash are null when not modified
+ */
+async function downloadFileIfChanged(url, previous = null) {
+  const headers = {};
+  if (previous && previous.etag) headers["If-None-Match"] = previous.etag;
+  if (previous && previous.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+  const response = await requestFile(url, headers);
+  const notModified = response.statusCode === 304;
+  return {
+    notModified: notModified,
+    buffer: response.buffer,
+    etag: response.headers.etag || (notModified && previous ? previous.etag || null : null),
+    lastModified: response.headers["last-modified"] || (notModified && previous ? previous.lastModified || null : null),
+    contentHash: response.buffer ? hashContent(response.buffer) : null,
+  };
+}
+
 /**
  * Detects import format based on URL and file buffer
  * @param {Buffer} buffer - The downloaded file buffer
@@ -1277,14 +2981,22 @@ function extractDatalayerUrls(json, baseUrl) {
  * Downloads and processes a single datalayer GeoJSON
  * @param {string} datalayerUrl - URL to the datalayer GeoJSON
  * @param {string} datalayerName - Name of the datalayer for folder organization
+ * @param {Array<Object>} downloads - Receives {url, etag, lastModified, contentHash}
+ *   of the download (contentHash null and folderName set if it failed)
  * @return {Promise<Object[]>} Array of placemarks
  */
-async function processDatalayer(datalayerUrl, datalayerName) {
+async function processDatalayer(datalayerUrl, datalayerName, downloads = []) {
   try {
     console.log(`Processing datalayer: ${datalayerName} from ` +
       `${datalayerUrl}`);
-    const fileBuffer = await downloadFile(datalayerUrl);
-    const geojsonText = fileBuffer.toString("utf8");
+    const download = await downloadFileIfChanged(datalayerUrl);
+    downloads.push({
+      url: datalayerUrl,
+      etag: download.etag,
+      lastModified: download.lastModified,
+      contentHash: download.contentHash,
+    });
+    const geojsonText = download.buffer.toString("utf8");
     const placemarks = parseGeoJsonFeatures(geojsonText);
 
     // Add datalayer name as folder for all placemarks
@@ -1295,6 +3007,14 @@ async function processDatalayer(datalayerUrl, datalayerName) {
     }));
   } catch (error) {
     console.error(`Failed to process datalayer ${datalayerName}:`, error);
+    // A layer that downloaded but didn't parse failed too
+    const failed = downloads.find((download) => download.url === datalayerUrl);
+    if (failed) {
+      failed.contentHash = null;
+      failed.folderName = datalayerName;
+    } else {
+      downloads.push({url: datalayerUrl, etag: null, lastModified: null, contentHash: null, folderName: datalayerName});
+    }
     return [];
   }
 }
@@ -1369,6 +3089,7 @@ function parseGeoJsonFeatures(geojsonText) {
 
       placemarks.push({
         name,
+        externalId: normalizeExternalId(feature.id),
         description,
         coordinates: {latitude: Number(latitude),
           longitude: Number(longitude), altitude},
@@ -1991,6 +3712,7 @@ function parseKmlPlacemarks(kmlContent) {
                   .map(Number);
               placemarks.push({
                 name: name,
+                externalId: normalizeExternalId(placemark.$ && placemark.$.id),
                 description: description,
                 coordinates: {latitude, longitude, altitude: altitude || 0},
                 extendedData:
@@ -2007,6 +3729,7 @@ function parseKmlPlacemarks(kmlContent) {
               if (address) {
                 placemarks.push({
                   name: name,
+                  externalId: normalizeExternalId(placemark.$ && placemark.$.id),
                   description: description,
                   coordinates: null, // Will be geocoded later
                   address: address,
@@ -2053,6 +3776,7 @@ function parseKmlPlacemarks(kmlContent) {
                   .map(Number);
               placemarks.push({
                 name: name,
+                externalId: normalizeExternalId(placemark.$ && placemark.$.id),
                 description: description,
                 coordinates: {latitude, longitude, altitude: altitude || 0},
                 extendedData:
@@ -2066,6 +3790,7 @@ function parseKmlPlacemarks(kmlContent) {
               if (address) {
                 placemarks.push({
                   name: name,
+                  externalId: normalizeExternalId(placemark.$ && placemark.$.id),
                   description: description,
                   coordinates: null, // Will be geocoded later
                   address: address,
@@ -2219,17 +3944,53 @@ async function geocodeCoordinates(latitude, longitude, apiKey) {
 }
 
 /**
- * Helper function to process a single sync source with geocoding
+ * Downloads and parses a sync source, applying its includeFolders filter.
+ * With the source's previous fetchState (see sync-content-hash.js), it sends
+ * conditional requests and reports `notModified` instead of placemarks when
+ * neither the files nor the source settings changed.
  * @param {Object} source - The sync source object
- * @param {string} sourceId - The ID of the sync source
- * @param {string} apiKey - The Google Maps API key
- * @return {Promise<Object>} Processing result with statistics
+ * @param {Object} options - {fetchState: from the previous sync, force: ignore it}
+ * @return {Promise<Object>} {notModified, placemarks, includeFolders, fetchState,
+ *   failedFolders: names of the uMap datalayers that failed to download}
  */
-async function processSyncSource(source, sourceId, apiKey) {
-  console.log(`Processing source: ${source.name} (${sourceId})`);
+async function loadSourcePlacemarks(source, {fetchState = null, force = false} = {}) {
+  const settingsHash = syncSettingsHash(source);
+  const canSkip = !force && Boolean(fetchState) && fetchState.settingsHash === settingsHash &&
+    Boolean(fetchState.contentHash);
+  const previousFiles = canSkip && Array.isArray(fetchState.files) ? fetchState.files : [];
+  const previousMain = previousFiles.find((file) => file.url === source.kmzUrl) || null;
 
   // Download and process based on detected format (KMZ/KML/GeoJSON)
-  let fileBuffer = await downloadFile(source.kmzUrl);
+  const mainDownload = await downloadFileIfChanged(source.kmzUrl, previousMain);
+  if (mainDownload.notModified) {
+    // uMap datalayers are separate files; all of them must be unchanged too
+    let unchanged = true;
+    for (const file of previousFiles.filter((f) => f.url !== source.kmzUrl)) {
+      try {
+        const download = await downloadFileIfChanged(file.url, file);
+        // Servers without ETag/Last-Modified support send the file again
+        if (!download.notModified && download.contentHash !== file.contentHash) unchanged = false;
+      } catch (e) {
+        console.warn(`Failed to check datalayer ${file.url}`, e.message);
+        unchanged = false;
+      }
+      if (!unchanged) break;
+    }
+    if (unchanged) {
+      console.log(`Source ${source.name} not modified since the last sync`);
+      return {notModified: true, placemarks: [], includeFolders: [], fetchState, failedFolders: []};
+    }
+    // Something changed: download everything, still comparing content hashes
+    return loadSourcePlacemarks(source, {fetchState: {...fetchState, files: []}});
+  }
+
+  const downloads = [{
+    url: source.kmzUrl,
+    etag: mainDownload.etag,
+    lastModified: mainDownload.lastModified,
+    contentHash: mainDownload.contentHash,
+  }];
+  let fileBuffer = mainDownload.buffer;
   const format = detectImportFormat(fileBuffer, source.kmzUrl);
   console.log(`Detected import format: ${format}`);
 
@@ -2271,7 +4032,7 @@ async function processSyncSource(source, sourceId, apiKey) {
           const datalayerName = json.properties.datalayers[i].name || `Datalayer ${i + 1}`;
 
           const datalayerPlacemarks = await processDatalayer(
-              datalayerUrl, datalayerName);
+              datalayerUrl, datalayerName, downloads);
           allPlacemarks.push(...datalayerPlacemarks);
         }
         placemarks = allPlacemarks;
@@ -2357,11 +4118,267 @@ async function processSyncSource(source, sourceId, apiKey) {
   // Clear file buffer to free memory
   fileBuffer = null;
 
+  // A failed download leaves contentHash null, so the next sync won't skip
+  const downloadFailed = downloads.some((download) => !download.contentHash);
+  const newFetchState = {
+    settingsHash: settingsHash,
+    contentHash: downloadFailed ?
+      null :
+      combinedContentHash(settingsHash, downloads.map((download) => download.contentHash)),
+    files: downloads.filter((download) => download.contentHash),
+  };
+  const failedFolders = downloads.filter((download) => !download.contentHash && download.folderName)
+      .map((download) => download.folderName);
+  if (canSkip && newFetchState.contentHash === fetchState.contentHash) {
+    console.log(`Source ${source.name} content unchanged since the last sync`);
+    return {notModified: true, placemarks: [], includeFolders, fetchState: newFetchState, failedFolders};
+  }
+
+  return {notModified: false, placemarks, includeFolders, fetchState: newFetchState, failedFolders};
+}
+
+// Maximum number of entries per list in a sync preview
+const MAX_SYNC_PREVIEW_ITEMS = 500;
+
+/**
+ * Dry run of processSyncSource: downloads and parses the source and matches
+ * its placemarks to the source's spots the same way, without writing
+ * anything or calling the geocoding API. Images are not downloaded, so
+ * image changes show as a change in `imageCount`, and YouTube IDs are
+ * compared before their thumbnails are checked.
+ * @param {Object} source - The sync source object (saved or not)
+ * @param {string|null} sourceId - The ID of the sync source (null for a new source)
+ * @return {Promise<Object>} {sourceId, sourceName, dryRun, stats, changes};
+ *   `changes` lists what would be created, updated (field by field),
+ *   left unchanged and orphaned (spots no longer in the source)
+ */
+async function previewSyncSource(source, sourceId) {
+  console.log(`Previewing source: ${source.name} (${sourceId || "new source"})`);
+  const {placemarks, failedFolders} = await loadSourcePlacemarks(source);
+
+  const existingSpots = sourceId ? await loadSourceSpots(sourceId) : [];
+  const matches = matchPlacemarks(buildSpotMatchIndex(existingSpots), placemarks.map(placemarkMatchItem));
+
+  const created = [];
+  const updated = [];
+  const unchanged = [];
+  const matchedIds = new Set();
+  let needsGeocoding = 0;
+  let skipped = 0;
+  let moved = 0;
+
+  placemarks.forEach((placemark, i) => {
+    const name = (placemark.name || "").trim();
+    const coordinates = placemark.coordinates;
+    const externalId = normalizeExternalId(placemark.externalId);
+    if (!coordinates) {
+      // processSyncSource geocodes the address; a new spot unless the result
+      // matches an existing one
+      if (placemark.address) {
+        needsGeocoding++;
+        created.push({name, address: placemark.address, folderName: placemark.folderName || null, needsGeocoding: true});
+      } else {
+        skipped++;
+      }
+      return;
+    }
+
+    const match = matches[i];
+    const youtubeVideoIds = extractYoutubeVideoIdsFromDescription(placemark.description || "");
+    const proposed = {
+      name: name,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      description: cleanDescription(placemark.description).trim(),
+      spotSourceName: source.name,
+      imageCount: extractImageUrls(placemark).length,
+    };
+    if (source.recordFolderName === true) {
+      proposed.folderName = placemark.folderName || null;
+    }
+
+    if (externalId) {
+      proposed.externalId = externalId;
+    }
+
+    if (!match) {
+      created.push({
+        name,
+        externalId,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        folderName: placemark.folderName || null,
+        imageCount: proposed.imageCount,
+        youtubeVideoIds,
+      });
+      return;
+    }
+
+    const existing = match.spot;
+    matchedIds.add(existing.id);
+    const current = {
+      ...existing.data,
+      imageCount: Array.isArray(existing.data.imageUrls) ? existing.data.imageUrls.length : 0,
+    };
+    const hadVideos = Array.isArray(current.youtubeVideoIds) && current.youtubeVideoIds.length > 0;
+    if (youtubeVideoIds.length > 0 || hadVideos) {
+      proposed.youtubeVideoIds = youtubeVideoIds;
+    }
+    // processSyncSource keeps existing images when the placemark has none
+    if (proposed.imageCount === 0) {
+      delete proposed.imageCount;
+    }
+    const changes = diffFields(current, proposed, Object.keys(proposed));
+    if (changes.latitude || changes.longitude) moved++;
+    if (Object.keys(changes).length > 0) {
+      updated.push({spotId: existing.id, name: current.name || name, matchedBy: match.matchedBy, changes});
+    } else {
+      unchanged.push(existing.id);
+    }
+  });
+
+  // What the source's missingPolicy would do to spots no longer in it
+  const missingPolicy = missingPolicyOf(source);
+  const unseenSpots = existingSpots.filter((spot) => !matchedIds.has(spot.id));
+  const countingMiss = new Set(spotsCountingMiss(unseenSpots, source, failedFolders).map((spot) => spot.id));
+  const orphaned = unseenSpots
+      .map((spot) => {
+        const outcome = placemarks.length > 0 && countingMiss.has(spot.id) ?
+          missingSpotOutcome(spot.data, missingPolicy) :
+          {missCount: Number(spot.data.syncMissCount) || 0, action: null};
+        return {
+          spotId: spot.id,
+          name: spot.data.name || null,
+          latitude: spot.data.latitude,
+          longitude: spot.data.longitude,
+          hidden: spot.data.hidden === true,
+          ratingCount: spot.data.ratingCount || 0,
+          missCount: outcome.missCount,
+          action: outcome.action,
+        };
+      });
+  const orphanedWith = (action) => orphaned.filter((spot) => spot.action === action).length;
+
+  const cap = (list) => list.slice(0, MAX_SYNC_PREVIEW_ITEMS);
+  return {
+    sourceId: sourceId,
+    sourceName: source.name,
+    dryRun: true,
+    missingPolicy: missingPolicy,
+    stats: {
+      total: placemarks.length,
+      created: created.length,
+      updated: updated.length,
+      unchanged: unchanged.length,
+      orphaned: orphaned.length,
+      missingHidden: orphanedWith(MISSING_POLICY_ACTIONS.HIDE),
+      missingFlagged: orphanedWith(MISSING_POLICY_ACTIONS.FLAG),
+      missingSoftDeleted: orphanedWith(MISSING_POLICY_ACTIONS.SOFT_DELETE),
+      moved: moved,
+      skipped: skipped,
+      needsGeocoding: needsGeocoding,
+    },
+    changes: {
+      created: cap(created),
+      updated: cap(updated),
+      unchanged: cap(unchanged),
+      orphaned: cap(orphaned),
+    },
+    truncated: [created, updated, unchanged, orphaned].some((list) => list.length > MAX_SYNC_PREVIEW_ITEMS),
+  };
+}
+
+/**
+ * Records a sync that found the source unchanged since the last one. Spots
+ * missing from the source are still missing, so they count another miss.
+ * @param {Object} source - The sync source object
+ * @param {string} sourceId - The ID of the sync source
+ * @param {Object} fetchState - Updated fetch state (ETags, content hashes)
+ * @return {Promise<Object>} Processing result with statistics
+ */
+async function recordUnmodifiedSync(source, sourceId, fetchState) {
+  const total = (source.lastSyncStats && source.lastSyncStats.total) || 0;
+  let missingResult = {missing: 0, hidden: 0, flagged: 0, softDeleted: 0, softDeleteFailed: 0};
+  const missingSpots = await loadMissingSpots(sourceId);
+  if (missingSpots.length > 0) {
+    missingResult = await applyMissingPolicy(missingSpots, source, sourceId);
+    console.log(`Still missing from unchanged source ${source.name}: ${missingResult.missing} spots (${missingResult.hidden} hidden, ${missingResult.flagged} flagged, ${missingResult.softDeleted} moved to the trash)`);
+  }
+  const stats = {
+    total: total,
+    created: 0,
+    updated: 0,
+    unchanged: total,
+    moved: 0,
+    skipped: 0,
+    geocoded: 0,
+    geocodingFailed: 0,
+    geocodingSuccessRate: "0%",
+    duplicateSuggestions: 0,
+    missing: missingResult.missing,
+    missingHidden: missingResult.hidden,
+    missingFlagged: missingResult.flagged,
+    missingSoftDeleted: missingResult.softDeleted,
+    missingSoftDeleteFailed: missingResult.softDeleteFailed,
+    reappeared: 0,
+    notModified: true,
+  };
+
+  const sourceDoc = await db.collection("syncSources").doc(sourceId).get();
+  if (sourceDoc.exists) {
+    await sourceDoc.ref.update({
+      lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastSyncStats: stats,
+      fetchState: fetchState,
+      ...scheduleFieldsAfterSuccess(sourceDoc.data()),
+    });
+  }
+
+  return {
+    sourceId: sourceId,
+    sourceName: source.name,
+    stats: stats,
+  };
+}
+
+/**
+ * Helper function to process a single sync source with geocoding
+ * @param {Object} source - The sync source object
+ * @param {string} sourceId - The ID of the sync source
+ * @param {string} apiKey - The Google Maps API key
+ * @param {Object} options - {force: re-download and re-process everything,
+ *   ignoring ETags and content hashes}
+ * @return {Promise<Object>} Processing result with statistics
+ */
+async function processSyncSource(source, sourceId, apiKey, {force = false} = {}) {
+  console.log(`Processing source: ${source.name} (${sourceId})${force ? " (forced)" : ""}`);
+
+  const loaded = await loadSourcePlacemarks(source, {fetchState: source.fetchState || null, force});
+  if (loaded.notModified) {
+    return recordUnmodifiedSync(source, sourceId, loaded.fetchState);
+  }
+  const {placemarks, includeFolders, failedFolders} = loaded;
+
+  // Match placemarks to the source's spots up front (see spot-identity.js);
+  // address-only placemarks are matched once geocoded
+  const sourceSpots = await loadSourceSpots(sourceId);
+  const matchIndex = buildSpotMatchIndex(sourceSpots);
+  const matches = matchPlacemarks(matchIndex, placemarks.map(placemarkMatchItem));
+
   let created = 0;
   let updated = 0;
+  let moved = 0;
+  let reappeared = 0;
   let geocoded = 0;
+  // Matched spots whose placemark hasn't changed since the last sync
+  const unchangedSpots = [];
   let geocodingFailed = 0;
+  // Address-only placemarks that matched no spot and couldn't be geocoded, so
+  // their spot may be among the unseen ones
+  let unlocatedPlacemarks = 0;
   const skipped = 0;
+  // Existing spots whose name, position or images changed, to re-check for duplicates
+  const changedSpots = [];
 
   // Collect all unique folder names from successfully processed spots if recordFolderName is enabled
   const allFolders = new Set();
@@ -2402,6 +4419,17 @@ async function processSyncSource(source, sourceId, apiKey) {
     let city = null;
     let countryCode = null;
     let existingSpotData = null;
+    let match = matches[i];
+
+    // Unchanged since the last sync: nothing to geocode, download or write
+    const contentHash = placemarkContentHash(placemark, source);
+    if (!force && match && match.spot.data.syncContentHash === contentHash) {
+      unchangedSpots.push(match.spot);
+      if (source.recordFolderName === true && placemark.folderName) {
+        allFolders.add(placemark.folderName);
+      }
+      continue;
+    }
 
     // If placemark has no coordinates but has an address, geocode the address
     if (!coordinates && placemarkAddress) {
@@ -2425,20 +4453,23 @@ async function processSyncSource(source, sourceId, apiKey) {
         console.log(`✓ Reverse geocoded spot: ${name} - ${placemarkAddress} -> ${finalCoordinates.latitude}, ${finalCoordinates.longitude}`);
       } else {
         geocodingFailed++;
+        if (!match) unlocatedPlacemarks++;
         console.warn(`✗ Reverse geocoding failed for spot: ${name} - ${reverseGeocodeResult.error}`);
         continue; // Skip this placemark if we can't get coordinates
       }
+
+      if (!match) {
+        match = matchPlacemark(matchIndex, {
+          ...placemarkMatchItem(placemark),
+          latitude: finalCoordinates.latitude,
+          longitude: finalCoordinates.longitude,
+        });
+      }
     }
 
-    // Check if spot already exists with same coordinates and source
-    const existingSpots = await db
-        .collection("spots")
-        .where("spotSource", "==", sourceId)
-        .where("latitude", "==", finalCoordinates.latitude)
-        .where("longitude", "==", finalCoordinates.longitude)
-        .get();
+    const existingSpot = match ? match.spot : null;
 
-    if (existingSpots.empty) {
+    if (!existingSpot) {
       // Only geocode for NEW spots (if we don't already have address from reverse geocoding)
       if (!address) {
         console.log(
@@ -2490,8 +4521,7 @@ async function processSyncSource(source, sourceId, apiKey) {
       }
     } else {
       // For existing spots, keep their current address data
-      const existingSpot = existingSpots.docs[0];
-      existingSpotData = existingSpot.data();
+      existingSpotData = existingSpot.data;
       address = existingSpotData.address;
       city = existingSpotData.city;
       countryCode = existingSpotData.countryCode;
@@ -2540,14 +4570,24 @@ async function processSyncSource(source, sourceId, apiKey) {
       description: cleanedDescription.trim(),
       latitude: finalCoordinates.latitude,
       longitude: finalCoordinates.longitude,
+      ...buildSpotGeoFields(finalCoordinates.latitude, finalCoordinates.longitude),
       address: address,
       city: city,
       countryCode: countryCode,
       spotSource: sourceId,
       spotSourceName: source.name,
+      // Placemarks unchanged since the last sync are skipped, so this is when
+      // a sync last changed the spot
+      lastSyncedAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
+    // Keep a known externalId if the source stops providing one
+    const externalId = normalizeExternalId(placemark.externalId);
+    if (externalId) {
+      spotData.externalId = externalId;
+    }
+
     // Optionally record folder name on spot if configured and available
     if (source.recordFolderName === true) {
       if (placemark.folderName) {
@@ -2574,24 +4614,30 @@ async function processSyncSource(source, sourceId, apiKey) {
       spotData.imageHashes = imageResult.imageHashes;
     }
 
-    if (existingSpots.empty) {
+    // Without every image and video, leave the hash out so the next sync retries
+    const fullyProcessed = imageResult.imageUrls.length === extractImageUrls(placemark).length &&
+      filteredYoutubeVideoIds.length === youtubeVideoIds.length;
+    spotData.syncContentHash = fullyProcessed ? contentHash : null;
+
+    if (!existingSpot) {
       // Create new spot - initialize rating fields to 0 and ranking field
       spotData.averageRating = 0;
       spotData.ratingCount = 0;
       spotData.wilsonLowerBound = 0;
-      spotData.ranking = Math.random(); // Random ranking for new spots
       spotData.duplicateOf = null; // Initialize duplicateOf field
       spotData.hidden = false; // Initialize hidden field
       spotData.createdAt = admin.firestore.FieldValue.serverTimestamp();
-      await db.collection("spots").add(cleanUndefinedValues(spotData));
+      const spotRef = db.collection("spots").doc();
+      const {config, context} = await getCachedRankingContext();
+      spotData.ranking = computeSpotRanking({id: spotRef.id, ...spotData}, config, context);
+      await spotRef.set(cleanUndefinedValues(spotData));
       created++;
       console.log(
           `Created new spot: ${name} from source: ${source.name} with ${imageResult.imageUrls.length} images and geocoded address`,
       );
     } else {
       // Update existing spot - preserve existing rating and ranking fields
-      const existingSpot = existingSpots.docs[0];
-      const existingData = existingSpot.data();
+      const existingData = existingSpot.data;
 
       // Preserve existing rating fields if they exist
       if (existingData.averageRating !== undefined) {
@@ -2616,8 +4662,36 @@ async function processSyncSource(source, sourceId, apiKey) {
         spotData.hidden = existingData.hidden;
       }
 
+      // Back in the source after missing from earlier syncs
+      const reappearedFields = buildReappearedFields(existingData);
+      if (reappearedFields) {
+        Object.assign(spotData, reappearedFields);
+        reappeared++;
+        console.log(`Spot ${existingSpot.id} (${name}) is back in source ${source.name} after ${existingData.syncMissCount || 0} missed syncs`);
+      }
+
+      // A moved pin is the same spot: record where it was
+      const positionChange = buildPositionChange(existingData, spotData.latitude, spotData.longitude, {
+        matchedBy: match.matchedBy,
+        spotSource: sourceId,
+      });
+      if (positionChange) {
+        spotData.positionHistory = positionChange.positionHistory;
+        moved++;
+        console.log(`Spot ${existingSpot.id} (${name}) moved ${positionChange.distanceMeters}m, matched by ${match.matchedBy}`);
+      }
+
       await existingSpot.ref.update(cleanUndefinedValues(spotData));
       updated++;
+
+      const matchInputsChanged = existingData.name !== spotData.name ||
+        existingData.latitude !== spotData.latitude ||
+        existingData.longitude !== spotData.longitude ||
+        JSON.stringify(existingData.imageHashes || []) !== JSON.stringify(spotData.imageHashes || existingData.imageHashes || []);
+      if (matchInputsChanged) {
+        changedSpots.push({id: existingSpot.id, data: {...existingData, ...spotData}});
+      }
+
       console.log(
           `Updated existing spot: ${name} from source: ${source.name} with ${imageResult.imageUrls.length} images (preserved rating: ${existingData.averageRating || 0}, count: ${existingData.ratingCount || 0})`,
       );
@@ -2641,23 +4715,77 @@ async function processSyncSource(source, sourceId, apiKey) {
     }
   }
 
+  // Unchanged spots that had gone missing are back
+  const reappearedUpdates = unchangedSpots
+      .map((spot) => ({spot, fields: buildReappearedFields(spot.data)}))
+      .filter((update) => update.fields);
+  for (let i = 0; i < reappearedUpdates.length; i += 400) {
+    const batch = db.batch();
+    reappearedUpdates.slice(i, i + 400).forEach(({spot, fields}) => batch.update(spot.ref, fields));
+    await batch.commit();
+  }
+  reappeared += reappearedUpdates.length;
+
+  // Spots of the source no placemark matched. An empty download is more
+  // likely a broken source than a deleted map, so it doesn't count as a miss;
+  // neither does a run with placemarks that couldn't be located, nor a spot
+  // that may be in a datalayer that failed to download.
+  const unseenSpots = sourceSpots.filter((spot) => !matchIndex.claimed.has(spot.id));
+  let missingResult = {missing: unseenSpots.length, hidden: 0, flagged: 0, softDeleted: 0, softDeleteFailed: 0};
+  const countedSpots = spotsCountingMiss(unseenSpots, source, failedFolders);
+  if (placemarks.length === 0 && unseenSpots.length > 0) {
+    console.warn(`Source ${source.name} returned no placemarks; not counting ${unseenSpots.length} spots as missing`);
+  } else if (unlocatedPlacemarks > 0 && unseenSpots.length > 0) {
+    console.warn(`Source ${source.name} has ${unlocatedPlacemarks} placemarks that couldn't be geocoded; not counting ${unseenSpots.length} spots as missing`);
+  } else if (unseenSpots.length > 0) {
+    if (countedSpots.length < unseenSpots.length) {
+      console.warn(`Source ${source.name} has datalayers that failed to download (${failedFolders.join(", ")}); not counting ${unseenSpots.length - countedSpots.length} spots as missing`);
+    }
+    missingResult = {...await applyMissingPolicy(countedSpots, source, sourceId), missing: unseenSpots.length};
+    console.log(`Missing from source ${source.name}: ${missingResult.missing} spots (${missingResult.hidden} hidden, ${missingResult.flagged} flagged, ${missingResult.softDeleted} moved to the trash)`);
+  }
+
+  // Spots created by this sync are checked by onSpotCreated
+  let duplicateSuggestions = 0;
+  for (const changed of changedSpots) {
+    try {
+      duplicateSuggestions += await detectSpotDuplicates(changed.id, changed.data, {detectedBy: "sync"});
+    } catch (e) {
+      console.warn(`Duplicate detection failed for spot ${changed.id}`, e);
+    }
+  }
+
+  const stats = {
+    total: placemarks.length,
+    created: created,
+    updated: updated,
+    unchanged: unchangedSpots.length,
+    moved: moved,
+    skipped: skipped,
+    geocoded: geocoded,
+    geocodingFailed: geocodingFailed,
+    geocodingSuccessRate:
+      placemarks.length > 0 ?
+        ((geocoded / placemarks.length) * 100).toFixed(1) + "%" :
+        "0%",
+    duplicateSuggestions: duplicateSuggestions,
+    missing: missingResult.missing,
+    missingHidden: missingResult.hidden,
+    missingFlagged: missingResult.flagged,
+    missingSoftDeleted: missingResult.softDeleted,
+    missingSoftDeleteFailed: missingResult.softDeleteFailed,
+    reappeared: reappeared,
+    notModified: false,
+  };
+
   // Update source last sync time and folder information
   const sourceDoc = await db.collection("syncSources").doc(sourceId).get();
   if (sourceDoc.exists) {
     const updateData = {
       lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
-      lastSyncStats: {
-        total: placemarks.length,
-        created: created,
-        updated: updated,
-        skipped: skipped,
-        geocoded: geocoded,
-        geocodingFailed: geocodingFailed,
-        geocodingSuccessRate:
-          placemarks.length > 0 ?
-            ((geocoded / placemarks.length) * 100).toFixed(1) + "%" :
-            "0%",
-      },
+      lastSyncStats: stats,
+      fetchState: loaded.fetchState,
+      ...scheduleFieldsAfterSuccess(sourceDoc.data()),
     };
 
     // Update allFolders if recordFolderName is enabled
@@ -2700,18 +4828,7 @@ async function processSyncSource(source, sourceId, apiKey) {
   return {
     sourceId: sourceId,
     sourceName: source.name,
-    stats: {
-      total: placemarks.length,
-      created: created,
-      updated: updated,
-      skipped: skipped,
-      geocoded: geocoded,
-      geocodingFailed: geocodingFailed,
-      geocodingSuccessRate:
-        placemarks.length > 0 ?
-          ((geocoded / placemarks.length) * 100).toFixed(1) + "%" :
-          "0%",
-    },
+    stats: stats,
   };
 }
 
@@ -2794,7 +4911,120 @@ async function ensureAdmin(request) {
   }
 }
 
+/**
+ * Helper to ensure the caller has a permission (see permissions.js). Role
+ * claims are checked first; the users document is the fallback, since
+ * claims only refresh with the caller's next ID token.
+ * @param {Object} request - The request object
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object|string|null} scope - {countryCode} or {sourceId} of the
+ *   target, ANY_SCOPE for listings, or null for unscoped actions
+ * @return {Promise<Object>} The caller's grant ({roles, countries, sources})
+ */
+async function ensurePermission(request, permission, scope = null) {
+  const auth = request.auth;
+  if (!auth || !auth.uid) {
+    // Service accounts have full access
+    await ensureAdmin(request);
+    return {roles: [ROLES.ADMIN], countries: [], sources: []};
+  }
+
+  const claimGrant = grantFromClaims(auth.token);
+  if (hasPermission(claimGrant, permission, scope)) {
+    return claimGrant;
+  }
+  const userDoc = await db.collection("users").doc(auth.uid).get();
+  const userGrant = grantFromUserDoc(userDoc.exists ? userDoc.data() : {});
+  if (hasPermission(userGrant, permission, scope)) {
+    return userGrant;
+  }
+  throw new Error(`Permission denied: ${permission}`);
+}
+
+/**
+ * Helper to ensure the caller has a permission for every given spot, scoped
+ * by the spots' countries
+ * @param {Object} request - The request object
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Array<Object>} spots - Spot data
+ * @return {Promise<void>} Resolves if permitted for all spots, throws if not
+ */
+async function ensureSpotPermission(request, permission, spots) {
+  for (const spot of spots) {
+    await ensurePermission(request, permission, {countryCode: (spot && spot.countryCode) || null});
+  }
+}
+
+// Pages a scoped listing reads at most to fill one page of results
+const MAX_SCOPED_LISTING_SCANS = 5;
+
+/**
+ * Keeps the documents whose spots all lie in the given countries
+ * @param {Array<Object>} docs - Document snapshots
+ * @param {Function} spotIdsOf - Returns the spot ids of a document's data
+ * @param {string[]|null} countries - From permittedCountries; null keeps all
+ * @return {Promise<Array<Object>>} The documents to list
+ */
+async function filterDocsBySpotCountries(docs, spotIdsOf, countries) {
+  if (countries === null) return docs;
+  const spotIds = Array.from(new Set(docs.flatMap((doc) => spotIdsOf(doc.data())).filter(Boolean)));
+  const countryBySpot = new Map();
+  for (let i = 0; i < spotIds.length; i += 100) {
+    const snaps = await db.getAll(...spotIds.slice(i, i + 100).map((id) => db.collection("spots").doc(id)));
+    snaps.forEach((snap) => countryBySpot.set(snap.id, snap.exists ? snap.data().countryCode || null : null));
+  }
+  return docs.filter((doc) => {
+    const ids = spotIdsOf(doc.data()).filter(Boolean);
+    return ids.length > 0 && ids.every((id) => countries.includes(countryBySpot.get(id)));
+  });
+}
+
+/**
+ * Reads one page of a listing, keeping only the documents the caller may
+ * see. Scoped callers may need several reads to fill a page.
+ * @param {FirebaseFirestore.Query} query - Ordered query, without limit or cursor
+ * @param {number} pageSize - Results per page
+ * @param {Object|null} cursorDoc - Document to start after
+ * @param {Function} keepDocs - Async filter of a batch of documents
+ * @return {Promise<Object>} {docs, nextStartAfterId}
+ */
+async function queryListingPage(query, pageSize, cursorDoc, keepDocs) {
+  const docs = [];
+  let cursor = cursorDoc;
+  for (let scan = 0; scan < MAX_SCOPED_LISTING_SCANS; scan++) {
+    const snap = await (cursor ? query.startAfter(cursor) : query).limit(pageSize).get();
+    const kept = await keepDocs(snap.docs);
+    for (const doc of kept) {
+      if (docs.length === pageSize) break;
+      docs.push(doc);
+    }
+    if (docs.length === pageSize) {
+      return {docs, nextStartAfterId: docs[docs.length - 1].id};
+    }
+    if (snap.size < pageSize) {
+      return {docs, nextStartAfterId: null};
+    }
+    cursor = snap.docs[snap.docs.length - 1];
+  }
+  return {docs, nextStartAfterId: cursor ? cursor.id : null};
+}
+
 // Function to sync a single source by ID (admin only)
+/**
+ * Records a failed sync on its source, scheduling a retry with backoff
+ * @param {string} sourceId - The ID of the sync source
+ * @param {Object} source - The sync source data
+ * @param {Error} error - Why the sync failed
+ * @return {Promise<void>}
+ */
+async function recordSourceSyncFailure(sourceId, source, error) {
+  try {
+    await db.collection("syncSources").doc(sourceId).update(scheduleFieldsAfterFailure(source, error));
+  } catch (e) {
+    console.error(`Failed to record sync failure for source ${sourceId}`, e);
+  }
+}
+
 exports.syncSingleSource = onCall(
     {
       region: "europe-west1",
@@ -2804,19 +5034,14 @@ exports.syncSingleSource = onCall(
     },
     async (request) => {
       try {
-        await ensureAdmin(request);
-        const {sourceId} = request.data;
+        const {sourceId, dryRun = false, force = false} = request.data;
 
         if (!sourceId) {
           throw new Error("sourceId is required");
         }
+        await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_SYNC, {sourceId});
 
-        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!apiKey) {
-          throw new Error("Google Maps API key not configured");
-        }
-
-        console.log(`Starting sync for single source: ${sourceId}`);
+        console.log(`Starting ${dryRun === true ? "dry run" : "sync"} for single source: ${sourceId}`);
 
         // Get the specific sync source
         const sourceDoc = await db.collection("syncSources").doc(sourceId).get();
@@ -2827,13 +5052,24 @@ exports.syncSingleSource = onCall(
 
         const source = sourceDoc.data();
 
+        // Dry runs write nothing, so they also work for inactive sources
+        if (dryRun === true) {
+          const preview = await previewSyncSource(source, sourceId);
+          return {success: true, message: `Dry run completed for source: ${source.name}`, ...preview};
+        }
+
+        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+        if (!apiKey) {
+          throw new Error("Google Maps API key not configured");
+        }
+
         if (!source.isActive) {
           throw new Error(`Sync source ${source.name} is not active`);
         }
 
         try {
         // Use the shared helper function
-          const result = await processSyncSource(source, sourceId, apiKey);
+          const result = await processSyncSource(source, sourceId, apiKey, {force: force === true});
 
           const response = {
             success: true,
@@ -2844,9 +5080,16 @@ exports.syncSingleSource = onCall(
           };
 
           console.log(`Completed sync for source: ${source.name}`, result.stats);
+          await writeAuditLog(request, "syncSingleSource", {
+            action: "syncSourceSynced",
+            targetType: "syncSource",
+            targetIds: [sourceId],
+            metadata: {sourceName: source.name, force: force === true, stats: result.stats},
+          });
           return response;
         } catch (sourceError) {
           console.error(`Error processing source ${source.name}:`, sourceError);
+          await recordSourceSyncFailure(sourceId, source, sourceError);
           throw new Error(
               `Failed to sync source ${source.name}: ${sourceError.message}`,
           );
@@ -2868,14 +5111,15 @@ exports.syncAllSources = onCall(
     },
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_MANAGE);
+        const {dryRun = false, force = false} = request.data || {};
 
         const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-        if (!apiKey) {
+        if (!apiKey && dryRun !== true) {
           throw new Error("Google Maps API key not configured");
         }
 
-        console.log("Starting sync for all sources from Firestore");
+        console.log(`Starting ${dryRun === true ? "dry run" : "sync"} for all sources from Firestore`);
 
         // Get all active sync sources
         const sourcesSnapshot = await db
@@ -2891,6 +5135,30 @@ exports.syncAllSources = onCall(
           };
         }
 
+        if (dryRun === true) {
+          const previews = [];
+          for (const sourceDoc of sourcesSnapshot.docs) {
+            try {
+              previews.push({success: true, ...await previewSyncSource(sourceDoc.data(), sourceDoc.id)});
+            } catch (sourceError) {
+              console.error(`Error previewing source ${sourceDoc.data().name}:`, sourceError);
+              previews.push({
+                sourceId: sourceDoc.id,
+                sourceName: sourceDoc.data().name,
+                success: false,
+                dryRun: true,
+                error: sourceError.message,
+              });
+            }
+          }
+          return {
+            success: true,
+            dryRun: true,
+            message: `Dry run completed for ${previews.length} sources`,
+            results: previews,
+          };
+        }
+
         const results = [];
         let totalCreated = 0;
         let totalUpdated = 0;
@@ -2905,7 +5173,7 @@ exports.syncAllSources = onCall(
 
           try {
           // Use the shared helper function
-            const result = await processSyncSource(source, sourceId, apiKey);
+            const result = await processSyncSource(source, sourceId, apiKey, {force: force === true});
 
             const sourceResult = {
               sourceId: result.sourceId,
@@ -2927,6 +5195,7 @@ exports.syncAllSources = onCall(
             );
           } catch (sourceError) {
             console.error(`Error processing source ${source.name}:`, sourceError);
+            await recordSourceSyncFailure(sourceId, source, sourceError);
             results.push({
               sourceId: sourceId,
               sourceName: source.name,
@@ -2967,6 +5236,16 @@ exports.syncAllSources = onCall(
         };
 
         console.log("Overall sync result:", overallResult);
+        await writeAuditLog(request, "syncAllSources", {
+          action: "syncSourcesSynced",
+          targetType: "syncSource",
+          targetIds: results.map((result) => result.sourceId),
+          metadata: {
+            force: force === true,
+            totalStats: overallResult.totalStats,
+            failedSources: results.filter((result) => !result.success).map((result) => result.sourceId),
+          },
+        });
         return overallResult;
       } catch (error) {
         console.error("Error syncing all sources:", error);
@@ -2975,12 +5254,150 @@ exports.syncAllSources = onCall(
     },
 );
 
+/**
+ * Previews a sync without writing anything: for a saved source (`sourceId`),
+ * optionally with edited settings in `source`, or for a source that doesn't
+ * exist yet (`source` with at least kmzUrl)
+ */
+exports.previewSyncSource = onCall(
+    {region: "europe-west1", memory: "1GiB", timeoutSeconds: 540},
+    async (request) => {
+      try {
+        const {sourceId = null, source: overrides = {}} = request.data || {};
+        if (sourceId) {
+          await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_EDIT, {sourceId});
+        } else {
+          await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_MANAGE);
+        }
+
+        let source = {};
+        if (sourceId) {
+          const sourceDoc = await db.collection("syncSources").doc(sourceId).get();
+          if (!sourceDoc.exists) {
+            throw new Error(`Sync source with ID ${sourceId} not found`);
+          }
+          source = sourceDoc.data();
+        }
+        const previewFields = ["name", "kmzUrl", "includeFolders", "recordFolderName", "missingPolicy"];
+        for (const field of previewFields) {
+          if (overrides && overrides[field] !== undefined) source[field] = overrides[field];
+        }
+        if (!source.kmzUrl) {
+          throw new Error("sourceId or source.kmzUrl is required");
+        }
+        source.name = source.name || "New source";
+
+        const preview = await previewSyncSource(source, sourceId);
+        return {success: true, ...preview};
+      } catch (error) {
+        console.error("previewSyncSource error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+// ========== Scheduled Source Syncs ==========
+// Maximum number of sources queued per scheduler run; the rest wait an hour
+const MAX_SCHEDULED_SYNCS_PER_RUN = 10;
+
+/**
+ * Hourly: queues a sync for every source whose nextSyncAt has passed. Each
+ * sync runs in runScheduledSourceSync with its own timeout.
+ */
+exports.scheduleSourceSyncs = onSchedule(
+    {
+      schedule: "every 1 hours",
+      timeZone: "UTC",
+      region: "europe-west1",
+      timeoutSeconds: 300,
+    },
+    async () => {
+      console.log("Scheduled source sync check started");
+      try {
+        const dueSources = await claimDueSources(MAX_SCHEDULED_SYNCS_PER_RUN);
+        const queue = getFunctions().taskQueue("locations/europe-west1/functions/runScheduledSourceSync");
+        let queued = 0;
+        for (const {id, data} of dueSources) {
+          try {
+            await queue.enqueue({sourceId: id}, {
+              id: scheduledSyncTaskId(id, data),
+              dispatchDeadlineSeconds: 1800,
+            });
+            queued++;
+            console.log(`Queued scheduled sync for source: ${data.name} (${id})`);
+          } catch (e) {
+            if (e.code === "functions/task-already-exists") {
+              // Still waiting in the queue from an earlier run; it keeps the lease
+              console.log(`Scheduled sync for source ${data.name} (${id}) is already queued`);
+              continue;
+            }
+            console.error(`Failed to queue sync for source ${id}`, e);
+            await releaseSourceLease(id);
+          }
+        }
+        console.log(`Scheduled source sync check completed: ${queued}/${dueSources.length} sources queued`);
+      } catch (error) {
+        console.error("Error in scheduled source sync check:", error);
+        throw error;
+      }
+    },
+);
+
+/**
+ * Runs one scheduled sync, queued by scheduleSourceSyncs. Failures are not
+ * retried by the queue; the source's backoff schedules the retry.
+ */
+exports.runScheduledSourceSync = onTaskDispatched(
+    {
+      region: "europe-west1",
+      memory: "1GiB",
+      timeoutSeconds: 3600,
+      secrets: ["GOOGLE_MAPS_API_KEY"],
+      retryConfig: {maxAttempts: 1},
+      rateLimits: {maxConcurrentDispatches: 1},
+    },
+    async (request) => {
+      const {sourceId} = request.data || {};
+      if (!sourceId) {
+        console.error("Scheduled sync task without sourceId");
+        return;
+      }
+
+      const {data: source, skipReason} = await beginScheduledSync(sourceId);
+      if (skipReason === "missing") {
+        console.warn(`Scheduled sync skipped: source ${sourceId} no longer exists`);
+        return;
+      }
+      if (skipReason === "unscheduled") {
+        console.log(`Scheduled sync skipped: source ${sourceId} is inactive or unscheduled`);
+        return;
+      }
+      if (skipReason === "notDue") {
+        console.log(`Scheduled sync skipped: source ${sourceId} was synced since the task was queued`);
+        return;
+      }
+
+      try {
+        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+        if (!apiKey) {
+          throw new Error("Google Maps API key not configured");
+        }
+        console.log(`Starting scheduled sync for source: ${source.name} (${sourceId})`);
+        const result = await processSyncSource(source, sourceId, apiKey);
+        console.log(`Completed scheduled sync for source: ${source.name}`, result.stats);
+      } catch (error) {
+        console.error(`Scheduled sync failed for source ${source.name}:`, error);
+        await recordSourceSyncFailure(sourceId, source, error);
+      }
+    },
+);
+
 // Function to create a new sync source (admin only)
 exports.createSyncSource = onCall(
     {region: "europe-west1"},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_MANAGE);
         const {
           name,
           kmzUrl,
@@ -2990,6 +5407,8 @@ exports.createSyncSource = onCall(
           isActive = true,
           includeFolders,
           recordFolderName,
+          missingPolicy,
+          syncSchedule,
         } = request.data;
 
         if (!name || !kmzUrl) {
@@ -3026,7 +5445,20 @@ exports.createSyncSource = onCall(
           sourceData.recordFolderName = recordFolderName;
         }
 
+        if (missingPolicy !== undefined && missingPolicy !== null) {
+          sourceData.missingPolicy = normalizeMissingPolicy(missingPolicy);
+        }
+
+        sourceData.syncSchedule = normalizeSyncSchedule(syncSchedule);
+        sourceData.nextSyncAt = nextSyncAtFor(sourceData);
+
         const docRef = await db.collection("syncSources").add(sourceData);
+        await writeAuditLog(request, "createSyncSource", {
+          action: "syncSourceCreated",
+          targetType: "syncSource",
+          targetIds: [docRef.id],
+          changes: diffFields(null, sourceData),
+        });
 
         return {
           success: true,
@@ -3046,7 +5478,6 @@ exports.updateSyncSource = onCall(
     {region: "europe-west1"},
     async (request) => {
       try {
-        await ensureAdmin(request);
         const {
           sourceId,
           name,
@@ -3057,11 +5488,14 @@ exports.updateSyncSource = onCall(
           isActive,
           includeFolders,
           recordFolderName,
+          missingPolicy,
+          syncSchedule,
         } = request.data;
 
         if (!sourceId) {
           throw new Error("sourceId is required");
         }
+        await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_EDIT, {sourceId});
 
         const updateData = {
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -3097,8 +5531,29 @@ exports.updateSyncSource = onCall(
             updateData.recordFolderName = admin.firestore.FieldValue.delete();
           }
         }
+        if (missingPolicy !== undefined) {
+          updateData.missingPolicy = missingPolicy === null ?
+            admin.firestore.FieldValue.delete() :
+            normalizeMissingPolicy(missingPolicy);
+        }
 
-        await db.collection("syncSources").doc(sourceId).update(updateData);
+        if (syncSchedule !== undefined) {
+          updateData.syncSchedule = normalizeSyncSchedule(syncSchedule);
+        }
+
+        const sourceRef = db.collection("syncSources").doc(sourceId);
+        const beforeSnap = await sourceRef.get();
+        // Reschedule when the schedule or active state changes
+        if (syncSchedule !== undefined || isActive !== undefined) {
+          updateData.nextSyncAt = nextSyncAtFor({...beforeSnap.data(), ...updateData});
+        }
+        await sourceRef.update(updateData);
+        await writeAuditLog(request, "updateSyncSource", {
+          action: "syncSourceUpdated",
+          targetType: "syncSource",
+          targetIds: [sourceId],
+          changes: diffFields(beforeSnap.data(), updateData, Object.keys(updateData)),
+        });
 
         return {
           success: true,
@@ -3117,14 +5572,24 @@ exports.deleteSyncSource = onCall(
     {region: "europe-west1"},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_MANAGE);
         const {sourceId} = request.data;
 
         if (!sourceId) {
           throw new Error("sourceId is required");
         }
 
-        await db.collection("syncSources").doc(sourceId).delete();
+        const sourceRef = db.collection("syncSources").doc(sourceId);
+        const beforeSnap = await sourceRef.get();
+        await sourceRef.delete();
+        if (beforeSnap.exists) {
+          await writeAuditLog(request, "deleteSyncSource", {
+            action: "syncSourceDeleted",
+            targetType: "syncSource",
+            targetIds: [sourceId],
+            changes: diffFields(beforeSnap.data(), null),
+          });
+        }
 
         return {
           success: true,
@@ -3145,7 +5610,7 @@ exports.getSyncSources = onCall({region: "europe-west1"}, async (request) => {
 
     // Only admins may include inactive sources
     try {
-      await ensureAdmin(request);
+      await ensurePermission(request, PERMISSIONS.SYNC_SOURCES_EDIT, ANY_SCOPE);
     } catch (e) {
       includeInactive = false;
     }
@@ -3187,7 +5652,7 @@ exports.getSyncSources = onCall({region: "europe-west1"}, async (request) => {
 // Admin tool: set or unset a user's admin status
 exports.setUserAdmin = onCall({region: "europe-west1"}, async (request) => {
   try {
-    await ensureAdmin(request);
+    await ensurePermission(request, PERMISSIONS.USERS_MANAGE);
     const {targetUid, targetEmail, isAdmin} = request.data;
     if (typeof isAdmin !== "boolean") {
       throw new Error("isAdmin boolean is required");
@@ -3202,21 +5667,30 @@ exports.setUserAdmin = onCall({region: "europe-west1"}, async (request) => {
     }
 
     // Update Firestore profile
-    await db
-        .collection("users")
-        .doc(uid)
-        .set({isAdmin: isAdmin}, {merge: true});
-    // Update custom claims for faster checks (best-effort)
+    const userRef = db.collection("users").doc(uid);
+    const beforeSnap = await userRef.get();
+    await userRef.set({
+      isAdmin: isAdmin,
+      roles: isAdmin ?
+        admin.firestore.FieldValue.arrayUnion(ROLES.ADMIN) :
+        admin.firestore.FieldValue.arrayRemove(ROLES.ADMIN),
+    }, {merge: true});
+    // Update custom claims now for faster checks (best-effort; onUserRolesWritten
+    // keeps them in sync as well)
     try {
-      const userRecord = await admin.auth().getUser(uid);
-      const existingClaims = userRecord.customClaims || {};
-      await admin
-          .auth()
-          .setCustomUserClaims(uid, {...existingClaims, admin: isAdmin});
+      await syncUserRoleClaims(uid, (await userRef.get()).data());
     } catch (claimErr) {
       console.warn("Failed to set custom claims:", claimErr.message);
     }
 
+    await writeAuditLog(request, "setUserAdmin", {
+      action: "userAdminChanged",
+      targetType: "user",
+      targetIds: [uid],
+      changes: diffFields({isAdmin: beforeSnap.exists && beforeSnap.data().isAdmin === true}, {isAdmin}),
+      metadata: targetEmail ? {targetEmail} : null,
+    });
+
     return {success: true, uid: uid, isAdmin: isAdmin};
   } catch (error) {
     console.error("Error setting user admin:", error);
@@ -3224,12 +5698,108 @@ exports.setUserAdmin = onCall({region: "europe-west1"}, async (request) => {
   }
 });
 
+// ========== Roles and permissions ==========
+/**
+ * Mirrors a user's roles into their custom claims, keeping unrelated claims
+ * @param {string} uid - User id
+ * @param {Object|null} userData - users/{uid} data (null if deleted)
+ * @return {Promise<boolean>} True if the claims changed
+ */
+async function syncUserRoleClaims(uid, userData) {
+  const userRecord = await admin.auth().getUser(uid);
+  const existingClaims = userRecord.customClaims || {};
+  const roleClaims = buildRoleClaims(grantFromUserDoc(userData));
+  const changed = Object.keys(roleClaims).some((key) =>
+    JSON.stringify(existingClaims[key] === undefined ? null : existingClaims[key]) !== JSON.stringify(roleClaims[key]),
+  );
+  if (!changed) return false;
+  await admin.auth().setCustomUserClaims(uid, {...existingClaims, ...roleClaims});
+  return true;
+}
+
+/**
+ * Keeps role claims in sync with users/{uid} (roles, roleScopes and the
+ * isAdmin/isModerator flags)
+ */
+exports.onUserRolesWritten = onDocumentWritten(
+    {document: "users/{uid}", region: "europe-west1"},
+    async (event) => {
+      const before = event.data.before.exists ? event.data.before.data() : null;
+      const after = event.data.after.exists ? event.data.after.data() : null;
+      const roleFields = ["roles", "roleScopes", "isAdmin", "isModerator"];
+      const unchanged = roleFields.every((field) =>
+        JSON.stringify((before || {})[field]) === JSON.stringify((after || {})[field]),
+      );
+      if (unchanged) return;
+
+      try {
+        if (await syncUserRoleClaims(event.params.uid, after)) {
+          console.log("Updated role claims", {uid: event.params.uid, roles: grantFromUserDoc(after).roles});
+        }
+      } catch (e) {
+        if (e.code === "auth/user-not-found") return;
+        console.error("onUserRolesWritten error", e);
+      }
+    },
+);
+
+/**
+ * Admin callable: sets a user's roles. Scoped roles need their scope:
+ * `countries` (country codes) for regionalModerator, `sources` (sync source
+ * ids) for sourceMaintainer. Replaces the user's previous roles.
+ */
+exports.setUserRoles = onCall({region: "europe-west1"}, async (request) => {
+  try {
+    await ensurePermission(request, PERMISSIONS.USERS_MANAGE);
+    const {targetUid, targetEmail, roles, countries, sources} = request.data || {};
+    const assignment = normalizeRoleAssignment({roles, countries, sources});
+
+    let uid = targetUid;
+    if (!uid && targetEmail) {
+      const userRecord = await admin.auth().getUserByEmail(targetEmail);
+      uid = userRecord.uid;
+    }
+    if (!uid) {
+      throw new Error("targetUid or targetEmail is required");
+    }
+
+    const update = {
+      roles: assignment.roles,
+      roleScopes: assignment.roleScopes,
+      // Kept for firestore.rules and older app versions
+      isAdmin: assignment.roles.includes(ROLES.ADMIN),
+      isModerator: assignment.roles.includes(ROLES.MODERATOR),
+    };
+    const userRef = db.collection("users").doc(uid);
+    const beforeSnap = await userRef.get();
+    await userRef.set(update, {merge: true});
+    try {
+      await syncUserRoleClaims(uid, {...(beforeSnap.exists ? beforeSnap.data() : {}), ...update});
+    } catch (claimErr) {
+      console.warn("Failed to set custom claims:", claimErr.message);
+    }
+
+    await writeAuditLog(request, "setUserRoles", {
+      action: "userRolesChanged",
+      targetType: "user",
+      targetIds: [uid],
+      changes: diffFields(beforeSnap.exists ? beforeSnap.data() : null, update, Object.keys(update)),
+      metadata: targetEmail ? {targetEmail} : null,
+    });
+
+    return {success: true, uid: uid, ...update};
+  } catch (error) {
+    console.error("setUserRoles error", error);
+    return {success: false, error: error.message};
+  }
+});
+
 // Admin function to update spot source names for existing spots
 exports.updateSpotSourceNames = onCall(
     {region: "europe-west1"},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
         const {sourceId} = request.data;
 
         console.log(`Starting spot source name update${sourceId ? ` for source: ${sourceId}` : " for all sources"}`);
@@ -3296,6 +5866,12 @@ exports.updateSpotSourceNames = onCall(
           await batch.commit();
           console.log(`Successfully updated ${updatedCount} spots`);
         }
+        await writeAuditLog(request, "updateSpotSourceNames", {
+          action: "spotSourceNamesUpdated",
+          targetType: sourceId ? "syncSource" : "spots",
+          targetIds: sourceId ? [sourceId] : [],
+          metadata: {totalSpots: spotsSnapshot.size, updated: updatedCount, skipped: skippedCount},
+        });
 
         return {
           success: true,
@@ -3646,12 +6222,15 @@ exports.reverseGeocodeAddress = onCall(
     },
 );
 
+// Maximum number of moved files listed in the audit log entry
+const MAX_AUDITED_FILES = 500;
+
 // Function to cleanup unused images by moving them to trash (admin only)
 exports.cleanupUnusedImages = onCall(
     {region: "europe-west1", memory: "2GiB", timeoutSeconds: 540},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
 
         console.log("Starting unused images cleanup");
 
@@ -3660,8 +6239,14 @@ exports.cleanupUnusedImages = onCall(
         const usedImageUrls = new Set();
         const usedImageBaseNames = new Set(); // Track base names for resized image matching
 
-        spotsSnapshot.forEach((doc) => {
-          const spotData = doc.data();
+        // Trashed spots can still be restored, so their images are in use too
+        const trashSnapshot = await db.collection(SPOT_TRASH_COLLECTION).select("spot.imageUrls").get();
+        const spotDataList = [
+          ...spotsSnapshot.docs.map((doc) => doc.data()),
+          ...trashSnapshot.docs.map((doc) => doc.data().spot || {}),
+        ];
+
+        spotDataList.forEach((spotData) => {
           if (spotData.imageUrls && Array.isArray(spotData.imageUrls)) {
             spotData.imageUrls.forEach((url) => {
             // Extract filename from URL, handling both Firebase Storage URL formats
@@ -3807,7 +6392,7 @@ exports.cleanupUnusedImages = onCall(
         };
 
         // Process files using streaming to avoid loading all into memory
-        return new Promise((resolve, reject) => {
+        const cleanupResult = await new Promise((resolve, reject) => {
           const fileStream = bucket.getFilesStream({
             prefix: "spots/",
           });
@@ -3899,6 +6484,19 @@ exports.cleanupUnusedImages = onCall(
                 reject(error);
               });
         });
+
+        await writeAuditLog(request, "cleanupUnusedImages", {
+          action: "unusedImagesCleanedUp",
+          targetType: "storageFiles",
+          metadata: {
+            movedCount,
+            skippedCount,
+            totalFiles,
+            // Keep the entry well below the document size limit
+            movedFiles: movedFiles.slice(0, MAX_AUDITED_FILES),
+          },
+        });
+        return cleanupResult;
       } catch (error) {
         console.error("Error during unused images cleanup:", error);
         return {
@@ -3915,7 +6513,7 @@ exports.findMissingImages = onCall(
     {region: "europe-west1", memory: "512MiB", timeoutSeconds: 300},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
 
         console.log("Starting missing images check");
 
@@ -4067,7 +6665,7 @@ exports.uploadReplacementImage = onCall(
     {region: "europe-west1", memory: "256MiB", timeoutSeconds: 60},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
 
         const {filename, imageData, contentType = "image/jpeg"} = request.data;
 
@@ -4083,6 +6681,7 @@ exports.uploadReplacementImage = onCall(
         // Upload to Firebase Storage
         const fileName = `spots/${filename}`;
         const file = bucket.file(fileName);
+        const [existed] = await file.exists();
 
         await file.save(imageBuffer, {
           metadata: {
@@ -4098,6 +6697,12 @@ exports.uploadReplacementImage = onCall(
         const publicUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
 
         console.log(`Successfully uploaded replacement image: ${filename}`);
+        await writeAuditLog(request, "uploadReplacementImage", {
+          action: "replacementImageUploaded",
+          targetType: "storageFile",
+          targetIds: [fileName],
+          metadata: {publicUrl, contentType, sizeBytes: imageBuffer.length, replacedExisting: existed},
+        });
 
         return {
           success: true,
@@ -4118,7 +6723,7 @@ exports.uploadReplacementImage = onCall(
 // Test function to check spots in database
 exports.testSpotsCount = onCall({region: "europe-west1"}, async (request) => {
   try {
-    await ensureAdmin(request);
+    await ensurePermission(request, PERMISSIONS.MAINTENANCE);
     const spotsSnapshot = await db.collection("spots").get();
     console.log(`Total spots in database: ${spotsSnapshot.size}`);
 
@@ -4165,12 +6770,13 @@ exports.testSpotsCount = onCall({region: "europe-west1"}, async (request) => {
   }
 });
 
-// Function to find and log spots linked to non-existent spot sources (admin only)
+// Function to find and log spots linked to non-existent spot sources, and spots
+// flagged as missing from their source by a sync (admin only)
 exports.findOrphanedSpots = onCall(
     {region: "europe-west1", memory: "512MiB", timeoutSeconds: 300},
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
 
         console.log("Starting orphaned spots check...");
 
@@ -4192,8 +6798,9 @@ exports.findOrphanedSpots = onCall(
 
         console.log(`Found ${validSourceIds.size} valid sync sources`);
 
-        // Find orphaned spots
+        // Find orphaned spots, and spots flagged as missing from their source
         const orphanedSpots = [];
+        const missingSpots = [];
         let validSpotsCount = 0;
 
         spotsSnapshot.forEach((doc) => {
@@ -4219,6 +6826,18 @@ exports.findOrphanedSpots = onCall(
             );
           } else {
             validSpotsCount++;
+            if (spotData.missingFromSource === true) {
+              missingSpots.push({
+                spotId: doc.id,
+                spotName: spotData.name || "Unnamed Spot",
+                spotSource: spotSource,
+                syncMissCount: spotData.syncMissCount || 0,
+                missingSince: spotData.missingSince || null,
+                lastSyncedAt: spotData.lastSyncedAt || null,
+                hidden: spotData.hidden === true,
+                ratingCount: spotData.ratingCount || 0,
+              });
+            }
           }
         });
 
@@ -4228,8 +6847,10 @@ exports.findOrphanedSpots = onCall(
           validSpotsCount: validSpotsCount,
           orphanedSpotsCount: orphanedSpots.length,
           orphanedSpots: orphanedSpots,
+          missingSpotsCount: missingSpots.length,
+          missingSpots: missingSpots,
           validSourceIds: Array.from(validSourceIds),
-          message: `Found ${orphanedSpots.length} orphaned spots out of ${spotsSnapshot.size} spots with spotSource field`,
+          message: `Found ${orphanedSpots.length} orphaned spots and ${missingSpots.length} spots missing from their source out of ${spotsSnapshot.size} spots with spotSource field`,
         };
 
         console.log("Orphaned spots check completed:", result);
@@ -4244,34 +6865,41 @@ exports.findOrphanedSpots = onCall(
     },
 );
 
-// Function to delete a spot (admin only)
-exports.deleteSpot = onCall({region: "europe-west1"}, async (request) => {
+// Function to delete a spot (admin only). The spot is moved to the trash
+// with its ratings and comments and can be restored with restoreSpot.
+exports.deleteSpot = onCall({region: "europe-west1", timeoutSeconds: 120}, async (request) => {
   try {
-    await ensureAdmin(request);
-    const {spotId} = request.data;
+    await ensurePermission(request, PERMISSIONS.SPOTS_DELETE);
+    const {spotId, reason = null} = request.data;
 
     if (!spotId) {
       throw new Error("spotId is required");
     }
 
-    // Get spot data first to log what we're deleting
-    const spotDoc = await db.collection("spots").doc(spotId).get();
-    if (!spotDoc.exists) {
+    const trashed = await trashSpot(spotId, {deletedBy: (request.auth && request.auth.uid) || null, reason});
+    if (!trashed) {
       throw new Error(`Spot with ID ${spotId} not found`);
     }
 
-    const spotData = spotDoc.data();
-    const spotName = spotData.name || "Unnamed Spot";
-
-    // Delete the spot
-    await db.collection("spots").doc(spotId).delete();
-
-    console.log(`Admin deleted spot: ${spotName} (${spotId})`);
+    const spotName = trashed.spot.name || "Unnamed Spot";
+    console.log(`Admin moved spot to trash: ${spotName} (${spotId})`);
+    await writeAuditLog(request, "deleteSpot", {
+      action: "spotDelete",
+      spotId: spotId,
+      changes: diffFields(trashed.spot, null),
+      metadata: {
+        reason,
+        ratingCount: trashed.ratingCount,
+        commentCount: trashed.commentCount,
+        purgeAfter: trashed.purgeAfter,
+      },
+    });
 
     return {
       success: true,
-      message: `Spot "${spotName}" deleted successfully`,
+      message: `Spot "${spotName}" moved to trash`,
       spotId: spotId,
+      purgeAfter: trashed.purgeAfter.toDate().toISOString(),
     };
   } catch (error) {
     console.error("Error deleting spot:", error);
@@ -4279,13 +6907,13 @@ exports.deleteSpot = onCall({region: "europe-west1"}, async (request) => {
   }
 });
 
-// Function to delete multiple spots (admin only)
+// Function to delete multiple spots (admin only), moving them to the trash
 exports.deleteSpots = onCall(
     {region: "europe-west1", memory: "512MiB", timeoutSeconds: 300},
     async (request) => {
       try {
-        await ensureAdmin(request);
-        const {spotIds} = request.data;
+        await ensurePermission(request, PERMISSIONS.SPOTS_DELETE);
+        const {spotIds, reason = null} = request.data;
 
         if (!Array.isArray(spotIds) || spotIds.length === 0) {
           throw new Error("spotIds array is required");
@@ -4293,25 +6921,40 @@ exports.deleteSpots = onCall(
 
         console.log(`Admin deleting ${spotIds.length} spots`);
 
-        // Delete spots in batch
-        const batch = db.batch();
         const deletedSpots = [];
+        const auditEntries = [];
+        let notFoundCount = 0;
 
         for (const spotId of spotIds) {
-          const spotRef = db.collection("spots").doc(spotId);
-          batch.delete(spotRef);
+          const trashed = await trashSpot(spotId, {deletedBy: (request.auth && request.auth.uid) || null, reason});
+          if (!trashed) {
+            notFoundCount++;
+            continue;
+          }
           deletedSpots.push(spotId);
+          auditEntries.push({
+            action: "spotDelete",
+            spotId: spotId,
+            changes: diffFields(trashed.spot, null),
+            metadata: {
+              reason,
+              ratingCount: trashed.ratingCount,
+              commentCount: trashed.commentCount,
+              purgeAfter: trashed.purgeAfter,
+              bulkDeleteCount: spotIds.length,
+            },
+          });
         }
 
-        await batch.commit();
-
-        console.log(`Admin successfully deleted ${deletedSpots.length} spots`);
+        console.log(`Admin successfully moved ${deletedSpots.length} spots to trash`);
+        await writeAuditLogs(request, "deleteSpots", auditEntries);
 
         return {
           success: true,
-          message: `Successfully deleted ${deletedSpots.length} spots`,
+          message: `Successfully moved ${deletedSpots.length} spots to trash`,
           deletedCount: deletedSpots.length,
           deletedSpotIds: deletedSpots,
+          notFoundCount: notFoundCount,
         };
       } catch (error) {
         console.error("Error deleting spots:", error);
@@ -4320,6 +6963,122 @@ exports.deleteSpots = onCall(
     },
 );
 
+// ========== Admin Callables: Spot trash ==========
+/**
+ * Restores a spot from the trash, with its ratings and comments
+ */
+exports.restoreSpot = onCall(
+    {region: "europe-west1", timeoutSeconds: 120},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.SPOTS_DELETE);
+        const {spotId} = request.data || {};
+        if (!spotId) {
+          throw new Error("spotId is required");
+        }
+
+        const restored = await restoreSpotFromTrash(spotId, {restoredBy: (request.auth && request.auth.uid) || null});
+        // Restored ratings skip the rating triggers
+        await recomputeSpotRatingAggregates(spotId);
+
+        console.log(`Admin restored spot from trash: ${restored.spot.name || "Unnamed Spot"} (${spotId})`);
+        await writeAuditLog(request, "restoreSpot", {
+          action: "spotRestored",
+          spotId: spotId,
+          changes: diffFields(null, restored.spot),
+          metadata: {ratingCount: restored.ratingCount, commentCount: restored.commentCount},
+        });
+
+        return {
+          success: true,
+          spotId: spotId,
+          ratingCount: restored.ratingCount,
+          commentCount: restored.commentCount,
+        };
+      } catch (error) {
+        console.error("restoreSpot error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+/**
+ * Lists trashed spots, most recently deleted first
+ */
+exports.listTrash = onCall(
+    {region: "europe-west1", timeoutSeconds: 60},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.SPOTS_DELETE);
+        const {limit = 50, startAfterId = null} = request.data || {};
+        const pageSize = Math.max(1, Math.min(200, Number(limit) || 50));
+
+        let query = db.collection(SPOT_TRASH_COLLECTION)
+            .orderBy("deletedAt", "desc")
+            .select("name", "spotSource", "countryCode", "city", "ratingCount", "commentCount",
+                "deletedBy", "reason", "deletedAt", "purgeAfter")
+            .limit(pageSize);
+        if (startAfterId) {
+          const cursorDoc = await db.collection(SPOT_TRASH_COLLECTION).doc(startAfterId).get();
+          if (cursorDoc.exists) {
+            query = query.startAfter(cursorDoc);
+          }
+        }
+        const snap = await query.get();
+
+        const spots = snap.docs.map((doc) => {
+          const data = doc.data();
+          return {
+            spotId: doc.id,
+            name: data.name || null,
+            spotSource: data.spotSource || null,
+            countryCode: data.countryCode || null,
+            city: data.city || null,
+            ratingCount: data.ratingCount || 0,
+            commentCount: data.commentCount || 0,
+            deletedBy: data.deletedBy || null,
+            reason: data.reason || null,
+            deletedAt: data.deletedAt ? data.deletedAt.toDate().toISOString() : null,
+            purgeAfter: data.purgeAfter ? data.purgeAfter.toDate().toISOString() : null,
+          };
+        });
+
+        return {
+          success: true,
+          spots,
+          nextStartAfterId: snap.size === pageSize ? snap.docs[snap.docs.length - 1].id : null,
+        };
+      } catch (error) {
+        console.error("listTrash error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+/**
+ * Scheduled function: permanently deletes trashed spots past their retention
+ * period. Their images are then removed by cleanupUnusedImages.
+ */
+exports.purgeSpotTrashScheduled = onSchedule(
+    {
+      schedule: "every day 04:00",
+      timeZone: "UTC",
+      region: "europe-west1",
+      memory: "512MiB",
+      timeoutSeconds: 540,
+    },
+    async () => {
+      console.log("Starting spot trash purge");
+      try {
+        const purged = await purgeExpiredTrash();
+        console.log(`Spot trash purge completed: ${purged.length} spots purged`, purged);
+      } catch (error) {
+        console.error("Error purging spot trash:", error);
+        throw error;
+      }
+    },
+);
+
 /**
  * Admin tool: Geocode all spots missing address fields
  * (address, city, or countryCode)
@@ -4334,7 +7093,7 @@ exports.geocodeMissingSpotAddresses = onCall(
     async (request) => {
       try {
         console.log("geocodeMissingSpotAddresses function called");
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
         console.log("Admin check passed");
 
         const apiKey = process.env.GOOGLE_MAPS_API_KEY;
@@ -4525,6 +7284,11 @@ exports.geocodeMissingSpotAddresses = onCall(
           },
         };
         console.log("Geocode missing addresses result:", response);
+        await writeAuditLog(request, "geocodeMissingSpotAddresses", {
+          action: "spotAddressesGeocoded",
+          targetType: "spots",
+          metadata: response.stats,
+        });
         console.log("Returning response from geocodeMissingSpotAddresses");
         return response;
       } catch (error) {
@@ -4538,6 +7302,179 @@ exports.geocodeMissingSpotAddresses = onCall(
     },
 );
 
+/**
+ * Admin tool: Backfill geohash fields and the attribute index on existing spots.
+ * Processes spots in document ID order and stops before the function timeout;
+ * pass the returned nextStartAfterId back in to resume.
+ */
+exports.backfillSpotGeohashes = onCall(
+    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 540},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
+        const {startAfterId = null, force = false} = request.data || {};
+
+        const BATCH_SIZE = 400;
+        const TIME_BUDGET_MS = 480 * 1000;
+        const startedAt = Date.now();
+
+        let processed = 0;
+        let updated = 0;
+        let skipped = 0;
+        let lastId = startAfterId;
+        let done = false;
+
+        while (!done && Date.now() - startedAt < TIME_BUDGET_MS) {
+          let query = db
+              .collection("spots")
+              .orderBy(admin.firestore.FieldPath.documentId())
+              .select("latitude", "longitude", "geohash", "geohashes", "goodFor", "spotFeatures", "attributeIndex")
+              .limit(BATCH_SIZE);
+          if (lastId) {
+            query = query.startAfter(lastId);
+          }
+
+          const snap = await query.get();
+          if (snap.empty) {
+            done = true;
+            break;
+          }
+
+          const batch = db.batch();
+          let batchWrites = 0;
+          for (const doc of snap.docs) {
+            processed++;
+            const data = doc.data();
+            const geoFields = buildSpotGeoFields(data.latitude, data.longitude);
+            const attributeIndex = buildSpotAttributeIndex(data);
+            const attributesUpToDate = attributeIndexUpToDate(data);
+            if (!geoFields.geohash) {
+              skipped++;
+              if (!attributesUpToDate || force === true) {
+                batch.update(doc.ref, {attributeIndex});
+                batchWrites++;
+              }
+              continue;
+            }
+            const upToDate = data.geohash === geoFields.geohash &&
+              Array.isArray(data.geohashes) &&
+              data.geohashes.length === geoFields.geohashes.length;
+            if (upToDate && attributesUpToDate && force !== true) continue;
+            batch.update(doc.ref, {...geoFields, attributeIndex});
+            batchWrites++;
+          }
+          if (batchWrites > 0) {
+            await batch.commit();
+            updated += batchWrites;
+          }
+
+          lastId = snap.docs[snap.docs.length - 1].id;
+          if (snap.size < BATCH_SIZE) done = true;
+          console.log(`Geohash backfill progress: processed ${processed}, updated ${updated}, skipped ${skipped}`);
+        }
+
+        await writeAuditLog(request, "backfillSpotGeohashes", {
+          action: "spotGeohashesBackfilled",
+          targetType: "spots",
+          metadata: {startAfterId, force: force === true, done, processed, updated, skipped},
+        });
+
+        return {
+          success: true,
+          done: done,
+          nextStartAfterId: done ? null : lastId,
+          stats: {processed, updated, skipped},
+        };
+      } catch (error) {
+        console.error("backfillSpotGeohashes error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
+/**
+ * Admin callable: (re)builds the spot search index for all spots. Processes
+ * spots in document id order within a time budget; call again with
+ * `nextStartAfterId` until `done` is true.
+ */
+exports.rebuildSpotSearchIndex = onCall(
+    {region: "europe-west1", memory: "512MiB", timeoutSeconds: 540},
+    async (request) => {
+      try {
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
+        const {startAfterId = null} = request.data || {};
+
+        const BATCH_SIZE = 200;
+        const TIME_BUDGET_MS = 480 * 1000;
+        const startedAt = Date.now();
+
+        let processed = 0;
+        let removed = 0;
+        let lastId = startAfterId;
+        let done = false;
+
+        while (!done && Date.now() - startedAt < TIME_BUDGET_MS) {
+          let query = db
+              .collection("spots")
+              .orderBy(admin.firestore.FieldPath.documentId())
+              .limit(BATCH_SIZE);
+          if (lastId) {
+            query = query.startAfter(lastId);
+          }
+
+          const snap = await query.get();
+          if (snap.empty) {
+            done = true;
+            break;
+          }
+
+          await Promise.all(snap.docs.map((doc) => updateSpotSearchIndex(doc.id, doc.data())));
+          processed += snap.size;
+
+          lastId = snap.docs[snap.docs.length - 1].id;
+          if (snap.size < BATCH_SIZE) done = true;
+          console.log(`Search index rebuild progress: processed ${processed}`);
+        }
+
+        // On the final call, drop entries of spots that no longer exist
+        if (done) {
+          const entryRefs = await db.collection(SEARCH_INDEX_COLLECTION).listDocuments();
+          for (let i = 0; i < entryRefs.length; i += 300) {
+            const chunk = entryRefs.slice(i, i + 300);
+            const spotSnaps = await db.getAll(
+                ...chunk.map((ref) => db.collection("spots").doc(ref.id)),
+                {fieldMask: []},
+            );
+            const batch = db.batch();
+            spotSnaps.forEach((spotSnap, j) => {
+              if (!spotSnap.exists) {
+                batch.delete(chunk[j]);
+                removed++;
+              }
+            });
+            await batch.commit();
+          }
+        }
+
+        await writeAuditLog(request, "rebuildSpotSearchIndex", {
+          action: "spotSearchIndexRebuilt",
+          targetType: "spots",
+          metadata: {startAfterId, done, processed, removed},
+        });
+
+        return {
+          success: true,
+          done: done,
+          nextStartAfterId: done ? null : lastId,
+          stats: {processed, removed},
+        };
+      } catch (error) {
+        console.error("rebuildSpotSearchIndex error", error);
+        return {success: false, error: error.message};
+      }
+    },
+);
+
 /**
  * Tag mapping from URBN tags to spot features
  * @type {Object<string, string>}
@@ -4586,7 +7523,7 @@ exports.importUrbnSpots = onCall(
     },
     async (request) => {
       try {
-        await ensureAdmin(request);
+        await ensurePermission(request, PERMISSIONS.MAINTENANCE);
 
         const {spots} = request.data;
 
@@ -4597,7 +7534,7 @@ exports.importUrbnSpots = onCall(
         if (spots.length === 0) {
           return {
             success: true,
-            stats: {created: 0, updated: 0, errors: 0},
+            stats: {created: 0, updated: 0, moved: 0, errors: 0},
           };
         }
 
@@ -4615,6 +7552,22 @@ exports.importUrbnSpots = onCall(
 
         console.log(`Processing ${spots.length} URBN spots...`);
 
+        // Match the batch to existing URBN spots by spotId, then position
+        // (see spot-identity.js); spots with invalid data fail below
+        const matchItems = spots.map((spot) => {
+          const [lng, lat] = Array.isArray(spot && spot.coordinates) ? spot.coordinates : [];
+          if (typeof lng !== "number" || typeof lat !== "number" || isNaN(lng) || isNaN(lat)) return null;
+          return {
+            externalId: normalizeExternalId(spot.spotId),
+            latitude: lat,
+            longitude: lng,
+            name: String(spot.name || "").trim(),
+          };
+        });
+        const candidates = await loadMatchCandidates(SOURCE_ID, matchItems.filter(Boolean));
+        const matches = matchPlacemarks(buildSpotMatchIndex(candidates), matchItems);
+        let moved = 0;
+
         // Process each spot
         for (let i = 0; i < spots.length; i++) {
           const spot = spots[i];
@@ -4639,13 +7592,7 @@ exports.importUrbnSpots = onCall(
 
             console.log(`Processing spot ${i + 1}/${spots.length}: ${spot.name} (${latitude}, ${longitude})`);
 
-            // Check if spot already exists
-            const existingSpots = await db
-                .collection("spots")
-                .where("spotSource", "==", SOURCE_ID)
-                .where("latitude", "==", latitude)
-                .where("longitude", "==", longitude)
-                .get();
+            const match = matches[i];
 
             // Process images from S3 using imageIds and spotId
             const imageUrls = [];
@@ -4736,6 +7683,7 @@ exports.importUrbnSpots = onCall(
               description: (spot.description || "").trim(),
               latitude: latitude,
               longitude: longitude,
+              ...buildSpotGeoFields(latitude, longitude),
               address: address,
               city: city,
               countryCode: countryCode,
@@ -4744,6 +7692,11 @@ exports.importUrbnSpots = onCall(
               updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             };
 
+            const externalId = normalizeExternalId(spot.spotId);
+            if (externalId) {
+              spotData.externalId = externalId;
+            }
+
             // Add spot features if any
             if (spotFeatures.length > 0) {
               spotData.spotFeatures = spotFeatures;
@@ -4757,26 +7710,37 @@ exports.importUrbnSpots = onCall(
               }
             }
 
-            if (existingSpots.empty) {
+            if (!match) {
               // Create new spot
               spotData.averageRating = 0;
               spotData.ratingCount = 0;
               spotData.wilsonLowerBound = 0;
-              spotData.ranking = Math.random();
               spotData.duplicateOf = null;
               spotData.hidden = false; // Initialize hidden field
               spotData.createdAt = admin.firestore.FieldValue.serverTimestamp();
-              await db.collection("spots").add(cleanUndefinedValues(spotData));
+              const spotRef = db.collection("spots").doc();
+              const {config, context} = await getCachedRankingContext();
+              spotData.ranking = computeSpotRanking({id: spotRef.id, ...spotData}, config, context);
+              await spotRef.set(cleanUndefinedValues(spotData));
               created++;
               console.log(`✓ Created spot: ${spot.name}`);
             } else {
               // Update existing spot - preserve existing fields
-              const existingSpot = existingSpots.docs[0];
-              const existingData = existingSpot.data();
+              const existingSpot = match.spot;
+              const existingData = existingSpot.data;
               // Preserve existing hidden field if it exists
               if (existingData.hidden !== undefined) {
                 spotData.hidden = existingData.hidden;
               }
+              const positionChange = buildPositionChange(existingData, latitude, longitude, {
+                matchedBy: match.matchedBy,
+                spotSource: SOURCE_ID,
+              });
+              if (positionChange) {
+                spotData.positionHistory = positionChange.positionHistory;
+                moved++;
+                console.log(`Spot ${existingSpot.id} moved ${positionChange.distanceMeters}m, matched by ${match.matchedBy}`);
+              }
               await existingSpot.ref.update(cleanUndefinedValues(spotData));
               updated++;
               console.log(`✓ Updated spot: ${spot.name}`);
@@ -4788,13 +7752,19 @@ exports.importUrbnSpots = onCall(
           }
         }
 
-        console.log(`Import completed: ${created} created, ${updated} updated, ${errors} errors`);
+        console.log(`Import completed: ${created} created, ${updated} updated (${moved} moved), ${errors} errors`);
+        await writeAuditLog(request, "importUrbnSpots", {
+          action: "urbnSpotsImported",
+          targetType: "spots",
+          metadata: {received: spots.length, created, updated, moved, errors},
+        });
 
         return {
           success: true,
           stats: {
             created,
             updated,
+            moved,
             errors,
           },
         };
@@ -4895,3 +7865,72 @@ exports.serveSitemap = onRequest(
       }
     },
 );
+
+/**
+ * Scheduled function to regenerate precomputed low-zoom spot tiles nightly
+ * Runs at 01:00 UTC every day, after the sitemaps
+ */
+exports.generateSpotTilesScheduled = onSchedule(
+    {
+      schedule: "every day 01:00",
+      timeZone: "UTC",
+      region: "europe-west1",
+      memory: "1GiB",
+      timeoutSeconds: 540,
+    },
+    async () => {
+      console.log("Scheduled spot tile generation started");
+      try {
+        await generateLowZoomTiles();
+        console.log("Scheduled spot tile generation completed successfully");
+      } catch (error) {
+        console.error("Error in scheduled spot tile generation:", error);
+        throw error;
+      }
+    },
+);
+
+/**
+ * HTTP function to serve Mapbox Vector Tiles of the spot layer
+ * Handles requests for /tiles/{z}/{x}/{y}.pbf
+ */
+exports.serveSpotTiles = onRequest(
+    {
+      region: "europe-west1",
+      cors: true,
+      memory: "512MiB",
+    },
+    async (req, res) => {
+      try {
+        const path = (req.path || req.url || "/").split("?")[0];
+        const match = path.match(/^\/tiles\/(\d+)\/(\d+)\/(\d+)\.pbf$/);
+        if (!match) {
+          res.status(404).send("Tile not found");
+          return;
+        }
+
+        const z = Number(match[1]);
+        const x = Number(match[2]);
+        const y = Number(match[3]);
+        if (!isValidTile(z, x, y)) {
+          res.status(400).send("Invalid tile coordinates");
+          return;
+        }
+
+        const {tile, precomputed} = await getSpotTile(z, x, y);
+
+        res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+        // Precomputed low-zoom tiles only change nightly
+        if (precomputed || z <= PRECOMPUTED_MAX_ZOOM) {
+          res.set("Cache-Control", "public, max-age=3600, s-maxage=21600");
+        } else {
+          res.set("Cache-Control", "public, max-age=300, s-maxage=900");
+        }
+
+        res.status(200).send(tile);
+      } catch (error) {
+        console.error("Error serving spot tile:", error);
+        res.status(500).send("Error generating tile");
+      }
+    },
+);
@@ -0,0 +1,209 @@
+/* eslint-disable max-len */
+/**
+ * Spots whose placemark disappeared from their sync source
+ *
+ * Every sync records which of the source's spots it saw (matched a
+ * placemark). Spots it didn't see get `syncMissCount` (consecutive syncs
+ * without them) and `missingSince`; once they have been missing for
+ * `afterMisses` syncs, the source's `missingPolicy` applies:
+ * - keep: nothing else happens (default)
+ * - hide: the spot is hidden (`hiddenBySync` remembers that the sync did it)
+ * - flag: `missingFromSource` is set for review (listed by findOrphanedSpots)
+ * - softDelete: the spot is moved to the trash (spot-trash.js)
+ * A spot seen again is reset, and unhidden if the sync had hidden it. Syncs
+ * that downloaded no placemarks, or couldn't geocode an address-only
+ * placemark, count no misses: the unseen spot may just not be located yet.
+ * When a uMap datalayer fails to download, only spots recorded in another
+ * datalayer (`folderName`) count a miss.
+ *
+ * Syncs that find the source unchanged (see sync-content-hash.js) still count
+ * a miss for the spots that were already missing, so the policy also applies
+ * to maps nobody edits after removing a placemark.
+ */
+
+const admin = require("firebase-admin");
+
+const {trashSpot} = require("./spot-trash");
+
+const db = admin.firestore();
+
+const MISSING_POLICY_ACTIONS = {
+  KEEP: "keep",
+  HIDE: "hide",
+  FLAG: "flag",
+  SOFT_DELETE: "softDelete",
+};
+
+const DEFAULT_MISSING_POLICY = {action: MISSING_POLICY_ACTIONS.KEEP, afterMisses: 3};
+const MAX_AFTER_MISSES = 30;
+const BATCH_SIZE = 400;
+
+/**
+ * Validates a source's policy for missing spots
+ * @param {*} input - {action, afterMisses}, or null for the default
+ * @return {Object} {action, afterMisses}
+ */
+function normalizeMissingPolicy(input) {
+  if (input === null || input === undefined) return {...DEFAULT_MISSING_POLICY};
+  if (typeof input !== "object") {
+    throw new Error("missingPolicy must be an object with action and afterMisses");
+  }
+  const action = input.action === undefined ? DEFAULT_MISSING_POLICY.action : input.action;
+  if (!Object.values(MISSING_POLICY_ACTIONS).includes(action)) {
+    throw new Error(`missingPolicy.action must be one of: ${Object.values(MISSING_POLICY_ACTIONS).join(", ")}`);
+  }
+  const afterMisses = input.afterMisses === undefined ? DEFAULT_MISSING_POLICY.afterMisses : Number(input.afterMisses);
+  if (!Number.isInteger(afterMisses) || afterMisses < 1 || afterMisses > MAX_AFTER_MISSES) {
+    throw new Error(`missingPolicy.afterMisses must be an integer between 1 and ${MAX_AFTER_MISSES}`);
+  }
+  return {action, afterMisses};
+}
+
+/**
+ * The policy stored on a source, falling back to the default if invalid
+ * @param {Object} source - Sync source data
+ * @return {Object} {action, afterMisses}
+ */
+function missingPolicyOf(source) {
+  try {
+    return normalizeMissingPolicy(source.missingPolicy);
+  } catch (e) {
+    console.warn(`Invalid missingPolicy on source ${source.name}, using the default`, e.message);
+    return {...DEFAULT_MISSING_POLICY};
+  }
+}
+
+/**
+ * What the policy does to a spot missing from this sync
+ * @param {Object} spotData - Spot data before the sync
+ * @param {Object} policy - {action, afterMisses}
+ * @return {Object} {missCount, action}; action is null until afterMisses is
+ *   reached, and for actions already applied
+ */
+function missingSpotOutcome(spotData, policy) {
+  const missCount = (Number(spotData.syncMissCount) || 0) + 1;
+  if (missCount < policy.afterMisses || policy.action === MISSING_POLICY_ACTIONS.KEEP) {
+    return {missCount, action: null};
+  }
+  const alreadyApplied = (policy.action === MISSING_POLICY_ACTIONS.HIDE && spotData.hidden === true) ||
+    (policy.action === MISSING_POLICY_ACTIONS.FLAG && spotData.missingFromSource === true);
+  return {missCount, action: alreadyApplied ? null : policy.action};
+}
+
+/**
+ * Fields resetting the missing state of a spot seen again in its source
+ * @param {Object} spotData - Spot data before the sync
+ * @return {Object|null} Fields to update, or null if the spot wasn't missing
+ */
+function buildReappearedFields(spotData) {
+  const wasMissing = (Number(spotData.syncMissCount) || 0) > 0 || spotData.missingFromSource === true ||
+    spotData.hiddenBySync === true;
+  if (!wasMissing) return null;
+  const fields = {
+    syncMissCount: 0,
+    missingSince: admin.firestore.FieldValue.delete(),
+    missingFromSource: admin.firestore.FieldValue.delete(),
+  };
+  if (spotData.hiddenBySync === true) {
+    fields.hidden = false;
+    fields.hiddenBySync = admin.firestore.FieldValue.delete();
+  }
+  return fields;
+}
+
+/**
+ * Loads the spots of a source that were missing from its last sync
+ * @param {string} sourceId - Sync source id
+ * @return {Promise<Array<Object>>} Spots as {id, ref, data}
+ */
+async function loadMissingSpots(sourceId) {
+  const snap = await db.collection("spots")
+      .where("spotSource", "==", sourceId)
+      .where("syncMissCount", ">", 0)
+      .get();
+  return snap.docs.map((doc) => ({id: doc.id, ref: doc.ref, data: doc.data()}));
+}
+
+/**
+ * Unseen spots that can count a miss when some datalayers of the source
+ * failed to download: only those whose recorded folder downloaded fine
+ * @param {Array<Object>} spots - Unseen spots as {id, ref, data}
+ * @param {Object} source - Sync source data
+ * @param {Array<string>} failedFolders - Names of the datalayers that failed
+ * @return {Array<Object>} The spots to count a miss for
+ */
+function spotsCountingMiss(spots, source, failedFolders) {
+  if (!failedFolders || failedFolders.length === 0) return spots;
+  // Without a recorded folder, any unseen spot may be in a failed datalayer
+  if (source.recordFolderName !== true) return [];
+  const failed = new Set(failedFolders);
+  return spots.filter((spot) => typeof spot.data.folderName === "string" && !failed.has(spot.data.folderName));
+}
+
+/**
+ * Counts a sync miss on each unseen spot and applies the source's policy
+ * @param {Array<Object>} spots - Unseen spots as {id, ref, data}
+ * @param {Object} source - Sync source data
+ * @param {string} sourceId - Sync source id
+ * @return {Promise<Object>} {missing, hidden, flagged, softDeleted, softDeleteFailed}
+ */
+async function applyMissingPolicy(spots, source, sourceId) {
+  const policy = missingPolicyOf(source);
+  const counts = {missing: spots.length, hidden: 0, flagged: 0, softDeleted: 0, softDeleteFailed: 0};
+  const updates = [];
+  const toTrash = [];
+
+  for (const spot of spots) {
+    const {missCount, action} = missingSpotOutcome(spot.data, policy);
+    if (action === MISSING_POLICY_ACTIONS.SOFT_DELETE) {
+      toTrash.push({spot, missCount});
+      continue;
+    }
+    const fields = {syncMissCount: missCount};
+    if (!spot.data.missingSince) {
+      fields.missingSince = admin.firestore.FieldValue.serverTimestamp();
+    }
+    if (action === MISSING_POLICY_ACTIONS.HIDE) {
+      fields.hidden = true;
+      fields.hiddenBySync = true;
+      counts.hidden++;
+    } else if (action === MISSING_POLICY_ACTIONS.FLAG) {
+      fields.missingFromSource = true;
+      counts.flagged++;
+    }
+    updates.push({ref: spot.ref, fields});
+  }
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ref, fields}) => batch.update(ref, fields));
+    await batch.commit();
+  }
+
+  for (const {spot, missCount} of toTrash) {
+    try {
+      await trashSpot(spot.id, {
+        deletedBy: null,
+        reason: `Missing from sync source ${source.name || sourceId} for ${missCount} syncs`,
+      });
+      counts.softDeleted++;
+    } catch (e) {
+      counts.softDeleteFailed++;
+      console.error(`Failed to move missing spot ${spot.id} to the trash`, e);
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  MISSING_POLICY_ACTIONS,
+  DEFAULT_MISSING_POLICY,
+  normalizeMissingPolicy,
+  missingPolicyOf,
+  missingSpotOutcome,
+  buildReappearedFields,
+  loadMissingSpots,
+  spotsCountingMiss,
+  applyMissingPolicy,
+};
@@ -0,0 +1,206 @@
+/* eslint-disable max-len */
+/**
+ * Roles and permissions for Firebase Cloud Functions
+ *
+ * Users get roles in `users/{uid}.roles`, with the countries and sync sources
+ * scoped roles apply to in `users/{uid}.roleScopes` ({countries, sources}):
+ * - admin: every permission
+ * - moderator: moderates spots, ratings and the audit log everywhere
+ * - regionalModerator: as moderator, but only for spots in its countries
+ * - sourceMaintainer: edits and syncs its sync sources
+ * The legacy `isAdmin` and `isModerator` flags count as the admin and
+ * moderator roles.
+ *
+ * A trigger mirrors roles into custom claims (buildRoleClaims) so checks
+ * usually don't need a Firestore read. Callables check permissions with
+ * ensurePermission in index.js, passing the scope of the action
+ * ({countryCode} or {sourceId}), ANY_SCOPE for listings, or nothing for
+ * actions that are not scoped. Listings then only return what lies in the
+ * grant's countries (permittedCountries).
+ */
+
+const ROLES = {
+  ADMIN: "admin",
+  MODERATOR: "moderator",
+  REGIONAL_MODERATOR: "regionalModerator",
+  SOURCE_MAINTAINER: "sourceMaintainer",
+};
+
+const PERMISSIONS = {
+  SPOTS_MODERATE: "spots.moderate",
+  SPOTS_DELETE: "spots.delete",
+  RATINGS_MODERATE: "ratings.moderate",
+  AUDIT_LOG_READ: "auditLog.read",
+  SYNC_SOURCES_SYNC: "syncSources.sync",
+  SYNC_SOURCES_EDIT: "syncSources.edit",
+  SYNC_SOURCES_MANAGE: "syncSources.manage",
+  RANKINGS_MANAGE: "rankings.manage",
+  USERS_MANAGE: "users.manage",
+  MAINTENANCE: "maintenance",
+};
+
+const MODERATION_PERMISSIONS = [
+  PERMISSIONS.SPOTS_MODERATE,
+  PERMISSIONS.RATINGS_MODERATE,
+  PERMISSIONS.AUDIT_LOG_READ,
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.MODERATOR]: MODERATION_PERMISSIONS,
+  [ROLES.REGIONAL_MODERATOR]: MODERATION_PERMISSIONS,
+  [ROLES.SOURCE_MAINTAINER]: [PERMISSIONS.SYNC_SOURCES_SYNC, PERMISSIONS.SYNC_SOURCES_EDIT],
+};
+
+// Which roleScopes list limits a scoped role, and the scope key it is matched against
+const SCOPED_ROLES = {
+  [ROLES.REGIONAL_MODERATOR]: {list: "countries", key: "countryCode"},
+  [ROLES.SOURCE_MAINTAINER]: {list: "sources", key: "sourceId"},
+};
+
+// Scope for listings: granted if the permission is held in any scope
+const ANY_SCOPE = "any";
+
+// Custom claims are limited to 1000 bytes
+const MAX_SCOPE_ENTRIES = 20;
+
+/**
+ * Keeps the valid entries of a scope list
+ * @param {*} value - Raw list
+ * @param {string} list - "countries" or "sources"
+ * @return {string[]} Country codes (upper case) or source ids
+ */
+function normalizeScopeList(value, list) {
+  if (!Array.isArray(value)) return [];
+  const items = value
+      .filter((item) => typeof item === "string")
+      .map((item) => (list === "countries" ? item.trim().toUpperCase() : item.trim()))
+      .filter((item) => (list === "countries" ? /^[A-Z]{2}$/.test(item) : item.length > 0));
+  return Array.from(new Set(items));
+}
+
+/**
+ * Reads the roles of a user from their users document
+ * @param {Object} userData - users/{uid} data
+ * @return {Object} Grant: {roles, countries, sources}
+ */
+function grantFromUserDoc(userData) {
+  const data = userData || {};
+  const roles = new Set(Array.isArray(data.roles) ? data.roles.filter((role) => ROLE_PERMISSIONS[role]) : []);
+  if (data.isAdmin === true) roles.add(ROLES.ADMIN);
+  if (data.isModerator === true) roles.add(ROLES.MODERATOR);
+  const scopes = data.roleScopes || {};
+  return {
+    roles: Array.from(roles),
+    countries: normalizeScopeList(scopes.countries, "countries"),
+    sources: normalizeScopeList(scopes.sources, "sources"),
+  };
+}
+
+/**
+ * Reads the roles of a user from their ID token claims
+ * @param {Object} token - Decoded ID token (request.auth.token)
+ * @return {Object} Grant: {roles, countries, sources}
+ */
+function grantFromClaims(token) {
+  const claims = token || {};
+  const roles = new Set(Array.isArray(claims.roles) ? claims.roles.filter((role) => ROLE_PERMISSIONS[role]) : []);
+  if (claims.admin === true) roles.add(ROLES.ADMIN);
+  if (claims.moderator === true) roles.add(ROLES.MODERATOR);
+  return {
+    roles: Array.from(roles),
+    countries: normalizeScopeList(claims.countries, "countries"),
+    sources: normalizeScopeList(claims.sources, "sources"),
+  };
+}
+
+/**
+ * Whether a grant includes a permission in a scope
+ * @param {Object} grant - {roles, countries, sources}
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object|string|null} scope - {countryCode} or {sourceId}, ANY_SCOPE,
+ *   or null for actions that are not scoped (only unscoped roles qualify)
+ * @return {boolean} True if permitted
+ */
+function hasPermission(grant, permission, scope = null) {
+  return grant.roles.some((role) => {
+    if (!ROLE_PERMISSIONS[role].includes(permission)) return false;
+    const scoped = SCOPED_ROLES[role];
+    if (!scoped) return true;
+    const allowed = grant[scoped.list];
+    if (scope === ANY_SCOPE) return allowed.length > 0;
+    if (!scope || !scope[scoped.key]) return false;
+    const value = scoped.list === "countries" ? String(scope[scoped.key]).toUpperCase() : scope[scoped.key];
+    return allowed.includes(value);
+  });
+}
+
+/**
+ * Countries a grant holds a permission in, for scoping listings
+ * @param {Object} grant - {roles, countries, sources}
+ * @param {string} permission - One of PERMISSIONS
+ * @return {string[]|null} Country codes, or null if the permission isn't
+ *   limited to countries
+ */
+function permittedCountries(grant, permission) {
+  if (hasPermission(grant, permission)) return null;
+  return grant.countries.filter((countryCode) => hasPermission(grant, permission, {countryCode}));
+}
+
+/**
+ * Custom claims mirroring a grant. `admin` and `moderator` stay booleans for
+ * existing checks; scoped roles carry their scope lists.
+ * @param {Object} grant - {roles, countries, sources}
+ * @return {Object} Role claims
+ */
+function buildRoleClaims(grant) {
+  const hasScopedRole = (list) => grant.roles.some((role) => SCOPED_ROLES[role] && SCOPED_ROLES[role].list === list);
+  return {
+    admin: grant.roles.includes(ROLES.ADMIN),
+    moderator: grant.roles.includes(ROLES.MODERATOR),
+    roles: grant.roles,
+    countries: hasScopedRole("countries") ? grant.countries.slice(0, MAX_SCOPE_ENTRIES) : [],
+    sources: hasScopedRole("sources") ? grant.sources.slice(0, MAX_SCOPE_ENTRIES) : [],
+  };
+}
+
+/**
+ * Validates a role assignment from setUserRoles
+ * @param {Object} input - {roles, countries, sources}
+ * @return {Object} {roles, roleScopes: {countries, sources}}
+ */
+function normalizeRoleAssignment({roles, countries = [], sources = []}) {
+  if (!Array.isArray(roles)) {
+    throw new Error("roles must be an array");
+  }
+  const unknown = roles.filter((role) => !ROLE_PERMISSIONS[role]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown roles: ${unknown.join(", ")}. Valid roles: ${Object.values(ROLES).join(", ")}`);
+  }
+  const roleScopes = {
+    countries: normalizeScopeList(countries, "countries"),
+    sources: normalizeScopeList(sources, "sources"),
+  };
+  if (roleScopes.countries.length > MAX_SCOPE_ENTRIES || roleScopes.sources.length > MAX_SCOPE_ENTRIES) {
+    throw new Error(`At most ${MAX_SCOPE_ENTRIES} countries and ${MAX_SCOPE_ENTRIES} sources can be assigned`);
+  }
+  for (const role of roles) {
+    const scoped = SCOPED_ROLES[role];
+    if (scoped && roleScopes[scoped.list].length === 0) {
+      throw new Error(`${role} requires at least one entry in ${scoped.list}`);
+    }
+  }
+  return {roles: Array.from(new Set(roles)), roleScopes};
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ANY_SCOPE,
+  grantFromUserDoc,
+  grantFromClaims,
+  hasPermission,
+  permittedCountries,
+  buildRoleClaims,
+  normalizeRoleAssignment,
+};
@@ -0,0 +1,246 @@
+/* eslint-disable max-len */
+/**
+ * Spot ranking strategies for Firebase Cloud Functions
+ *
+ * The strategy is selected by the `rankingStrategy` settings document, whose
+ * value is either a strategy name or an object with a `strategy` field plus
+ * overrides of DEFAULT_RANKING_CONFIG:
+ * - "wilson": Wilson lower bound, +10 above the global average and -10 below
+ *   (or the spot's country average when `perCountryAverage` is set)
+ * - "bayesian": Bayesian average, pulling spots with few ratings towards
+ *   `priorMean` (the global mean rating when null) with weight `priorWeight`
+ * - "hybrid": Bayesian average plus image, video and recency boosts
+ *
+ * Unrated spots get a stable per-spot value in [0, 1) instead of a new random
+ * number on every recompute, so they keep a shuffled but consistent order.
+ *
+ * With `ratingHalfLifeDays` set, every strategy uses recency-weighted ratings:
+ * a rating counts half as much after each half-life, so the average follows
+ * recent votes and spots without recent votes lose evidence and sink. The
+ * decayed totals are kept by the rating aggregation (`ratingDecay` on the
+ * spot, valid at `asOf`) and projected to the ranking time here.
+ */
+
+const crypto = require("crypto");
+
+const RANKING_STRATEGIES = ["wilson", "bayesian", "hybrid"];
+
+const DEFAULT_RANKING_CONFIG = {
+  strategy: "wilson",
+  // Wilson: compare against the spot's country average where one is recorded
+  perCountryAverage: false,
+  // Number of virtual ratings at priorMean added to every spot
+  priorWeight: 5,
+  // Stars; null = global mean rating
+  priorMean: null,
+  // Boosts in stars, used by the hybrid strategy
+  imageBoost: 0.25,
+  videoBoost: 0.1,
+  recencyBoost: 0.25,
+  recencyHalfLifeDays: 90,
+  // Half-life of rating weight in days; 0 = ratings don't decay
+  ratingHalfLifeDays: 0,
+};
+
+// Used as prior when no global mean rating is available yet
+const FALLBACK_PRIOR_MEAN = 2.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates a ranking configuration from settings or a preview request
+ * @param {string|Object|null|undefined} value - Strategy name or config object
+ * @return {Object} Complete ranking configuration
+ */
+function normalizeRankingConfig(value) {
+  const raw = typeof value === "string" ? {strategy: value} : (value && typeof value === "object" ? value : {});
+  const config = {...DEFAULT_RANKING_CONFIG};
+
+  if (raw.strategy !== undefined) {
+    if (!RANKING_STRATEGIES.includes(raw.strategy)) {
+      throw new Error(`Unknown ranking strategy: ${raw.strategy}`);
+    }
+    config.strategy = raw.strategy;
+  }
+
+  const numberFields = ["priorWeight", "imageBoost", "videoBoost", "recencyBoost", "recencyHalfLifeDays", "ratingHalfLifeDays"];
+  for (const field of numberFields) {
+    if (raw[field] === undefined || raw[field] === null) continue;
+    const n = Number(raw[field]);
+    if (!Number.isFinite(n) || n < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    config[field] = n;
+  }
+  if (raw.perCountryAverage !== undefined && raw.perCountryAverage !== null) {
+    config.perCountryAverage = raw.perCountryAverage === true;
+  }
+  if (raw.priorMean !== undefined && raw.priorMean !== null) {
+    const n = Number(raw.priorMean);
+    if (!Number.isFinite(n) || n < 0 || n > 5) {
+      throw new Error("priorMean must be between 0 and 5");
+    }
+    config.priorMean = n;
+  }
+  return config;
+}
+
+/**
+ * Wilson score lower bound over normalized stars, treating each star as a
+ * Bernoulli success out of 5 per rating
+ * @param {number} sum - Sum of ratings (each clamped to 0..5)
+ * @param {number} count - Number of ratings
+ * @return {number} Lower bound in stars (0..5)
+ */
+function computeWilsonLowerBound(sum, count) {
+  if (!(count > 0)) return 0;
+  const z = 1.96; // 95% confidence
+  const trials = 5 * count;
+  const p = Math.max(0, Math.min(1, sum / trials));
+  const denom = 1 + (z * z) / trials;
+  const center = p + (z * z) / (2 * trials);
+  const margin = z * Math.sqrt(
+      (p * (1 - p) + (z * z) / (4 * trials)) / trials);
+  const lowerBoundProportion = (center - margin) / denom;
+  return Math.max(0, Math.min(1, lowerBoundProportion)) * 5;
+}
+
+/**
+ * Stable pseudo-random value in [0, 1) for a spot id
+ * @param {string} spotId - Spot document id
+ * @return {number} Value derived from the id
+ */
+function stableSpotJitter(spotId) {
+  const hash = crypto.createHash("md5").update(String(spotId)).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Converts a Firestore Timestamp, Date or ISO string to milliseconds
+ * @param {*} value - Date-like value
+ * @return {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Weight multiplier of something that has aged by the given time
+ * @param {number} ageMs - Age in milliseconds (negative ages count as 0)
+ * @param {number} halfLifeDays - Half-life in days
+ * @return {number} Multiplier between 0 and 1
+ */
+function decayFactor(ageMs, halfLifeDays) {
+  return Math.pow(0.5, Math.max(0, ageMs) / DAY_MS / halfLifeDays);
+}
+
+/**
+ * Recency-weighted rating statistics of a spot at a point in time
+ * @param {Object} spot - Spot data with ratingDecay
+ * @param {Object} config - Configuration from normalizeRankingConfig
+ * @param {number} now - Time in milliseconds
+ * @return {Object|null} {average, weight, wilsonLowerBound}, or null if decay
+ *   is off or the spot's decayed totals are missing or use another half-life
+ */
+function decayedRatingStats(spot, config, now) {
+  const decay = spot.ratingDecay;
+  if (!(config.ratingHalfLifeDays > 0) || !decay || decay.halfLifeDays !== config.ratingHalfLifeDays) {
+    return null;
+  }
+  const asOfMs = toMillis(decay.asOf);
+  if (asOfMs === null || typeof decay.weight !== "number" || typeof decay.sum !== "number") {
+    return null;
+  }
+  const factor = decayFactor(now - asOfMs, config.ratingHalfLifeDays);
+  const weight = Math.max(0, decay.weight) * factor;
+  const sum = Math.max(0, decay.sum) * factor;
+  return {
+    average: weight > 0 ? sum / weight : 0,
+    weight: weight,
+    wilsonLowerBound: computeWilsonLowerBound(sum, weight),
+  };
+}
+
+/**
+ * Computes the ranking of a spot
+ * @param {Object} spot - Spot data with id, averageRating, ratingCount,
+ *   ratingWeight, ratingDecay, wilsonLowerBound, imageUrls, youtubeVideoIds
+ *   and createdAt
+ * @param {Object} config - Configuration from normalizeRankingConfig
+ * @param {Object} context - {wilsonLowerBoundAvg, wilsonLowerBoundAvgByCountry,
+ *   globalMeanRating, now}
+ * @return {number} Ranking, rounded to 4 decimals
+ */
+function computeSpotRanking(spot, config, context = {}) {
+  const count = Number(spot.ratingCount) || 0;
+  const now = context.now || Date.now();
+  const decayed = decayedRatingStats(spot, config, now);
+  const average = decayed ? decayed.average : (Number(spot.averageRating) || 0);
+  const jitter = stableSpotJitter(spot.id);
+  let ranking;
+
+  if (config.strategy === "wilson") {
+    let wilsonLowerBound;
+    if (decayed) {
+      wilsonLowerBound = decayed.wilsonLowerBound;
+    } else if (typeof spot.wilsonLowerBound === "number") {
+      wilsonLowerBound = spot.wilsonLowerBound;
+    } else {
+      wilsonLowerBound = computeWilsonLowerBound(average * count, count);
+    }
+    const byCountry = context.wilsonLowerBoundAvgByCountry || {};
+    const countryAvg = config.perCountryAverage && spot.countryCode ?
+      byCountry[String(spot.countryCode).toUpperCase()] :
+      undefined;
+    const wilsonLowerBoundAvg = typeof countryAvg === "number" ? countryAvg : (context.wilsonLowerBoundAvg || 0);
+    if (count === 0 && !(wilsonLowerBound > 0)) {
+      ranking = jitter;
+    } else if (wilsonLowerBound < wilsonLowerBoundAvg) {
+      ranking = wilsonLowerBound - 10;
+    } else {
+      // Equal is treated as above average
+      ranking = wilsonLowerBound + 10;
+    }
+  } else {
+    const priorMean = config.priorMean !== null ?
+      config.priorMean :
+      (typeof context.globalMeanRating === "number" ? context.globalMeanRating : FALLBACK_PRIOR_MEAN);
+    const priorWeight = config.priorWeight;
+    // Down-weighted and old votes count for less evidence
+    let evidence = typeof spot.ratingWeight === "number" ? spot.ratingWeight : count;
+    if (decayed) evidence = decayed.weight;
+    const bayesian = priorWeight + evidence > 0 ?
+      (priorWeight * priorMean + average * evidence) / (priorWeight + evidence) :
+      priorMean;
+    // Jitter only breaks ties, e.g. between unrated spots
+    ranking = bayesian + jitter * 0.001;
+
+    if (config.strategy === "hybrid") {
+      if (Array.isArray(spot.imageUrls) && spot.imageUrls.length > 0) {
+        ranking += config.imageBoost;
+      }
+      if (Array.isArray(spot.youtubeVideoIds) && spot.youtubeVideoIds.length > 0) {
+        ranking += config.videoBoost;
+      }
+      const createdAtMs = toMillis(spot.createdAt);
+      if (createdAtMs !== null && config.recencyHalfLifeDays > 0) {
+        ranking += config.recencyBoost * decayFactor(now - createdAtMs, config.recencyHalfLifeDays);
+      }
+    }
+  }
+
+  return Number(ranking.toFixed(4));
+}
+
+module.exports = {
+  RANKING_STRATEGIES,
+  DEFAULT_RANKING_CONFIG,
+  normalizeRankingConfig,
+  computeWilsonLowerBound,
+  decayFactor,
+  decayedRatingStats,
+  computeSpotRanking,
+};
@@ -0,0 +1,122 @@
+/* eslint-disable max-len */
+/**
+ * Rating abuse detection for Firebase Cloud Functions
+ *
+ * Runs once per new rating, before it is aggregated, and flags:
+ * - "burst": many ratings on the same spot within a short window
+ * - "newAccount": the rater's account was created very recently
+ * - "rapidMultiSpot": the rater rated many spots within seconds
+ *
+ * Flags map to a vote weight: new accounts are down-weighted, bursts and
+ * rapid multi-spot rating are quarantined (weight 0) until a moderator
+ * reviews them.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+const BURST_THRESHOLD = 10; // Ratings on one spot within the window
+const NEW_ACCOUNT_AGE_MS = 24 * 60 * 60 * 1000;
+const RAPID_WINDOW_MS = 60 * 1000;
+const RAPID_SPOT_THRESHOLD = 5; // Ratings by one user within the window
+
+const NEW_ACCOUNT_WEIGHT = 0.5;
+
+const MODERATION_STATUS = {
+  OK: "ok",
+  DOWNWEIGHTED: "downweighted",
+  QUARANTINED: "quarantined",
+  RESTORED: "restored",
+};
+
+/**
+ * Returns when a user's account was created
+ * @param {string} userId - Firebase Auth uid
+ * @return {Promise<number|null>} Creation time in milliseconds, or null if unknown
+ */
+async function getAccountCreatedAt(userId) {
+  try {
+    const user = await admin.auth().getUser(userId);
+    const created = Date.parse(user.metadata.creationTime);
+    if (!Number.isNaN(created)) return created;
+  } catch (e) {
+    console.warn("Could not load auth user for abuse detection", userId, e.message);
+  }
+  try {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const createdAt = userDoc.exists ? userDoc.data().createdAt : null;
+    if (createdAt && typeof createdAt.toMillis === "function") return createdAt.toMillis();
+  } catch (e) {
+    console.warn("Could not load user profile for abuse detection", userId, e.message);
+  }
+  return null;
+}
+
+/**
+ * Counts ratings matching a field since a point in time (createdAt, which
+ * the security rules pin to the server time of the write)
+ * @param {string} field - "spotId" or "userId"
+ * @param {string} value - Field value
+ * @param {number} sinceMs - Window start in milliseconds
+ * @return {Promise<number>} Number of ratings
+ */
+async function countRecentRatings(field, value, sinceMs) {
+  const snap = await db.collection("ratings")
+      .where(field, "==", value)
+      .where("createdAt", ">=", admin.firestore.Timestamp.fromMillis(sinceMs))
+      .count()
+      .get();
+  return snap.data().count || 0;
+}
+
+/**
+ * Maps abuse flags to a vote weight and moderation status
+ * @param {string[]} flags - Abuse flags
+ * @return {{weight: number, moderationStatus: string}} Moderation result
+ */
+function moderationForFlags(flags) {
+  if (flags.includes("burst") || flags.includes("rapidMultiSpot")) {
+    return {weight: 0, moderationStatus: MODERATION_STATUS.QUARANTINED};
+  }
+  if (flags.includes("newAccount")) {
+    return {weight: NEW_ACCOUNT_WEIGHT, moderationStatus: MODERATION_STATUS.DOWNWEIGHTED};
+  }
+  return {weight: 1, moderationStatus: MODERATION_STATUS.OK};
+}
+
+/**
+ * Checks a new rating for abuse patterns
+ * @param {Object} rating - Rating document data
+ * @return {Promise<Object>} {weight, moderationStatus, abuseFlags}
+ */
+async function detectRatingAbuse(rating) {
+  const now = Date.now();
+  const flags = [];
+
+  const checks = await Promise.allSettled([
+    countRecentRatings("spotId", rating.spotId, now - BURST_WINDOW_MS),
+    rating.userId ? countRecentRatings("userId", rating.userId, now - RAPID_WINDOW_MS) : Promise.resolve(0),
+    rating.userId ? getAccountCreatedAt(rating.userId) : Promise.resolve(null),
+  ]);
+  const [burstCount, userRecentCount, accountCreatedAt] = checks.map((c) => {
+    if (c.status === "rejected") {
+      console.warn("Rating abuse check failed", c.reason);
+      return null;
+    }
+    return c.value;
+  });
+
+  // Counts include the rating being checked
+  if (burstCount !== null && burstCount >= BURST_THRESHOLD) flags.push("burst");
+  if (userRecentCount !== null && userRecentCount >= RAPID_SPOT_THRESHOLD) flags.push("rapidMultiSpot");
+  if (accountCreatedAt !== null && now - accountCreatedAt < NEW_ACCOUNT_AGE_MS) flags.push("newAccount");
+
+  return {...moderationForFlags(flags), abuseFlags: flags};
+}
+
+module.exports = {
+  MODERATION_STATUS,
+  detectRatingAbuse,
+};
@@ -0,0 +1,449 @@
+/* eslint-disable max-len */
+/**
+ * Incremental rating aggregation for Firebase Cloud Functions
+ *
+ * Rating triggers turn each write into a delta (the old rating removed, the
+ * new one added) and apply it to running totals on the spot document in a
+ * transaction, instead of re-reading every rating of the spot.
+ *
+ * Besides the overall sum and count, the totals hold a 1-5 star histogram
+ * and per-dimension sums for the optional `dimensions` map of a rating
+ * (see RATING_DIMENSIONS).
+ *
+ * Ratings carry a `weight` (0..1, default 1) set by abuse detection: sums
+ * and averages are weighted, while counts and the histogram count every
+ * rating with a non-zero weight. Quarantined ratings (weight 0) don't count.
+ *
+ * When the ranking config sets `ratingHalfLifeDays`, the totals also hold
+ * recency-weighted sums (`ratingDecay`): each rating's weight halves every
+ * half-life, measured from its `updatedAt` (or `createdAt`). They are stored
+ * as of the last write (`asOf`) and decayed forward on the next one. Spots
+ * whose decayed totals are missing or use another half-life get
+ * `ratingDecay: null` until the scheduled refresh rebuilds them.
+ *
+ * Triggers may be delivered more than once, so every applied event leaves a
+ * marker in `ratingEvents/{eventId}` within the same transaction; a repeated
+ * event finds its marker and is skipped. Markers carry `expireAt` for a
+ * Firestore TTL policy.
+ */
+
+const admin = require("firebase-admin");
+
+const {computeSpotRanking, computeWilsonLowerBound, decayFactor} = require("./ranking");
+
+const db = admin.firestore();
+
+const RATING_EVENTS_COLLECTION = "ratingEvents";
+// How long idempotency markers are kept (trigger retries happen within hours)
+const RATING_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Optional per-dimension ratings (1..5) in `ratings.dimensions`
+const RATING_DIMENSIONS = ["flow", "difficultyVariety", "safety", "beginnerFriendliness"];
+const HISTOGRAM_BUCKETS = ["1", "2", "3", "4", "5"];
+
+/**
+ * Clamps a rating value to the 0..5 star range
+ * @param {*} value - Raw rating value
+ * @return {number} Clamped rating
+ */
+function clampRating(value) {
+  const r = typeof value === "number" && Number.isFinite(value) ? value : 0;
+  return Math.max(0, Math.min(5, r));
+}
+
+/**
+ * Returns the histogram bucket of a rating (rounded to whole stars, 1..5)
+ * @param {number} rating - Clamped rating
+ * @return {string} Bucket key
+ */
+function histogramBucket(rating) {
+  return String(Math.max(1, Math.min(5, Math.round(rating))));
+}
+
+/**
+ * Returns empty running totals
+ * @return {Object} Totals
+ */
+function emptyTotals() {
+  const histogram = {};
+  for (const bucket of HISTOGRAM_BUCKETS) histogram[bucket] = 0;
+  const dimensions = {};
+  for (const dimension of RATING_DIMENSIONS) dimensions[dimension] = {count: 0, weight: 0, sum: 0};
+  return {count: 0, weight: 0, sum: 0, histogram, dimensions, decay: {weight: 0, sum: 0}};
+}
+
+/**
+ * Returns the decay settings of an aggregation run
+ * @param {Object} config - Ranking configuration
+ * @param {number} now - Time the decayed totals are computed for, in milliseconds
+ * @return {Object|null} {halfLifeDays, now}, or null if ratings don't decay
+ */
+function decayOptionsFor(config, now) {
+  return config && config.ratingHalfLifeDays > 0 ? {halfLifeDays: config.ratingHalfLifeDays, now} : null;
+}
+
+/**
+ * Returns when a rating was last given, in milliseconds
+ * @param {Object} rating - Rating document data
+ * @return {number|null} Timestamp, or null if the rating has none
+ */
+function ratingTimeMs(rating) {
+  const value = rating.updatedAt || rating.createdAt;
+  if (value && typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+/**
+ * Returns the vote weight of a rating
+ * @param {Object} rating - Rating document data
+ * @return {number} Weight between 0 and 1
+ */
+function ratingWeight(rating) {
+  if (typeof rating.weight !== "number" || !Number.isFinite(rating.weight)) return 1;
+  return Math.max(0, Math.min(1, rating.weight));
+}
+
+/**
+ * Returns the contribution of a rating document to its spot's totals
+ * @param {Object|undefined} rating - Rating document data
+ * @param {Object|null} decayOptions - From decayOptionsFor
+ * @return {Object|null} {spotId, totals}, or null if the rating has no spot
+ */
+function ratingContribution(rating, decayOptions = null) {
+  if (!rating || typeof rating.spotId !== "string" || rating.spotId.length === 0) {
+    return null;
+  }
+  const totals = emptyTotals();
+  if (!decayOptions) totals.decay = null;
+  const weight = ratingWeight(rating);
+  if (weight === 0) {
+    return {spotId: rating.spotId, totals};
+  }
+
+  const value = clampRating(rating.rating);
+  totals.count = 1;
+  totals.weight = weight;
+  totals.sum = weight * value;
+  totals.histogram[histogramBucket(value)] = 1;
+
+  // Undated ratings don't count towards the decayed totals; a rating dated
+  // after the event counts as given then, so it can't keep full weight
+  const ratedAt = ratingTimeMs(rating);
+  if (decayOptions && ratedAt !== null) {
+    const ageMs = decayOptions.now - Math.min(ratedAt, decayOptions.now);
+    const decayedWeight = weight * decayFactor(ageMs, decayOptions.halfLifeDays);
+    totals.decay = {weight: decayedWeight, sum: decayedWeight * value};
+  }
+
+  const dimensions = rating.dimensions && typeof rating.dimensions === "object" ? rating.dimensions : {};
+  for (const dimension of RATING_DIMENSIONS) {
+    const dimensionValue = dimensions[dimension];
+    if (typeof dimensionValue === "number" && Number.isFinite(dimensionValue)) {
+      totals.dimensions[dimension] = {
+        count: 1,
+        weight: weight,
+        sum: weight * Math.max(1, Math.min(5, dimensionValue)),
+      };
+    }
+  }
+  return {spotId: rating.spotId, totals};
+}
+
+/**
+ * Adds totals, multiplying the second by a sign
+ * @param {Object} a - Totals
+ * @param {Object} b - Totals to add
+ * @param {number} sign - 1 to add, -1 to subtract
+ * @return {Object} New totals
+ */
+function addTotals(a, b, sign = 1) {
+  // A null histogram is unknown (legacy spot) and stays unknown until repaired
+  let histogram = null;
+  if (a.histogram && b.histogram) {
+    histogram = {};
+    for (const bucket of HISTOGRAM_BUCKETS) {
+      histogram[bucket] = (a.histogram[bucket] || 0) + sign * (b.histogram[bucket] || 0);
+    }
+  }
+  const dimensions = {};
+  for (const dimension of RATING_DIMENSIONS) {
+    const fromA = a.dimensions[dimension];
+    const fromB = b.dimensions[dimension];
+    dimensions[dimension] = {
+      count: fromA.count + sign * fromB.count,
+      weight: fromA.weight + sign * fromB.weight,
+      sum: fromA.sum + sign * fromB.sum,
+    };
+  }
+  // Decayed totals are unknown if either side is, or if decay is off
+  const decay = a.decay && b.decay ?
+    {weight: a.decay.weight + sign * b.decay.weight, sum: a.decay.sum + sign * b.decay.sum} :
+    null;
+  return {
+    count: a.count + sign * b.count,
+    weight: a.weight + sign * b.weight,
+    sum: a.sum + sign * b.sum,
+    histogram,
+    dimensions,
+    decay,
+  };
+}
+
+/**
+ * Whether totals are all zero
+ * @param {Object} totals - Totals
+ * @return {boolean} True if applying them changes nothing
+ */
+function isZeroTotals(totals) {
+  const isZero = (n) => Math.abs(n) < 1e-9;
+  return isZero(totals.count) && isZero(totals.weight) && isZero(totals.sum) &&
+    HISTOGRAM_BUCKETS.every((bucket) => !totals.histogram || isZero(totals.histogram[bucket])) &&
+    (!totals.decay || (isZero(totals.decay.weight) && isZero(totals.decay.sum))) &&
+    RATING_DIMENSIONS.every((d) => {
+      const dimension = totals.dimensions[d];
+      return isZero(dimension.count) && isZero(dimension.weight) && isZero(dimension.sum);
+    });
+}
+
+/**
+ * Computes the per-spot deltas of a rating write
+ * @param {Object|undefined} before - Rating data before the write (undefined on create)
+ * @param {Object|undefined} after - Rating data after the write (undefined on delete)
+ * @param {Object|null} decayOptions - From decayOptionsFor
+ * @return {Map<string, Object>} spotId -> totals delta, without zero deltas
+ */
+function buildRatingDeltas(before, after, decayOptions = null) {
+  // The moderation write of a new rating (the one setting moderatedAt) comes
+  // after the rating was already aggregated with its weight, so its unweighted
+  // "before" counts with that weight. Later weight changes, e.g. by
+  // reviewRating, are applied as usual.
+  const isModerationWrite = before && after && !before.moderatedAt && Boolean(after.moderatedAt);
+  if (isModerationWrite && before.weight === undefined && typeof after.weight === "number") {
+    before = {...before, weight: after.weight};
+  }
+
+  const deltas = new Map();
+  const removed = ratingContribution(before, decayOptions);
+  const added = ratingContribution(after, decayOptions);
+  if (removed) {
+    deltas.set(removed.spotId, addTotals(emptyTotals(), removed.totals, -1));
+  }
+  if (added) {
+    deltas.set(added.spotId, addTotals(deltas.get(added.spotId) || emptyTotals(), added.totals));
+  }
+  for (const [spotId, delta] of deltas.entries()) {
+    if (isZeroTotals(delta)) deltas.delete(spotId);
+  }
+  return deltas;
+}
+
+/**
+ * Reads the running totals stored on a spot. Spots aggregated before totals
+ * were stored are seeded from their average and count; their histogram is
+ * unknown until the full recompute repairs it.
+ * @param {Object} spot - Spot data
+ * @param {Object|null} decayOptions - From decayOptionsFor
+ * @return {Object} Totals, with the decayed totals brought forward to decayOptions.now
+ */
+function readSpotTotals(spot, decayOptions = null) {
+  const totals = emptyTotals();
+  totals.count = Number(spot.ratingCount) || 0;
+  totals.weight = typeof spot.ratingWeight === "number" ? spot.ratingWeight : totals.count;
+  totals.sum = typeof spot.ratingSum === "number" ?
+    spot.ratingSum :
+    (Number(spot.averageRating) || 0) * totals.weight;
+
+  if (spot.ratingHistogram && typeof spot.ratingHistogram === "object") {
+    for (const bucket of HISTOGRAM_BUCKETS) {
+      totals.histogram[bucket] = Number(spot.ratingHistogram[bucket]) || 0;
+    }
+  } else if (totals.count > 0) {
+    totals.histogram = null;
+  }
+
+  const dimensionRatings = spot.dimensionRatings || {};
+  for (const dimension of RATING_DIMENSIONS) {
+    const stored = dimensionRatings[dimension];
+    if (stored && typeof stored === "object") {
+      const count = Number(stored.count) || 0;
+      totals.dimensions[dimension] = {
+        count: count,
+        weight: typeof stored.weight === "number" ? stored.weight : count,
+        sum: Number(stored.sum) || 0,
+      };
+    }
+  }
+
+  const decay = spot.ratingDecay;
+  if (!decayOptions) {
+    totals.decay = null;
+  } else if (decay && decay.halfLifeDays === decayOptions.halfLifeDays &&
+      decay.asOf && typeof decay.asOf.toMillis === "function") {
+    const factor = decayFactor(decayOptions.now - decay.asOf.toMillis(), decayOptions.halfLifeDays);
+    totals.decay = {weight: (Number(decay.weight) || 0) * factor, sum: (Number(decay.sum) || 0) * factor};
+  } else if (totals.count > 0) {
+    // Never aggregated with this half-life: unknown until rebuilt
+    totals.decay = null;
+  }
+  return totals;
+}
+
+/**
+ * Builds the aggregate fields stored on a spot from its totals
+ * @param {Object} totals - Running totals
+ * @param {Object|null} decayOptions - From decayOptionsFor
+ * @return {Object} ratingSum, ratingWeight, ratingCount, averageRating,
+ *   wilsonLowerBound, ratingHistogram (omitted while unknown), dimensionRatings
+ *   and ratingDecay
+ */
+function aggregateFieldsFromTotals(totals, decayOptions = null) {
+  // Guard against drift below zero, e.g. after a manual repair
+  const count = Math.max(0, Math.round(totals.count));
+  const weight = count > 0 ? Math.max(0, totals.weight) : 0;
+  const sum = weight > 0 ? Math.max(0, totals.sum) : 0;
+  const average = weight > 0 ? sum / weight : 0;
+
+  const dimensionRatings = {};
+  for (const dimension of RATING_DIMENSIONS) {
+    const dimensionTotals = totals.dimensions[dimension];
+    const dimensionCount = Math.max(0, Math.round(dimensionTotals.count));
+    const dimensionWeight = dimensionCount > 0 ? Math.max(0, dimensionTotals.weight) : 0;
+    const dimensionSum = dimensionWeight > 0 ? Math.max(0, dimensionTotals.sum) : 0;
+    dimensionRatings[dimension] = {
+      average: dimensionWeight > 0 ? Number((dimensionSum / dimensionWeight).toFixed(4)) : 0,
+      count: dimensionCount,
+      weight: Number(dimensionWeight.toFixed(4)),
+      sum: Number(dimensionSum.toFixed(4)),
+    };
+  }
+
+  const fields = {
+    ratingSum: Number(sum.toFixed(4)),
+    ratingWeight: Number(weight.toFixed(4)),
+    ratingCount: count,
+    averageRating: Number(average.toFixed(4)),
+    // Down-weighted votes count as fractional trials
+    wilsonLowerBound: Number(computeWilsonLowerBound(sum, weight).toFixed(4)),
+    dimensionRatings,
+  };
+  if (totals.histogram) {
+    fields.ratingHistogram = {};
+    for (const bucket of HISTOGRAM_BUCKETS) {
+      fields.ratingHistogram[bucket] = Math.max(0, Math.round(totals.histogram[bucket]));
+    }
+  }
+  if (!decayOptions) {
+    // Totals left behind while decay is off would miss later votes
+    fields.ratingDecay = admin.firestore.FieldValue.delete();
+  } else if (totals.decay) {
+    const decayedWeight = count > 0 ? Math.max(0, totals.decay.weight) : 0;
+    fields.ratingDecay = {
+      halfLifeDays: decayOptions.halfLifeDays,
+      weight: Number(decayedWeight.toFixed(6)),
+      sum: decayedWeight > 0 ? Number(Math.max(0, totals.decay.sum).toFixed(6)) : 0,
+      asOf: admin.firestore.Timestamp.fromMillis(decayOptions.now),
+    };
+  } else {
+    fields.ratingDecay = null;
+  }
+  return fields;
+}
+
+/**
+ * Applies a rating write to the affected spots' totals exactly once
+ * @param {string} eventId - Trigger event id, used as idempotency key
+ * @param {Object|undefined} before - Rating data before the write
+ * @param {Object|undefined} after - Rating data after the write
+ * @param {Object} ranking - {config, context} for computeSpotRanking
+ * @param {Object} options - {ratingRef, moderation}: moderation fields
+ *   ({weight, moderationStatus, abuseFlags}) to apply to a new rating and
+ *   write onto its document in the same transaction
+ * @return {Promise<Object>} {applied, reason}; reason is "noop" or "duplicate" when skipped
+ */
+async function applyRatingEvent(eventId, before, after, {config, context}, {ratingRef = null, moderation = null} = {}) {
+  if (moderation && after) {
+    after = {...after, ...moderation};
+  }
+  const decayOptions = decayOptionsFor(config, Date.now());
+  const deltas = buildRatingDeltas(before, after, decayOptions);
+  if (deltas.size === 0 && !moderation) {
+    return {applied: false, reason: "noop"};
+  }
+
+  return db.runTransaction(async (tx) => {
+    const markerRef = db.collection(RATING_EVENTS_COLLECTION).doc(eventId);
+    const spotIds = Array.from(deltas.keys());
+    const spotRefs = spotIds.map((id) => db.collection("spots").doc(id));
+    const writeModeration = moderation !== null && ratingRef !== null;
+
+    // All reads before any write
+    const [markerSnap, ratingSnap, ...spotSnaps] = await Promise.all([
+      tx.get(markerRef),
+      writeModeration ? tx.get(ratingRef) : Promise.resolve(null),
+      ...spotRefs.map((ref) => tx.get(ref)),
+    ]);
+    if (markerSnap.exists) {
+      return {applied: false, reason: "duplicate"};
+    }
+
+    if (writeModeration && ratingSnap.exists) {
+      tx.update(ratingRef, {
+        ...moderation,
+        moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    spotSnaps.forEach((spotSnap, i) => {
+      if (!spotSnap.exists) {
+        // Ratings of deleted spots have nothing to aggregate into
+        console.warn("Skipping rating aggregates for missing spot", spotIds[i]);
+        return;
+      }
+      const spot = spotSnap.data();
+      const totals = addTotals(readSpotTotals(spot, decayOptions), deltas.get(spotIds[i]));
+      const fields = aggregateFieldsFromTotals(totals, decayOptions);
+      tx.set(spotRefs[i], {
+        ...fields,
+        ranking: computeSpotRanking(
+            {id: spotIds[i], ...spot, ...fields},
+            config,
+            {...context, now: decayOptions ? decayOptions.now : context.now},
+        ),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+    });
+
+    tx.set(markerRef, {
+      spotIds: spotIds,
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + RATING_EVENT_TTL_MS),
+    });
+    return {applied: true, reason: null};
+  });
+}
+
+/**
+ * Computes spot aggregate fields from a full list of rating documents, for
+ * the repair path
+ * @param {Array<Object>} ratings - Rating document data of one spot
+ * @param {Object} config - Ranking configuration (for ratingHalfLifeDays)
+ * @param {number} now - Time the decayed totals are computed for, in milliseconds
+ * @return {Object} Aggregate fields as written by applyRatingEvent
+ */
+function aggregateFieldsFromRatings(ratings, config = null, now = Date.now()) {
+  const decayOptions = decayOptionsFor(config, now);
+  let totals = emptyTotals();
+  if (!decayOptions) totals.decay = null;
+  for (const rating of ratings) {
+    const contribution = ratingContribution(rating, decayOptions);
+    if (contribution) totals = addTotals(totals, contribution.totals);
+  }
+  return aggregateFieldsFromTotals(totals, decayOptions);
+}
+
+module.exports = {
+  buildRatingDeltas,
+  applyRatingEvent,
+  aggregateFieldsFromRatings,
+};
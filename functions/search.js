@@ -0,0 +1,324 @@
+/* eslint-disable max-len */
+/**
+ * Spot Search Cloud Functions helpers
+ *
+ * Keeps a tokenized, ASCII-folded search index of spots in the
+ * `spotSearchIndex` collection (one document per spot, same id) so spots can
+ * be searched by name, description, city and address without an external
+ * search service:
+ * - `terms` holds prefixes ("p:") of every token plus the token and its
+ *   single-character deletions ("d:"), so one array-contains-any query finds
+ *   prefix matches and matches within one typo
+ * - Candidates are then scored in memory per field and blended with `ranking`
+ * - Bounds are checked in memory too, so bounded searches keep reading
+ *   candidates until enough lie inside the bounds (MAX_BOUNDED_SEARCH_SCAN)
+ */
+
+const admin = require("firebase-admin");
+
+const {normalizeToAscii} = require("./utils");
+const {isWithinBounds} = require("./geo");
+
+const db = admin.firestore();
+
+const SEARCH_INDEX_COLLECTION = "spotSearchIndex";
+
+// Fields indexed for search, with their weight in the text score
+const SEARCH_FIELD_WEIGHTS = {
+  name: 3,
+  city: 2,
+  address: 1.5,
+  description: 1,
+};
+
+const MIN_TOKEN_LENGTH = 2;
+// Prefixes are indexed up to this length; longer query tokens are truncated
+const MAX_PREFIX_LENGTH = 10;
+// Typo tolerance only applies to tokens within this length range
+const MIN_TYPO_TOKEN_LENGTH = 4;
+const MAX_TYPO_TOKEN_LENGTH = 15;
+// Caps the number of description tokens so long descriptions can't bloat the index
+const MAX_DESCRIPTION_TOKENS = 100;
+// Candidates scanned per search, in ranking order
+const MAX_SEARCH_SCAN = 500;
+// Bounded searches read further pages of MAX_SEARCH_SCAN candidates, up to this many
+const MAX_BOUNDED_SEARCH_SCAN = 2500;
+// Weight of `ranking` in the final score (the rest is the text score)
+const RANKING_BLEND_WEIGHT = 0.2;
+
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.8;
+const MATCH_TYPO = 0.6;
+
+/**
+ * Splits text into unique lowercase ASCII tokens
+ * @param {string} text - Input text
+ * @return {string[]} Tokens
+ */
+function tokenize(text) {
+  if (!text || typeof text !== "string") return [];
+  const tokens = normalizeToAscii(text)
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length >= MIN_TOKEN_LENGTH);
+  return Array.from(new Set(tokens));
+}
+
+/**
+ * Returns the token with each single character removed
+ * @param {string} token - Token
+ * @return {string[]} Unique deletion variants
+ */
+function singleDeletions(token) {
+  const variants = new Set();
+  for (let i = 0; i < token.length; i++) {
+    variants.add(token.slice(0, i) + token.slice(i + 1));
+  }
+  return Array.from(variants);
+}
+
+/**
+ * Whether a token is eligible for typo-tolerant matching
+ * @param {string} token - Token
+ * @return {boolean} True if typos are tolerated
+ */
+function allowsTypos(token) {
+  return token.length >= MIN_TYPO_TOKEN_LENGTH && token.length <= MAX_TYPO_TOKEN_LENGTH;
+}
+
+/**
+ * Checks whether two strings are within one edit (insertion, deletion,
+ * substitution or adjacent transposition)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @return {boolean} True if the edit distance is at most one
+ */
+function isWithinOneEdit(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  if (a.length === b.length) {
+    let i = 0;
+    while (i < a.length && a[i] === b[i]) i++;
+    // Substitution
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    // Adjacent transposition
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  }
+
+  const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+  let i = 0;
+  while (i < shorter.length && shorter[i] === longer[i]) i++;
+  return shorter.slice(i) === longer.slice(i + 1);
+}
+
+/**
+ * Builds the search index document for a spot
+ * @param {Object} spot - Spot data
+ * @return {Object} Search index fields
+ */
+function buildSearchIndexEntry(spot) {
+  const tokens = {};
+  for (const field of Object.keys(SEARCH_FIELD_WEIGHTS)) {
+    tokens[field] = tokenize(spot[field]);
+  }
+  tokens.description = tokens.description.slice(0, MAX_DESCRIPTION_TOKENS);
+
+  const terms = new Set();
+  for (const fieldTokens of Object.values(tokens)) {
+    for (const token of fieldTokens) {
+      const maxPrefix = Math.min(token.length, MAX_PREFIX_LENGTH);
+      for (let len = MIN_TOKEN_LENGTH; len <= maxPrefix; len++) {
+        terms.add(`p:${token.substring(0, len)}`);
+      }
+      if (allowsTypos(token)) {
+        terms.add(`d:${token}`);
+        for (const variant of singleDeletions(token)) {
+          terms.add(`d:${variant}`);
+        }
+      }
+    }
+  }
+
+  return {
+    terms: Array.from(terms),
+    tokens: tokens,
+    latitude: typeof spot.latitude === "number" ? spot.latitude : null,
+    longitude: typeof spot.longitude === "number" ? spot.longitude : null,
+    ranking: typeof spot.ranking === "number" ? spot.ranking : 0,
+    hidden: spot.hidden === true,
+    duplicateOf: spot.duplicateOf || null,
+  };
+}
+
+/**
+ * Whether a spot change affects its search index entry
+ * @param {Object|undefined} before - Spot data before the change
+ * @param {Object|undefined} after - Spot data after the change
+ * @return {boolean} True if the entry must be rewritten
+ */
+function searchIndexNeedsUpdate(before, after) {
+  if (!before || !after) return true;
+  const fields = [
+    ...Object.keys(SEARCH_FIELD_WEIGHTS),
+    "latitude",
+    "longitude",
+    "ranking",
+    "hidden",
+    "duplicateOf",
+  ];
+  return fields.some((field) => before[field] !== after[field]);
+}
+
+/**
+ * Writes the search index entry of a spot
+ * @param {string} spotId - Spot document id
+ * @param {Object} spot - Spot data
+ * @return {Promise<void>}
+ */
+async function updateSpotSearchIndex(spotId, spot) {
+  await db.collection(SEARCH_INDEX_COLLECTION).doc(spotId).set({
+    ...buildSearchIndexEntry(spot),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Removes the search index entry of a spot
+ * @param {string} spotId - Spot document id
+ * @return {Promise<void>}
+ */
+async function deleteSpotSearchIndex(spotId) {
+  await db.collection(SEARCH_INDEX_COLLECTION).doc(spotId).delete();
+}
+
+/**
+ * Builds the index terms looked up for one query token
+ * @param {string} token - Query token
+ * @return {string[]} Terms for an array-contains-any filter (at most 17)
+ */
+function buildQueryTerms(token) {
+  const terms = new Set([`p:${token.substring(0, MAX_PREFIX_LENGTH)}`]);
+  if (allowsTypos(token)) {
+    // Matches indexed tokens one insertion, deletion or substitution away
+    terms.add(`d:${token}`);
+    for (const variant of singleDeletions(token)) {
+      terms.add(`d:${variant}`);
+    }
+  }
+  return Array.from(terms);
+}
+
+/**
+ * Scores how well a query token matches a list of indexed tokens
+ * @param {string} queryToken - Query token
+ * @param {string[]} fieldTokens - Indexed tokens of one field
+ * @return {number} MATCH_* score, or 0 for no match
+ */
+function scoreTokenMatch(queryToken, fieldTokens) {
+  let best = 0;
+  for (const token of fieldTokens) {
+    if (token === queryToken) return MATCH_EXACT;
+    if (token.startsWith(queryToken)) {
+      best = Math.max(best, MATCH_PREFIX);
+    } else if (best < MATCH_TYPO && allowsTypos(queryToken) && isWithinOneEdit(token, queryToken)) {
+      best = MATCH_TYPO;
+    }
+  }
+  return best;
+}
+
+/**
+ * Scores a search index entry against the query tokens. Every query token
+ * must match at least one field.
+ * @param {Object} entry - Search index document data
+ * @param {string[]} queryTokens - Query tokens
+ * @return {number} Text score between 0 and 1, or 0 if a token doesn't match
+ */
+function scoreSearchEntry(entry, queryTokens) {
+  const maxWeight = Math.max(...Object.values(SEARCH_FIELD_WEIGHTS));
+  const tokens = entry.tokens || {};
+  let total = 0;
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELD_WEIGHTS)) {
+      const match = scoreTokenMatch(queryToken, tokens[field] || []);
+      best = Math.max(best, match * weight);
+    }
+    if (best === 0) return 0;
+    total += best / maxWeight;
+  }
+  return total / queryTokens.length;
+}
+
+/**
+ * Searches the spot index
+ * @param {string} queryText - Free text query
+ * @param {Object} options - {limit, minLat, maxLat, lngRanges}; bounds are optional
+ * @return {Promise<{results: Array<{id: string, score: number}>, matchedCount: number, truncated: boolean}>}
+ */
+async function searchSpotIndex(queryText, {limit = 20, minLat = null, maxLat = null, lngRanges = null} = {}) {
+  const queryTokens = tokenize(queryText);
+  if (queryTokens.length === 0) {
+    return {results: [], matchedCount: 0, truncated: false};
+  }
+
+  // Only one array-contains-any filter is allowed per query: look up the
+  // longest (most selective) token and check the others in memory
+  const lookupToken = queryTokens.reduce((a, b) => (b.length > a.length ? b : a));
+  const query = db.collection(SEARCH_INDEX_COLLECTION)
+      .where("terms", "array-contains-any", buildQueryTerms(lookupToken))
+      .where("duplicateOf", "==", null)
+      .where("hidden", "==", false)
+      .orderBy("ranking", "desc");
+
+  const hasBounds = typeof minLat === "number" && typeof maxLat === "number" && Array.isArray(lngRanges);
+  const maxScan = hasBounds ? MAX_BOUNDED_SEARCH_SCAN : MAX_SEARCH_SCAN;
+  const matches = [];
+  let scanned = 0;
+  let lastDoc = null;
+  let exhausted = false;
+  while (scanned < maxScan) {
+    const pageQuery = lastDoc ? query.startAfter(lastDoc) : query;
+    const snap = await pageQuery.limit(MAX_SEARCH_SCAN).get();
+    for (const doc of snap.docs) {
+      const position = scanned++;
+      const entry = doc.data();
+      if (hasBounds && !isWithinBounds(entry.latitude, entry.longitude, minLat, maxLat, lngRanges)) continue;
+      const textScore = scoreSearchEntry(entry, queryTokens);
+      if (textScore === 0) continue;
+      matches.push({id: doc.id, textScore, position});
+    }
+    if (snap.size < MAX_SEARCH_SCAN) {
+      exhausted = true;
+      break;
+    }
+    if (matches.length >= limit) break;
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  // Candidates arrive in ranking order; use the position so the blend
+  // doesn't depend on the scale of the configured ranking strategy
+  const results = matches.map(({id, textScore, position}) => ({
+    id,
+    score: textScore * (1 - RANKING_BLEND_WEIGHT) + (1 - position / scanned) * RANKING_BLEND_WEIGHT,
+  }));
+  results.sort((a, b) => b.score - a.score);
+  return {
+    results: results.slice(0, limit),
+    matchedCount: results.length,
+    truncated: !exhausted,
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_COLLECTION,
+  tokenize,
+  isWithinOneEdit,
+  buildSearchIndexEntry,
+  searchIndexNeedsUpdate,
+  updateSpotSearchIndex,
+  deleteSpotSearchIndex,
+  scoreSearchEntry,
+  searchSpotIndex,
+};
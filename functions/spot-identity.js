@@ -0,0 +1,313 @@
+/* eslint-disable max-len */
+/**
+ * Matching synced placemarks to existing spots
+ *
+ * Syncs and imports used to find a placemark's spot by exact coordinates, so
+ * nudging a pin created a new spot and lost the old one's ratings. Placemarks
+ * are now matched against the spots of their source, in order, by:
+ * 1. externalId: the source's own id for the placemark (KML Placemark@id,
+ *    GeoJSON feature.id, URBN spotId), stored on the spot
+ * 2. Exact position, for spots synced before they had an externalId
+ * 3. Proximity: the most similar name within MATCH_RADIUS_METERS, or any
+ *    name within SAME_PLACE_METERS
+ * Each spot matches at most one placemark per run, and a placemark and a spot
+ * that both have an externalId only match on it.
+ *
+ * When a matched spot moved, its previous position is appended to
+ * `positionHistory` (the last MAX_POSITION_HISTORY moves).
+ */
+
+const admin = require("firebase-admin");
+
+const {nameSimilarity} = require("./utils");
+const {
+  boundsAroundPoint,
+  computeLongitudeRanges,
+  coverBoundsWithGeohashes,
+  distanceMeters,
+} = require("./geo");
+
+const db = admin.firestore();
+
+const MATCH_BY = {
+  EXTERNAL_ID: "externalId",
+  POSITION: "position",
+  PROXIMITY: "proximity",
+};
+
+// Pins moved further than this become new spots
+const MATCH_RADIUS_METERS = 100;
+// Pins this close are the same spot, even if renamed
+const SAME_PLACE_METERS = 5;
+const MIN_MATCH_NAME_SIMILARITY = 0.8;
+const MAX_POSITION_HISTORY = 20;
+const MAX_EXTERNAL_ID_LENGTH = 200;
+// Grid cell size of the proximity lookup, in degrees (about 1.1km, more than MATCH_RADIUS_METERS)
+const GRID_DEGREES = 0.01;
+// Firestore "in" queries accept at most 30 values
+const MAX_IN_VALUES = 30;
+const MAX_NEARBY_CANDIDATES = 200;
+
+/**
+ * Normalizes a source's id for a placemark
+ * @param {*} value - Raw id (string or number)
+ * @return {string|null} Trimmed id, or null if missing or unusable
+ */
+function normalizeExternalId(value) {
+  if (typeof value !== "string" && !(typeof value === "number" && Number.isFinite(value))) return null;
+  const id = String(value).trim();
+  return id.length > 0 && id.length <= MAX_EXTERNAL_ID_LENGTH ? id : null;
+}
+
+/**
+ * Grid cell key of a position for the proximity lookup
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @return {string} Cell key
+ */
+function gridKey(latitude, longitude) {
+  return `${Math.floor(latitude / GRID_DEGREES)},${Math.floor(longitude / GRID_DEGREES)}`;
+}
+
+/**
+ * Indexes spots for matching
+ * @param {Array<Object>} spots - Spots as {id, ref, data}
+ * @return {Object} Match index; tracks which spots are already matched
+ */
+function buildSpotMatchIndex(spots) {
+  const index = {
+    byExternalId: new Map(),
+    byPosition: new Map(),
+    byCell: new Map(),
+    claimed: new Set(),
+  };
+  const addTo = (map, key, spot) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(spot);
+  };
+  for (const spot of spots) {
+    const {latitude, longitude} = spot.data;
+    const externalId = normalizeExternalId(spot.data.externalId);
+    if (externalId) addTo(index.byExternalId, externalId, spot);
+    if (typeof latitude === "number" && typeof longitude === "number") {
+      addTo(index.byPosition, `${latitude},${longitude}`, spot);
+      addTo(index.byCell, gridKey(latitude, longitude), spot);
+    }
+  }
+  return index;
+}
+
+/**
+ * Whether a placemark may match a spot outside of its externalId
+ * @param {Object} index - Match index
+ * @param {Object} spot - {id, ref, data}
+ * @param {Object} item - {externalId}
+ * @return {boolean} True if the spot is free and its externalId doesn't conflict
+ */
+function isMatchable(index, spot, item) {
+  if (index.claimed.has(spot.id)) return false;
+  const spotExternalId = normalizeExternalId(spot.data.externalId);
+  return !(item.externalId && spotExternalId && spotExternalId !== item.externalId);
+}
+
+/**
+ * Match on the source's id
+ * @param {Object} index - Match index
+ * @param {Object} item - {externalId, latitude, longitude, name}
+ * @return {Object|null} {spot, matchedBy, distanceMeters}
+ */
+function matchByExternalId(index, item) {
+  if (!item.externalId) return null;
+  const spot = (index.byExternalId.get(item.externalId) || []).find((s) => !index.claimed.has(s.id));
+  return spot ? {spot, matchedBy: MATCH_BY.EXTERNAL_ID} : null;
+}
+
+/**
+ * Match on exact coordinates
+ * @param {Object} index - Match index
+ * @param {Object} item - {externalId, latitude, longitude, name}
+ * @return {Object|null} {spot, matchedBy, distanceMeters}
+ */
+function matchByPosition(index, item) {
+  if (typeof item.latitude !== "number" || typeof item.longitude !== "number") return null;
+  const spot = (index.byPosition.get(`${item.latitude},${item.longitude}`) || [])
+      .find((s) => isMatchable(index, s, item));
+  return spot ? {spot, matchedBy: MATCH_BY.POSITION} : null;
+}
+
+/**
+ * Match on distance and name
+ * @param {Object} index - Match index
+ * @param {Object} item - {externalId, latitude, longitude, name}
+ * @return {Object|null} {spot, matchedBy, distanceMeters}
+ */
+function matchByProximity(index, item) {
+  if (typeof item.latitude !== "number" || typeof item.longitude !== "number") return null;
+  const row = Math.floor(item.latitude / GRID_DEGREES);
+  const col = Math.floor(item.longitude / GRID_DEGREES);
+  let best = null;
+  for (let dRow = -1; dRow <= 1; dRow++) {
+    for (let dCol = -1; dCol <= 1; dCol++) {
+      for (const spot of index.byCell.get(`${row + dRow},${col + dCol}`) || []) {
+        if (!isMatchable(index, spot, item)) continue;
+        const distance = distanceMeters(item.latitude, item.longitude, spot.data.latitude, spot.data.longitude);
+        if (distance > MATCH_RADIUS_METERS) continue;
+        const similarity = nameSimilarity(item.name, spot.data.name);
+        if (distance > SAME_PLACE_METERS && similarity < MIN_MATCH_NAME_SIMILARITY) continue;
+        if (!best || similarity > best.similarity || (similarity === best.similarity && distance < best.distance)) {
+          best = {spot, similarity, distance};
+        }
+      }
+    }
+  }
+  return best ? {spot: best.spot, matchedBy: MATCH_BY.PROXIMITY, distanceMeters: Math.round(best.distance)} : null;
+}
+
+const MATCHERS = [matchByExternalId, matchByPosition, matchByProximity];
+
+/**
+ * Matches placemarks to spots. Each strategy runs over all placemarks before
+ * the next one, so a fuzzy match never takes a spot another placemark has an
+ * exact match for. Matched spots are claimed in the index.
+ * @param {Object} index - Match index
+ * @param {Array<Object|null>} items - {externalId, latitude, longitude, name};
+ *   latitude and longitude may be null when not known yet
+ * @return {Array<Object|null>} Per item: {spot, matchedBy, distanceMeters} or null
+ */
+function matchPlacemarks(index, items) {
+  const matches = items.map(() => null);
+  for (const matcher of MATCHERS) {
+    items.forEach((item, i) => {
+      if (!item || matches[i]) return;
+      const match = matcher(index, item);
+      if (match) {
+        index.claimed.add(match.spot.id);
+        matches[i] = match;
+      }
+    });
+  }
+  return matches;
+}
+
+/**
+ * Matches a single placemark to a spot not matched yet, e.g. once an
+ * address-only placemark is geocoded
+ * @param {Object} index - Match index
+ * @param {Object} item - {externalId, latitude, longitude, name}
+ * @return {Object|null} {spot, matchedBy, distanceMeters}
+ */
+function matchPlacemark(index, item) {
+  return matchPlacemarks(index, [item])[0];
+}
+
+/**
+ * Builds a match item from a parsed placemark
+ * @param {Object} placemark - Placemark from the KML/GeoJSON parsers
+ * @return {Object} {externalId, latitude, longitude, name}
+ */
+function placemarkMatchItem(placemark) {
+  const coordinates = placemark.coordinates;
+  return {
+    externalId: normalizeExternalId(placemark.externalId),
+    latitude: coordinates ? coordinates.latitude : null,
+    longitude: coordinates ? coordinates.longitude : null,
+    name: (placemark.name || "").trim(),
+  };
+}
+
+/**
+ * Fields recording a move of a matched spot
+ * @param {Object} existingData - Spot data before the sync
+ * @param {number} latitude - New latitude
+ * @param {number} longitude - New longitude
+ * @param {Object} details - {matchedBy, spotSource}
+ * @return {Object|null} {positionHistory, distanceMeters}, or null if the spot didn't move
+ */
+function buildPositionChange(existingData, latitude, longitude, {matchedBy = null, spotSource = null} = {}) {
+  if (existingData.latitude === latitude && existingData.longitude === longitude) return null;
+  const hasPosition = typeof existingData.latitude === "number" && typeof existingData.longitude === "number";
+  const distance = hasPosition ? Math.round(distanceMeters(existingData.latitude, existingData.longitude, latitude, longitude)) : null;
+  const history = Array.isArray(existingData.positionHistory) ? existingData.positionHistory : [];
+  const entry = {
+    latitude: hasPosition ? existingData.latitude : null,
+    longitude: hasPosition ? existingData.longitude : null,
+    // serverTimestamp() is not allowed inside arrays
+    movedAt: admin.firestore.Timestamp.now(),
+    distanceMeters: distance,
+    matchedBy: matchedBy,
+    spotSource: spotSource,
+  };
+  return {
+    positionHistory: [...history, entry].slice(-MAX_POSITION_HISTORY),
+    distanceMeters: distance,
+  };
+}
+
+/**
+ * Loads all spots of a source for matching
+ * @param {string} sourceId - Sync source id
+ * @return {Promise<Array<Object>>} Spots as {id, ref, data}
+ */
+async function loadSourceSpots(sourceId) {
+  const snap = await db.collection("spots").where("spotSource", "==", sourceId).get();
+  return snap.docs.map((doc) => ({id: doc.id, ref: doc.ref, data: doc.data()}));
+}
+
+/**
+ * Loads the spots of a source that could match some placemarks, for imports
+ * that come in batches and shouldn't load the whole source every time
+ * @param {string} sourceId - Sync source id
+ * @param {Array<Object>} items - {externalId, latitude, longitude, name}
+ * @return {Promise<Array<Object>>} Spots as {id, ref, data}
+ */
+async function loadMatchCandidates(sourceId, items) {
+  const queries = [];
+  const externalIds = Array.from(new Set(items.map((item) => item.externalId).filter(Boolean)));
+  for (let i = 0; i < externalIds.length; i += MAX_IN_VALUES) {
+    queries.push(db.collection("spots")
+        .where("spotSource", "==", sourceId)
+        .where("externalId", "in", externalIds.slice(i, i + MAX_IN_VALUES))
+        .get());
+  }
+  for (const item of items) {
+    if (typeof item.latitude !== "number" || typeof item.longitude !== "number") continue;
+    queries.push(db.collection("spots")
+        .where("spotSource", "==", sourceId)
+        .where("latitude", "==", item.latitude)
+        .where("longitude", "==", item.longitude)
+        .get());
+    const box = boundsAroundPoint(item.latitude, item.longitude, MATCH_RADIUS_METERS);
+    const {ranges: lngRanges} = computeLongitudeRanges(box.minLng, box.maxLng);
+    const cover = coverBoundsWithGeohashes(box.minLat, box.maxLat, lngRanges);
+    if (cover) {
+      queries.push(db.collection("spots")
+          .where("geohashes", "array-contains-any", cover.cells)
+          .where("spotSource", "==", sourceId)
+          .limit(MAX_NEARBY_CANDIDATES)
+          .get());
+    }
+  }
+
+  const spots = new Map();
+  for (const snap of await Promise.all(queries)) {
+    for (const doc of snap.docs) {
+      const data = doc.data();
+      if (data.spotSource === sourceId && !spots.has(doc.id)) {
+        spots.set(doc.id, {id: doc.id, ref: doc.ref, data});
+      }
+    }
+  }
+  return Array.from(spots.values());
+}
+
+module.exports = {
+  MATCH_BY,
+  normalizeExternalId,
+  buildSpotMatchIndex,
+  matchPlacemarks,
+  matchPlacemark,
+  placemarkMatchItem,
+  buildPositionChange,
+  loadSourceSpots,
+  loadMatchCandidates,
+};
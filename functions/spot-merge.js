@@ -0,0 +1,164 @@
+/* eslint-disable max-len */
+/**
+ * Spot merging for Firebase Cloud Functions
+ *
+ * Merging a confirmed duplicate into its canonical spot:
+ * - Moves the duplicate's ratings and comments to the canonical spot. When a
+ *   user rated both spots, their most recent rating is kept.
+ * - Unions imageUrls/imageHashes, youtubeVideoIds, goodFor and spotFeatures
+ *   into the canonical spot
+ * - Leaves the duplicate document in place with `mergedInto`, so old links
+ *   can redirect to the canonical spot
+ *
+ * Moved ratings are tagged with the merge id (`mergeId`) and discarded ones
+ * with `mergeDiscarded`, so the rating triggers skip them: the merge
+ * recomputes both spots' aggregates from scratch instead.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const BATCH_SIZE = 400;
+
+/**
+ * Returns when a rating was last given, for picking between two ratings by
+ * the same user
+ * @param {Object} rating - Rating document data
+ * @return {number} Milliseconds since epoch (0 if unknown)
+ */
+function ratingTimestamp(rating) {
+  const value = rating.updatedAt || rating.createdAt;
+  return value && typeof value.toMillis === "function" ? value.toMillis() : 0;
+}
+
+/**
+ * Applies write operations in batches
+ * @param {Array<Function>} operations - Functions adding one write to a batch
+ * @return {Promise<void>}
+ */
+async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    operations.slice(i, i + BATCH_SIZE).forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Unions list fields without duplicates, keeping the canonical order first
+ * @param {*} canonical - Canonical spot's list
+ * @param {*} duplicate - Duplicate spot's list
+ * @return {string[]} Union
+ */
+function unionLists(canonical, duplicate) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  return Array.from(new Set([...list(canonical), ...list(duplicate)]));
+}
+
+/**
+ * Builds the canonical spot's fields after merging a duplicate into it
+ * @param {Object} canonical - Canonical spot data
+ * @param {Object} duplicate - Duplicate spot data
+ * @return {Object} {fields, addedImages}: fields to update on the canonical
+ *   spot (only those that change) and the number of images added
+ */
+function buildMergedSpotFields(canonical, duplicate) {
+  const fields = {};
+
+  // imageHashes[i] belongs to imageUrls[i]; skip images already present by
+  // hash (the same photo from another source) or by URL
+  const imageUrls = Array.isArray(canonical.imageUrls) ? [...canonical.imageUrls] : [];
+  const hashesAligned = Array.isArray(canonical.imageHashes) && canonical.imageHashes.length === imageUrls.length;
+  const imageHashes = hashesAligned ? [...canonical.imageHashes] : null;
+  const duplicateUrls = Array.isArray(duplicate.imageUrls) ? duplicate.imageUrls : [];
+  const duplicateHashes = Array.isArray(duplicate.imageHashes) && duplicate.imageHashes.length === duplicateUrls.length ?
+    duplicate.imageHashes :
+    null;
+  let addedImages = 0;
+  duplicateUrls.forEach((url, i) => {
+    const hash = duplicateHashes ? duplicateHashes[i] : null;
+    if (imageUrls.includes(url) || (hash && imageHashes && imageHashes.includes(hash))) return;
+    imageUrls.push(url);
+    if (imageHashes) imageHashes.push(hash || null);
+    addedImages++;
+  });
+  if (addedImages > 0) {
+    fields.imageUrls = imageUrls;
+    if (imageHashes) fields.imageHashes = imageHashes;
+  }
+
+  for (const field of ["youtubeVideoIds", "goodFor", "spotFeatures"]) {
+    const merged = unionLists(canonical[field], duplicate[field]);
+    const current = Array.isArray(canonical[field]) ? canonical[field] : [];
+    if (merged.length > current.length) fields[field] = merged;
+  }
+
+  return {fields, addedImages};
+}
+
+/**
+ * Moves a duplicate's ratings to the canonical spot
+ * @param {string} duplicateId - Duplicate spot id
+ * @param {string} canonicalId - Canonical spot id
+ * @param {string} mergeId - Id of the merge, written onto moved ratings
+ * @return {Promise<Object>} {moved, discarded}
+ */
+async function moveSpotRatings(duplicateId, canonicalId, mergeId) {
+  const [duplicateSnap, canonicalSnap] = await Promise.all([
+    db.collection("ratings").where("spotId", "==", duplicateId).get(),
+    db.collection("ratings").where("spotId", "==", canonicalId).get(),
+  ]);
+
+  const canonicalByUser = new Map();
+  canonicalSnap.docs.forEach((doc) => {
+    const userId = doc.data().userId;
+    if (userId) canonicalByUser.set(userId, doc);
+  });
+
+  const moves = [];
+  const discards = [];
+  for (const doc of duplicateSnap.docs) {
+    const rating = doc.data();
+    const existing = rating.userId ? canonicalByUser.get(rating.userId) : null;
+    if (existing && ratingTimestamp(existing.data()) >= ratingTimestamp(rating)) {
+      // The user's rating of the canonical spot is newer
+      discards.push(doc.ref);
+      continue;
+    }
+    if (existing) discards.push(existing.ref);
+    moves.push(doc.ref);
+  }
+
+  // Tag discarded ratings before deleting them so onRatingDeleted skips them
+  await commitInBatches(discards.map((ref) => (batch) => batch.update(ref, {mergeId, mergeDiscarded: true})));
+  await commitInBatches(discards.map((ref) => (batch) => batch.delete(ref)));
+  await commitInBatches(moves.map((ref) => (batch) => batch.update(ref, {
+    spotId: canonicalId,
+    mergeId: mergeId,
+    mergedFrom: duplicateId,
+  })));
+
+  return {moved: moves.length, discarded: discards.length};
+}
+
+/**
+ * Moves a duplicate's comments to the canonical spot
+ * @param {string} duplicateId - Duplicate spot id
+ * @param {string} canonicalId - Canonical spot id
+ * @return {Promise<number>} Number of comments moved
+ */
+async function moveSpotComments(duplicateId, canonicalId) {
+  const snap = await db.collection("comments").where("spotId", "==", duplicateId).get();
+  await commitInBatches(snap.docs.map((doc) => (batch) => batch.update(doc.ref, {
+    spotId: canonicalId,
+    mergedFrom: duplicateId,
+  })));
+  return snap.size;
+}
+
+module.exports = {
+  buildMergedSpotFields,
+  moveSpotRatings,
+  moveSpotComments,
+};
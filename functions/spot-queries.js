@@ -0,0 +1,286 @@
+/* eslint-disable max-len */
+/**
+ * Shared spot query helpers for Firebase Cloud Functions
+ *
+ * Public map endpoints (bounds, clusters, vector tiles) use the same
+ * projection and visibility filters so they always agree on which spots exist.
+ *
+ * Spots mirror their goodFor and spotFeatures lists into `attributeIndex`
+ * ({goodFor: {key: true}, spotFeatures: {key: true}}), so attribute filters
+ * can be equality clauses next to the geohash cover.
+ */
+
+const admin = require("firebase-admin");
+
+const {formatDateToISO} = require("./utils");
+
+// Fields returned by map queries, to reduce payload size
+const SPOT_LIST_PROJECTION = [
+  "name",
+  "description",
+  "latitude",
+  "longitude",
+  "address",
+  "city",
+  "countryCode",
+  "imageUrls",
+  "tags",
+  "spotSource",
+  "spotSourceName",
+  "folderName",
+  "averageRating",
+  "ratingCount",
+  "wilsonLowerBound",
+  "ratingHistogram",
+  "dimensionRatings",
+  "goodFor",
+  "spotFeatures",
+  "spotAccess",
+  "spotFacilities",
+  "createdAt",
+  "updatedAt",
+  "ranking",
+];
+
+/**
+ * Applies the public map filters to a spots query: source, folder, images,
+ * duplicate exclusion and hidden spots
+ * @param {FirebaseFirestore.Query} query - The base spots query
+ * @param {Object} filters - {spotSource, folder, hasImages} as sent by the client
+ * @return {FirebaseFirestore.Query} The filtered query (without ordering)
+ */
+function applySpotFilters(query, {spotSource = null, folder = null, hasImages = false} = {}) {
+  // Apply source filter if specified
+  if (spotSource !== null && spotSource !== undefined) {
+    if (spotSource === "") {
+      // Empty string means native spots only (spotSource is null)
+      query = query.where("spotSource", "==", null);
+    } else {
+      // Specific source ID
+      query = query.where("spotSource", "==", spotSource);
+    }
+  } else {
+    // If spotSource is null, no source filter is applied (all sources)
+    // Exclude spots marked as duplicates when searching all sources
+    query = query.where("duplicateOf", "==", null);
+  }
+
+  // Apply folder filter if specified (only when spotSource is set)
+  // Note: This requires a composite index on (spotSource, folderName, ranking)
+  if (folder && typeof folder === "string" && folder.trim().length > 0 &&
+      spotSource !== null && spotSource !== undefined) {
+    query = query.where("folderName", "==", String(folder).trim());
+  }
+
+  // Apply image filter if specified
+  if (hasImages === true) {
+    query = query.where("imageUrls", "!=", []);
+  }
+
+  // Exclude hidden spots from public view
+  // Use == false instead of != true to avoid inequality filter conflict
+  return query.where("hidden", "==", false);
+}
+
+/**
+ * Normalizes a string or array parameter into a list of trimmed strings
+ * @param {string|string[]|null|undefined} value - Raw parameter
+ * @return {string[]} Non-empty strings
+ */
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : (typeof value === "string" ? [value] : []);
+  return list
+      .filter((v) => typeof v === "string")
+      .map((v) => v.trim())
+      .filter((v) => v.length > 0);
+}
+
+/**
+ * Normalizes the attribute filter parameters of a map request.
+ * goodFor / spotFeatures: keys the spot must list
+ * spotAccess: accepted access values (a spot has a single access value)
+ * spotFacilities: facility keys that must be "yes", or a {key: value} map
+ * attributeMatch: "all" (every condition must hold) or "any" (at least one)
+ * @param {Object} data - Request data
+ * @return {Object|null} Normalized filters, or null when none were requested
+ */
+function normalizeAttributeFilters(data = {}) {
+  const goodFor = toStringList(data.goodFor);
+  const spotFeatures = toStringList(data.spotFeatures);
+  const spotAccess = toStringList(data.spotAccess);
+
+  const spotFacilities = {};
+  if (Array.isArray(data.spotFacilities) || typeof data.spotFacilities === "string") {
+    for (const key of toStringList(data.spotFacilities)) spotFacilities[key] = "yes";
+  } else if (data.spotFacilities && typeof data.spotFacilities === "object") {
+    for (const [key, value] of Object.entries(data.spotFacilities)) {
+      if (typeof value === "string" && value.trim().length > 0) {
+        spotFacilities[key.trim()] = value.trim();
+      }
+    }
+  }
+
+  const conditionCount = goodFor.length + spotFeatures.length +
+    (spotAccess.length > 0 ? 1 : 0) + Object.keys(spotFacilities).length;
+  if (conditionCount === 0) return null;
+
+  const attributeMatch = data.attributeMatch === "any" ? "any" : "all";
+  return {goodFor, spotFeatures, spotAccess, spotFacilities, attributeMatch};
+}
+
+/**
+ * Builds the `attributeIndex` field of a spot
+ * @param {Object} spot - Spot data
+ * @return {Object} {goodFor: {key: true}, spotFeatures: {key: true}}
+ */
+function buildSpotAttributeIndex(spot) {
+  const toFlags = (list) => Object.fromEntries(toStringList(list).map((key) => [key, true]));
+  return {goodFor: toFlags(spot.goodFor), spotFeatures: toFlags(spot.spotFeatures)};
+}
+
+/**
+ * Whether a spot's stored `attributeIndex` matches its lists. Map key order
+ * isn't preserved by Firestore, so keys are compared as sets.
+ * @param {Object} spot - Spot data
+ * @return {boolean} True if the index needs no update
+ */
+function attributeIndexUpToDate(spot) {
+  const stored = spot.attributeIndex;
+  if (!stored || typeof stored !== "object") return false;
+  const expected = buildSpotAttributeIndex(spot);
+  const sameKeys = (a, b) => {
+    const keysA = Object.keys(a && typeof a === "object" ? a : {}).sort();
+    const keysB = Object.keys(b).sort();
+    return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i] && a[key] === true);
+  };
+  return Object.keys(stored).length === 2 &&
+    sameKeys(stored.goodFor, expected.goodFor) && sameKeys(stored.spotFeatures, expected.spotFeatures);
+}
+
+/**
+ * Adds attribute filters to a spots query as equality clauses, so Firestore
+ * can count the matches. An "any" match of several conditions, or several
+ * spotAccess values, would be a disjunction on top of the geohash cover,
+ * which Firestore can't combine, so those are left to
+ * spotMatchesAttributeFilters.
+ * @param {FirebaseFirestore.Query} query - Spots query
+ * @param {Object} filters - Result of normalizeAttributeFilters
+ * @return {FirebaseFirestore.Query|null} The filtered query, or null if the
+ *   filters can't be expressed as clauses
+ */
+function applyAttributeFilterClauses(query, filters) {
+  const conditionCount = filters.goodFor.length + filters.spotFeatures.length +
+    (filters.spotAccess.length > 0 ? 1 : 0) + Object.keys(filters.spotFacilities).length;
+  if ((filters.attributeMatch === "any" && conditionCount > 1) || filters.spotAccess.length > 1) {
+    return null;
+  }
+  const {FieldPath} = admin.firestore;
+  for (const key of filters.goodFor) {
+    query = query.where(new FieldPath("attributeIndex", "goodFor", key), "==", true);
+  }
+  for (const key of filters.spotFeatures) {
+    query = query.where(new FieldPath("attributeIndex", "spotFeatures", key), "==", true);
+  }
+  if (filters.spotAccess.length === 1) {
+    query = query.where("spotAccess", "==", filters.spotAccess[0]);
+  }
+  for (const [key, value] of Object.entries(filters.spotFacilities)) {
+    query = query.where(new FieldPath("spotFacilities", key), "==", value);
+  }
+  return query;
+}
+
+/**
+ * Checks a spot against normalized attribute filters
+ * @param {Object} spot - Spot data
+ * @param {Object} filters - Result of normalizeAttributeFilters
+ * @return {boolean} True if the spot matches
+ */
+function spotMatchesAttributeFilters(spot, filters) {
+  if (!filters) return true;
+  const goodFor = Array.isArray(spot.goodFor) ? spot.goodFor : [];
+  const features = Array.isArray(spot.spotFeatures) ? spot.spotFeatures : [];
+  const facilities = spot.spotFacilities && typeof spot.spotFacilities === "object" ?
+    spot.spotFacilities :
+    {};
+
+  const results = [
+    ...filters.goodFor.map((key) => goodFor.includes(key)),
+    ...filters.spotFeatures.map((key) => features.includes(key)),
+    ...Object.entries(filters.spotFacilities).map(([key, value]) => facilities[key] === value),
+  ];
+  if (filters.spotAccess.length > 0) {
+    results.push(filters.spotAccess.includes(spot.spotAccess));
+  }
+
+  return filters.attributeMatch === "any" ?
+    results.some(Boolean) :
+    results.every(Boolean);
+}
+
+/**
+ * Normalizes Firestore Timestamp fields to ISO strings for the client
+ * @param {Object} s - Spot data
+ * @return {Object} Spot data with ISO createdAt/updatedAt
+ */
+function normalizeSpotTimestamps(s) {
+  const createdAt = formatDateToISO(s.createdAt) || s.createdAt || null;
+  const updatedAt = formatDateToISO(s.updatedAt) || s.updatedAt || null;
+  return {...s, createdAt, updatedAt};
+}
+
+/**
+ * Whether a spot update changes anything map queries return or filter on.
+ * `updatedAt` alone doesn't count, since every write touches it.
+ * @param {Object} before - Spot data before the update
+ * @param {Object} after - Spot data after the update
+ * @return {boolean} True if cached map responses may be stale
+ */
+function spotListFieldsChanged(before, after) {
+  const fields = [...SPOT_LIST_PROJECTION.filter((field) => field !== "updatedAt"), "hidden", "duplicateOf", "geohashes"];
+  return fields.some((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Encodes an opaque pagination cursor for a spot in ranking order
+ * @param {FirebaseFirestore.DocumentSnapshot|Object} doc - Last spot of a
+ *   page, as a snapshot or as listed ({id, ranking, ...})
+ * @return {string} URL-safe cursor
+ */
+function encodeSpotCursor(doc) {
+  const ranking = typeof doc.get === "function" ? doc.get("ranking") : doc.ranking;
+  const payload = {r: ranking, id: doc.id};
+  return Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+}
+
+/**
+ * Decodes a cursor produced by encodeSpotCursor
+ * @param {string} cursor - Cursor from a previous response
+ * @return {{ranking: number, id: string}} Position to start after
+ */
+function decodeSpotCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch (e) {
+    throw new Error("Invalid cursor");
+  }
+  if (!payload || typeof payload.r !== "number" || typeof payload.id !== "string" || payload.id.length === 0) {
+    throw new Error("Invalid cursor");
+  }
+  return {ranking: payload.r, id: payload.id};
+}
+
+module.exports = {
+  SPOT_LIST_PROJECTION,
+  applySpotFilters,
+  normalizeAttributeFilters,
+  buildSpotAttributeIndex,
+  attributeIndexUpToDate,
+  applyAttributeFilterClauses,
+  spotMatchesAttributeFilters,
+  normalizeSpotTimestamps,
+  spotListFieldsChanged,
+  encodeSpotCursor,
+  decodeSpotCursor,
+};
@@ -0,0 +1,160 @@
+/* eslint-disable max-len */
+/**
+ * Spot trash bin for Firebase Cloud Functions
+ *
+ * Deleting a spot moves it to the `spotTrash` collection instead of removing
+ * it: the trash document (id = spot id) keeps the spot data, and its
+ * `ratings` and `comments` subcollections keep the spot's ratings and
+ * comments under their original ids. Trashed spots are purged after
+ * TRASH_RETENTION_DAYS.
+ *
+ * Moving ratings out tags them with `trashed` first, so onRatingDeleted
+ * skips them. Restoring writes the spot back with `restoredAt` (onSpotCreated
+ * then keeps its data instead of treating it as a new spot) and the ratings
+ * with `restoredFromTrash` (onRatingCreated skips them); the caller
+ * recomputes the spot's aggregates once afterwards.
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const SPOT_TRASH_COLLECTION = "spotTrash";
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 400;
+
+/**
+ * Applies write operations in batches
+ * @param {Array<Function>} operations - Functions adding one write to a batch
+ * @return {Promise<void>}
+ */
+async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    operations.slice(i, i + BATCH_SIZE).forEach((operation) => operation(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Moves a spot with its ratings and comments to the trash
+ * @param {string} spotId - Spot document id
+ * @param {Object} options - {deletedBy: uid of the admin, reason}
+ * @return {Promise<Object|null>} {spot, ratingCount, commentCount, purgeAfter},
+ *   or null if the spot doesn't exist
+ */
+async function trashSpot(spotId, {deletedBy = null, reason = null} = {}) {
+  const spotRef = db.collection("spots").doc(spotId);
+  const [spotSnap, ratingsSnap, commentsSnap] = await Promise.all([
+    spotRef.get(),
+    db.collection("ratings").where("spotId", "==", spotId).get(),
+    db.collection("comments").where("spotId", "==", spotId).get(),
+  ]);
+  if (!spotSnap.exists) return null;
+
+  const trashRef = db.collection(SPOT_TRASH_COLLECTION).doc(spotId);
+  const purgeAfter = admin.firestore.Timestamp.fromMillis(Date.now() + TRASH_RETENTION_DAYS * DAY_MS);
+  const spot = spotSnap.data();
+
+  // Copy everything into the trash before removing anything
+  await commitInBatches([
+    ...ratingsSnap.docs.map((doc) => (batch) => batch.set(trashRef.collection("ratings").doc(doc.id), doc.data())),
+    ...commentsSnap.docs.map((doc) => (batch) => batch.set(trashRef.collection("comments").doc(doc.id), doc.data())),
+  ]);
+  await trashRef.set({
+    spot: spot,
+    name: spot.name || null,
+    spotSource: spot.spotSource || null,
+    countryCode: spot.countryCode || null,
+    city: spot.city || null,
+    ratingCount: ratingsSnap.size,
+    commentCount: commentsSnap.size,
+    deletedBy: deletedBy,
+    reason: reason,
+    deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+    purgeAfter: purgeAfter,
+  });
+
+  await spotRef.delete();
+  // Tag ratings before deleting them so onRatingDeleted skips them
+  await commitInBatches(ratingsSnap.docs.map((doc) => (batch) => batch.update(doc.ref, {trashed: true})));
+  await commitInBatches([
+    ...ratingsSnap.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+    ...commentsSnap.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+  ]);
+
+  return {spot, ratingCount: ratingsSnap.size, commentCount: commentsSnap.size, purgeAfter};
+}
+
+/**
+ * Restores a trashed spot with its ratings and comments
+ * @param {string} spotId - Spot document id
+ * @param {Object} options - {restoredBy: uid of the admin}
+ * @return {Promise<Object>} {spot, ratingCount, commentCount}
+ */
+async function restoreSpotFromTrash(spotId, {restoredBy = null} = {}) {
+  const trashRef = db.collection(SPOT_TRASH_COLLECTION).doc(spotId);
+  const spotRef = db.collection("spots").doc(spotId);
+  const [trashSnap, spotSnap, ratingsSnap, commentsSnap] = await Promise.all([
+    trashRef.get(),
+    spotRef.get(),
+    trashRef.collection("ratings").get(),
+    trashRef.collection("comments").get(),
+  ]);
+  if (!trashSnap.exists) {
+    throw new Error(`Spot ${spotId} is not in the trash`);
+  }
+  if (spotSnap.exists) {
+    throw new Error(`A spot with ID ${spotId} already exists`);
+  }
+
+  const spot = {...(trashSnap.data().spot || {})};
+  // Spots trashed by a sync because they went missing from their source
+  // start counting misses again
+  delete spot.syncMissCount;
+  delete spot.missingSince;
+  delete spot.missingFromSource;
+  await spotRef.create({
+    ...spot,
+    restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+    restoredBy: restoredBy,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await commitInBatches([
+    ...ratingsSnap.docs.map((doc) => (batch) => batch.set(db.collection("ratings").doc(doc.id), {
+      ...doc.data(),
+      restoredFromTrash: true,
+    })),
+    ...commentsSnap.docs.map((doc) => (batch) => batch.set(db.collection("comments").doc(doc.id), doc.data())),
+  ]);
+  await db.recursiveDelete(trashRef);
+
+  return {spot, ratingCount: ratingsSnap.size, commentCount: commentsSnap.size};
+}
+
+/**
+ * Permanently deletes trashed spots past their retention period
+ * @param {number} limit - Maximum number of spots to purge
+ * @return {Promise<string[]>} Ids of the purged spots
+ */
+async function purgeExpiredTrash(limit = 200) {
+  const snap = await db.collection(SPOT_TRASH_COLLECTION)
+      .where("purgeAfter", "<=", admin.firestore.Timestamp.now())
+      .limit(limit)
+      .get();
+  const purged = [];
+  for (const doc of snap.docs) {
+    await db.recursiveDelete(doc.ref);
+    purged.push(doc.id);
+  }
+  return purged;
+}
+
+module.exports = {
+  SPOT_TRASH_COLLECTION,
+  TRASH_RETENTION_DAYS,
+  trashSpot,
+  restoreSpotFromTrash,
+  purgeExpiredTrash,
+};
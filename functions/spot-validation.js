@@ -0,0 +1,206 @@
+/* eslint-disable max-len */
+/**
+ * Server-side validation and normalization of new spots
+ *
+ * Any signed-in user can create a spot document, so onSpotCreated runs every
+ * new spot through validateNewSpot:
+ * - Coordinates are clamped to valid ranges; missing or non-numeric
+ *   coordinates (and 0,0) make the spot invalid
+ * - Name and description are trimmed and length-limited; a missing name makes
+ *   the spot invalid
+ * - Attribute keys are checked against the allowlists below, which mirror
+ *   lib/constants/spot_attributes.dart
+ * - Rating and moderation fields are reset to their initial values, since a
+ *   new spot has no ratings yet
+ *
+ * Invalid spots are hidden and get a `validationIssues` list instead of being
+ * deleted, so an admin can fix them.
+ */
+
+const admin = require("firebase-admin");
+
+const {normalizeLongitude} = require("./geo");
+
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_YOUTUBE_VIDEO_IDS = 10;
+
+const GOOD_FOR_KEYS = [
+  "vaults", "balance", "ascend", "descend", "speed_run", "water_challenges",
+  "pole_slide", "precisions", "wall_runs", "strides", "rolls", "cats", "flow",
+  "flips", "swings",
+];
+const SPOT_FEATURE_KEYS = [
+  "walls_low", "walls_medium", "walls_high", "bars_low", "bars_medium",
+  "bars_high", "climbing_tree", "rocks", "soft_landing_pit", "roof_gap",
+  "bouncy_equipment",
+];
+const SPOT_ACCESS_VALUES = ["public", "restricted", "paid"];
+const SPOT_FACILITY_KEYS = ["covered", "lighting", "water_tap", "toilet", "parking"];
+const SPOT_FACILITY_VALUES = ["yes", "no", "unknown"];
+
+// Validation issues that hide the spot
+const VALIDATION_ISSUES = {
+  INVALID_COORDINATES: "invalidCoordinates",
+  MISSING_NAME: "missingName",
+};
+
+// Written by rating aggregation only
+const RATING_FIELDS_TO_CLEAR = [
+  "ratingSum", "ratingWeight", "ratingHistogram", "dimensionRatings", "ratingDecay",
+];
+
+/**
+ * Trims a text field, collapsing runs of spaces, and cuts it to a maximum length
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @param {boolean} singleLine - Also collapse line breaks
+ * @return {string} Normalized text ("" for non-strings)
+ */
+function normalizeText(value, maxLength, singleLine) {
+  if (typeof value !== "string") return "";
+  let text = value.replace(/\r\n?/g, "\n");
+  text = singleLine ? text.replace(/\s+/g, " ") : text.replace(/[^\S\n]+/g, " ").replace(/\n{3,}/g, "\n\n");
+  text = text.trim();
+  return text.length > maxLength ? text.substring(0, maxLength).trim() : text;
+}
+
+/**
+ * Keeps the allowed string keys of a list, without duplicates
+ * @param {*} value - Raw list
+ * @param {string[]} allowed - Allowed keys
+ * @return {string[]} Filtered keys
+ */
+function filterAllowedKeys(value, allowed) {
+  if (!Array.isArray(value)) return [];
+  return Array.from(new Set(value.filter((key) => typeof key === "string" && allowed.includes(key))));
+}
+
+/**
+ * Keeps the trimmed strings of a list that match a pattern, without duplicates
+ * @param {*} value - Raw list
+ * @param {RegExp} pattern - Pattern each item must match
+ * @param {number} maxItems - Maximum number of items
+ * @return {string[]} Filtered strings
+ */
+function filterStrings(value, pattern, maxItems = Infinity) {
+  if (!Array.isArray(value)) return [];
+  const items = value
+      .filter((item) => typeof item === "string")
+      .map((item) => item.trim())
+      .filter((item) => pattern.test(item));
+  return Array.from(new Set(items)).slice(0, maxItems);
+}
+
+/**
+ * Validates and normalizes a newly created spot
+ * @param {Object} spot - Spot data as written by the client
+ * @return {Object} {updates, issues, normalized}: the fields to write (only
+ *   those that change), the validation issues that hide the spot, and the
+ *   spot data after applying the updates
+ */
+function validateNewSpot(spot) {
+  const normalized = {};
+  const issues = [];
+
+  // Coordinates
+  const latitude = typeof spot.latitude === "number" && Number.isFinite(spot.latitude) ? spot.latitude : null;
+  const longitude = typeof spot.longitude === "number" && Number.isFinite(spot.longitude) ? spot.longitude : null;
+  if (latitude === null || longitude === null || (latitude === 0 && longitude === 0)) {
+    issues.push(VALIDATION_ISSUES.INVALID_COORDINATES);
+  } else {
+    normalized.latitude = Math.max(-90, Math.min(90, latitude));
+    normalized.longitude = longitude < -180 || longitude > 180 ? normalizeLongitude(longitude) : longitude;
+  }
+
+  // Text fields
+  normalized.name = normalizeText(spot.name, MAX_NAME_LENGTH, true);
+  if (normalized.name.length === 0) {
+    issues.push(VALIDATION_ISSUES.MISSING_NAME);
+  }
+  normalized.description = normalizeText(spot.description, MAX_DESCRIPTION_LENGTH, false);
+  for (const field of ["address", "city"]) {
+    const text = normalizeText(spot[field], MAX_DESCRIPTION_LENGTH, true);
+    normalized[field] = text.length > 0 ? text : null;
+  }
+  const countryCode = typeof spot.countryCode === "string" ? spot.countryCode.trim().toUpperCase() : "";
+  normalized.countryCode = /^[A-Z]{2}$/.test(countryCode) ? countryCode : null;
+
+  // Attributes
+  if (spot.goodFor !== undefined) {
+    normalized.goodFor = filterAllowedKeys(spot.goodFor, GOOD_FOR_KEYS);
+  }
+  if (spot.spotFeatures !== undefined) {
+    normalized.spotFeatures = filterAllowedKeys(spot.spotFeatures, SPOT_FEATURE_KEYS);
+  }
+  if (spot.spotAccess !== undefined) {
+    normalized.spotAccess = SPOT_ACCESS_VALUES.includes(spot.spotAccess) ?
+      spot.spotAccess :
+      admin.firestore.FieldValue.delete();
+  }
+  if (spot.spotFacilities !== undefined) {
+    const facilities = {};
+    const raw = spot.spotFacilities && typeof spot.spotFacilities === "object" ? spot.spotFacilities : {};
+    for (const key of SPOT_FACILITY_KEYS) {
+      if (SPOT_FACILITY_VALUES.includes(raw[key])) facilities[key] = raw[key];
+    }
+    normalized.spotFacilities = facilities;
+  }
+
+  // Media
+  if (spot.imageUrls !== undefined && spot.imageUrls !== null) {
+    normalized.imageUrls = filterStrings(spot.imageUrls, /^https:\/\//);
+  }
+  if (spot.youtubeVideoIds !== undefined) {
+    normalized.youtubeVideoIds = filterStrings(spot.youtubeVideoIds, /^[A-Za-z0-9_-]{6,20}$/, MAX_YOUTUBE_VIDEO_IDS);
+  }
+
+  // Initial rating and moderation state, as processSyncSource creates spots
+  normalized.averageRating = 0;
+  normalized.ratingCount = 0;
+  normalized.wilsonLowerBound = 0;
+  normalized.duplicateOf = null;
+  normalized.hidden = issues.length > 0;
+
+  const updates = {};
+  for (const [field, value] of Object.entries(normalized)) {
+    const isSentinel = value instanceof admin.firestore.FieldValue;
+    if (isSentinel || JSON.stringify(value) !== JSON.stringify(spot[field])) {
+      updates[field] = value;
+    }
+  }
+  for (const field of RATING_FIELDS_TO_CLEAR) {
+    if (spot[field] !== undefined) updates[field] = admin.firestore.FieldValue.delete();
+  }
+  if (issues.length > 0) {
+    updates.validationIssues = issues;
+  } else if (spot.validationIssues !== undefined) {
+    updates.validationIssues = admin.firestore.FieldValue.delete();
+  }
+
+  const result = {...spot};
+  for (const [field, value] of Object.entries(updates)) {
+    if (value instanceof admin.firestore.FieldValue) {
+      delete result[field];
+    } else {
+      result[field] = value;
+    }
+  }
+  return {updates, issues, normalized: result};
+}
+
+/**
+ * Whether a spot lacks any of the fields filled in by reverse geocoding
+ * @param {Object} spot - Spot data
+ * @return {boolean} True if address, city or countryCode is missing
+ */
+function needsGeocoding(spot) {
+  const isMissing = (value) => typeof value !== "string" || value.trim() === "";
+  return isMissing(spot.address) || isMissing(spot.city) || isMissing(spot.countryCode);
+}
+
+module.exports = {
+  VALIDATION_ISSUES,
+  validateNewSpot,
+  needsGeocoding,
+};
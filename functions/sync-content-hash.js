@@ -0,0 +1,84 @@
+/* eslint-disable max-len */
+/**
+ * Content hashes that let syncs skip unchanged sources and placemarks
+ *
+ * A source's `fetchState` records what its last sync downloaded:
+ * - files: ETag, Last-Modified and content hash per downloaded URL (the
+ *   source file, plus datalayers for uMap), sent back as conditional requests
+ * - settingsHash: the source settings that shape the synced spots; previous
+ *   downloads only count while these are unchanged
+ * - contentHash: all file hashes plus settingsHash; null if a download
+ *   failed, so the next sync doesn't skip anything
+ * Each synced spot stores the hash of its placemark in `syncContentHash`, so
+ * a changed source only re-processes the placemarks that changed.
+ *
+ * Bump SYNC_HASH_VERSION when processSyncSource changes what it writes for a
+ * placemark, so the next sync re-processes everything once.
+ */
+
+const crypto = require("crypto");
+
+const SYNC_HASH_VERSION = 1;
+
+/**
+ * SHA-256 of a buffer or string
+ * @param {Buffer|string} content - Content to hash
+ * @return {string} Hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash of the source settings that change the placemarks or spot data of a sync
+ * @param {Object} source - Sync source data
+ * @return {string} Hex digest
+ */
+function syncSettingsHash(source) {
+  return hashContent(JSON.stringify({
+    version: SYNC_HASH_VERSION,
+    kmzUrl: source.kmzUrl || null,
+    name: source.name || null,
+    includeFolders: source.includeFolders || null,
+    recordFolderName: source.recordFolderName === true,
+  }));
+}
+
+/**
+ * Hash of everything a sync downloaded
+ * @param {string} settingsHash - From syncSettingsHash
+ * @param {Array<string>} fileHashes - Content hash per downloaded file, in download order
+ * @return {string} Hex digest
+ */
+function combinedContentHash(settingsHash, fileHashes) {
+  return hashContent([settingsHash, ...fileHashes].join("\n"));
+}
+
+/**
+ * Hash of a placemark as processSyncSource turns it into a spot
+ * @param {Object} placemark - Placemark from the KML/GeoJSON parsers
+ * @param {Object} source - Sync source data
+ * @return {string} Hex digest
+ */
+function placemarkContentHash(placemark, source) {
+  const coordinates = placemark.coordinates;
+  return hashContent(JSON.stringify({
+    version: SYNC_HASH_VERSION,
+    name: placemark.name || null,
+    description: placemark.description || null,
+    latitude: coordinates ? coordinates.latitude : null,
+    longitude: coordinates ? coordinates.longitude : null,
+    address: placemark.address || null,
+    externalId: placemark.externalId || null,
+    folderName: source.recordFolderName === true ? placemark.folderName || null : null,
+    extendedData: placemark.extendedData || null,
+    spotSourceName: source.name || null,
+  }));
+}
+
+module.exports = {
+  hashContent,
+  syncSettingsHash,
+  combinedContentHash,
+  placemarkContentHash,
+};
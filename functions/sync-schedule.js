@@ -0,0 +1,220 @@
+/* eslint-disable max-len */
+/**
+ * Automatic syncing of sync sources
+ *
+ * Sources have a `syncSchedule` ("off", "daily" or "weekly") and, while
+ * scheduled and active, the time of their next sync in `nextSyncAt`. An
+ * hourly scheduler claims due sources and hands each one to a task queue
+ * function, so every source gets its own function timeout instead of sharing
+ * the scheduler's.
+ *
+ * Claiming sets `syncLeaseUntil`, so a source isn't queued twice while its
+ * sync runs; the task renews the lease when it starts, since it may have
+ * waited in the queue. Tasks are named after the source and its due time, so
+ * a source claimed again before its task ran isn't queued a second time, and
+ * a task whose source was synced in the meantime does nothing. A successful sync (scheduled or manual) schedules the next one
+ * an interval later; a failed one is retried with exponential backoff
+ * (`syncFailureCount`, `lastSyncError`).
+ */
+
+const admin = require("firebase-admin");
+
+const db = admin.firestore();
+
+const SYNC_SCHEDULES = {
+  OFF: "off",
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SYNC_INTERVALS_MS = {
+  [SYNC_SCHEDULES.DAILY]: DAY_MS,
+  [SYNC_SCHEDULES.WEEKLY]: 7 * DAY_MS,
+};
+// Retry after 1h, 2h, 4h, ... but at least once a week
+const BACKOFF_BASE_MS = HOUR_MS;
+const MAX_BACKOFF_MS = 7 * DAY_MS;
+// Longer than a sync may run, so a crashed sync frees its source again
+const SYNC_LEASE_MS = 90 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Validates a sync schedule
+ * @param {*} value - Schedule name, or null/undefined for "off"
+ * @return {string} One of SYNC_SCHEDULES
+ */
+function normalizeSyncSchedule(value) {
+  if (value === null || value === undefined) return SYNC_SCHEDULES.OFF;
+  if (!Object.values(SYNC_SCHEDULES).includes(value)) {
+    throw new Error(`syncSchedule must be one of: ${Object.values(SYNC_SCHEDULES).join(", ")}`);
+  }
+  return value;
+}
+
+/**
+ * Converts a Firestore Timestamp or Date to milliseconds
+ * @param {*} value - Timestamp, Date or null
+ * @return {number|null} Milliseconds since epoch
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return null;
+}
+
+/**
+ * When a source should be synced next
+ * @param {Object} source - Sync source data ({syncSchedule, isActive, lastSyncAt})
+ * @param {number} now - Current time in milliseconds
+ * @return {Object|null} Timestamp, or null if the source isn't scheduled;
+ *   never synced (or overdue) sources are due now
+ */
+function nextSyncAtFor(source, now = Date.now()) {
+  const schedule = normalizeSyncSchedule(source.syncSchedule);
+  if (schedule === SYNC_SCHEDULES.OFF || source.isActive === false) return null;
+  const lastSyncAt = toMillis(source.lastSyncAt);
+  const next = lastSyncAt !== null ? lastSyncAt + SYNC_INTERVALS_MS[schedule] : now;
+  return admin.firestore.Timestamp.fromMillis(Math.max(next, now));
+}
+
+/**
+ * Delay before retrying a source that failed
+ * @param {number} failureCount - Consecutive failures, including this one
+ * @return {number} Delay in milliseconds
+ */
+function backoffDelayMs(failureCount) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(0, failureCount - 1)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Source fields after a successful sync
+ * @param {Object} source - Sync source data
+ * @return {Object} Fields to update
+ */
+function scheduleFieldsAfterSuccess(source) {
+  const now = Date.now();
+  return {
+    nextSyncAt: nextSyncAtFor({...source, lastSyncAt: admin.firestore.Timestamp.fromMillis(now)}, now),
+    syncFailureCount: 0,
+    lastSyncError: admin.firestore.FieldValue.delete(),
+    syncLeaseUntil: admin.firestore.FieldValue.delete(),
+  };
+}
+
+/**
+ * Source fields after a failed sync
+ * @param {Object} source - Sync source data
+ * @param {Error} error - What went wrong
+ * @return {Object} Fields to update
+ */
+function scheduleFieldsAfterFailure(source, error) {
+  const failureCount = (Number(source.syncFailureCount) || 0) + 1;
+  const scheduled = nextSyncAtFor(source) !== null;
+  return {
+    syncFailureCount: failureCount,
+    lastSyncError: {
+      message: String((error && error.message) || error).slice(0, MAX_ERROR_LENGTH),
+      at: admin.firestore.Timestamp.now(),
+    },
+    nextSyncAt: scheduled ? admin.firestore.Timestamp.fromMillis(Date.now() + backoffDelayMs(failureCount)) : null,
+    syncLeaseUntil: admin.firestore.FieldValue.delete(),
+  };
+}
+
+/**
+ * Claims sources due for a sync
+ * @param {number} limit - Maximum number of sources to claim
+ * @return {Promise<Array<Object>>} Claimed sources as {id, data}
+ */
+async function claimDueSources(limit) {
+  const now = admin.firestore.Timestamp.now();
+  const snap = await db.collection("syncSources")
+      .where("nextSyncAt", "<=", now)
+      .orderBy("nextSyncAt")
+      .limit(limit * 2)
+      .get();
+
+  const claimed = [];
+  for (const doc of snap.docs) {
+    if (claimed.length >= limit) break;
+    const source = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(doc.ref);
+      if (!fresh.exists) return null;
+      const data = fresh.data();
+      // Unscheduled or deactivated since nextSyncAt was set
+      if (nextSyncAtFor(data) === null) {
+        tx.update(doc.ref, {nextSyncAt: null});
+        return null;
+      }
+      const leaseUntil = toMillis(data.syncLeaseUntil);
+      if (leaseUntil !== null && leaseUntil > now.toMillis()) return null;
+      tx.update(doc.ref, {syncLeaseUntil: admin.firestore.Timestamp.fromMillis(now.toMillis() + SYNC_LEASE_MS)});
+      return data;
+    });
+    if (source) claimed.push({id: doc.id, data: source});
+  }
+  return claimed;
+}
+
+/**
+ * Task queue id of a source's scheduled sync; the same until the sync moves
+ * nextSyncAt, so queueing it again is rejected
+ * @param {string} sourceId - Sync source id
+ * @param {Object} source - Sync source data ({nextSyncAt})
+ * @return {string} Task id
+ */
+function scheduledSyncTaskId(sourceId, source) {
+  const dueAt = toMillis(source.nextSyncAt) || 0;
+  return `${sourceId.replace(/[^A-Za-z0-9_-]/g, "_")}-${dueAt}`;
+}
+
+/**
+ * Starts a queued sync: renews the source's lease for the length of the sync
+ * @param {string} sourceId - Sync source id
+ * @return {Promise<Object>} {data, skipReason}; data is null when the sync
+ *   should be skipped ("missing", "unscheduled" or "notDue")
+ */
+async function beginScheduledSync(sourceId) {
+  const ref = db.collection("syncSources").doc(sourceId);
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    if (!doc.exists) return {data: null, skipReason: "missing"};
+    const data = doc.data();
+    if (nextSyncAtFor(data) === null) {
+      tx.update(ref, {nextSyncAt: null, syncLeaseUntil: admin.firestore.FieldValue.delete()});
+      return {data: null, skipReason: "unscheduled"};
+    }
+    const now = Date.now();
+    // Synced manually since the task was queued
+    const dueAt = toMillis(data.nextSyncAt);
+    if (dueAt !== null && dueAt > now) return {data: null, skipReason: "notDue"};
+    tx.update(ref, {syncLeaseUntil: admin.firestore.Timestamp.fromMillis(now + SYNC_LEASE_MS)});
+    return {data, skipReason: null};
+  });
+}
+
+/**
+ * Frees a claimed source, e.g. when its sync couldn't be queued
+ * @param {string} sourceId - Sync source id
+ * @return {Promise<void>}
+ */
+async function releaseSourceLease(sourceId) {
+  await db.collection("syncSources").doc(sourceId).update({
+    syncLeaseUntil: admin.firestore.FieldValue.delete(),
+  });
+}
+
+module.exports = {
+  SYNC_SCHEDULES,
+  normalizeSyncSchedule,
+  nextSyncAtFor,
+  scheduleFieldsAfterSuccess,
+  scheduleFieldsAfterFailure,
+  claimDueSources,
+  scheduledSyncTaskId,
+  beginScheduledSync,
+  releaseSourceLease,
+};
@@ -80,10 +80,57 @@ function formatDateToISO(date) {
   return dateObj.toISOString();
 }
 
+/**
+ * Scores how similar two names are, ignoring case, accents and punctuation.
+ * Takes the higher of the word overlap (Jaccard) and the character bigram
+ * overlap (Dice), so both reordered words and small spelling differences
+ * score high.
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @return {number} Similarity between 0 and 1
+ */
+function nameSimilarity(a, b) {
+  const words = (text) => normalizeToAscii(String(text || ""))
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 0);
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const setA = new Set(wordsA);
+  const setB = new Set(wordsB);
+  const sharedWords = Array.from(setA).filter((w) => setB.has(w)).length;
+  const jaccard = sharedWords / (setA.size + setB.size - sharedWords);
+
+  const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substring(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+  const compactA = wordsA.join("");
+  const compactB = wordsB.join("");
+  if (compactA === compactB) return 1;
+  const bigramsA = bigrams(compactA);
+  const bigramsB = bigrams(compactB);
+  let sharedBigrams = 0;
+  for (const [bigram, count] of bigramsA.entries()) {
+    sharedBigrams += Math.min(count, bigramsB.get(bigram) || 0);
+  }
+  const totalBigrams = Math.max(0, compactA.length - 1) + Math.max(0, compactB.length - 1);
+  const dice = totalBigrams > 0 ? (2 * sharedBigrams) / totalBigrams : 0;
+
+  return Math.max(jaccard, dice);
+}
+
 module.exports = {
   normalizeToAscii,
   slugify,
   escapeXml,
   formatDateToISO,
+  nameSimilarity,
 };
 
@@ -0,0 +1,452 @@
+/* eslint-disable max-len */
+/**
+ * Spot Vector Tile Cloud Functions helpers
+ *
+ * Encodes spots as Mapbox Vector Tiles (MVT, protobuf) with a single "spots"
+ * point layer:
+ * - Tiles up to PRECOMPUTED_MAX_ZOOM are generated nightly and stored in
+ *   Storage (like the sitemaps), since they would otherwise scan most spots
+ * - Higher zoom tiles are built on request from a geohash-covered query
+ */
+
+const admin = require("firebase-admin");
+
+const {
+  SPOT_LIST_PROJECTION,
+  applySpotFilters,
+} = require("./spot-queries");
+const {coverBoundsWithGeohashes, isWithinBounds} = require("./geo");
+
+const db = admin.firestore();
+const bucket = admin.storage().bucket();
+
+const TILE_STORAGE_PATH = "tiles"; // Folder in Storage
+const TILE_EXTENT = 4096;
+const TILE_LAYER_NAME = "spots";
+const PRECOMPUTED_MAX_ZOOM = 4;
+const MAX_TILE_ZOOM = 22;
+const MAX_FEATURES_PER_TILE = 500;
+const MAX_MERCATOR_LAT = 85.0511287798066;
+
+// ---------- Tile math ----------
+
+/**
+ * Returns the geographic bounds of a web mercator tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {{minLat: number, maxLat: number, minLng: number, maxLng: number}} Tile bounds
+ */
+function tileToBounds(z, x, y) {
+  const n = Math.pow(2, z);
+  const lngAt = (tx) => (tx / n) * 360 - 180;
+  const latAt = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return {
+    minLat: latAt(y + 1),
+    maxLat: latAt(y),
+    minLng: lngAt(x),
+    maxLng: lngAt(x + 1),
+  };
+}
+
+/**
+ * Projects a coordinate to fractional tile coordinates at a zoom level
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} z - Zoom level
+ * @return {{x: number, y: number}} Fractional tile coordinates
+ */
+function projectToTile(latitude, longitude, z) {
+  const n = Math.pow(2, z);
+  const lat = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, latitude));
+  const latRad = (lat * Math.PI) / 180;
+  return {
+    x: ((longitude + 180) / 360) * n,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n,
+  };
+}
+
+/**
+ * Validates tile coordinates
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {boolean} True if the tile exists
+ */
+function isValidTile(z, x, y) {
+  if (![z, x, y].every(Number.isInteger)) return false;
+  if (z < 0 || z > MAX_TILE_ZOOM) return false;
+  const n = Math.pow(2, z);
+  return x >= 0 && x < n && y >= 0 && y < n;
+}
+
+// ---------- Protobuf / MVT encoding ----------
+
+/**
+ * Minimal protobuf writer, enough for the MVT schema
+ */
+class PbfWriter {
+  /** Creates an empty writer */
+  constructor() {
+    this.bytes = [];
+  }
+
+  /**
+   * Writes an unsigned varint
+   * @param {number} value - Non-negative integer
+   */
+  varint(value) {
+    let n = value;
+    while (n > 127) {
+      this.bytes.push((n % 128) | 0x80);
+      n = Math.floor(n / 128);
+    }
+    this.bytes.push(n);
+  }
+
+  /**
+   * Writes a field tag
+   * @param {number} field - Field number
+   * @param {number} wireType - Protobuf wire type
+   */
+  tag(field, wireType) {
+    this.varint(field * 8 + wireType);
+  }
+
+  /**
+   * Writes a length-delimited field
+   * @param {number} field - Field number
+   * @param {Buffer} buffer - Field payload
+   */
+  bytesField(field, buffer) {
+    this.tag(field, 2);
+    this.varint(buffer.length);
+    for (const b of buffer) this.bytes.push(b);
+  }
+
+  /**
+   * Writes a string field
+   * @param {number} field - Field number
+   * @param {string} value - String value
+   */
+  stringField(field, value) {
+    this.bytesField(field, Buffer.from(String(value), "utf8"));
+  }
+
+  /**
+   * Writes a varint field
+   * @param {number} field - Field number
+   * @param {number} value - Non-negative integer
+   */
+  varintField(field, value) {
+    this.tag(field, 0);
+    this.varint(value);
+  }
+
+  /**
+   * Writes a double field
+   * @param {number} field - Field number
+   * @param {number} value - Double value
+   */
+  doubleField(field, value) {
+    this.tag(field, 1);
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleLE(value);
+    for (const b of buf) this.bytes.push(b);
+  }
+
+  /**
+   * Writes a packed repeated varint field
+   * @param {number} field - Field number
+   * @param {number[]} values - Non-negative integers
+   */
+  packedVarintField(field, values) {
+    const inner = new PbfWriter();
+    for (const v of values) inner.varint(v);
+    this.bytesField(field, inner.finish());
+  }
+
+  /**
+   * Returns the encoded bytes
+   * @return {Buffer} Encoded message
+   */
+  finish() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * ZigZag-encodes a signed integer for MVT geometry
+ * @param {number} n - Signed integer
+ * @return {number} Unsigned integer
+ */
+function zigzag(n) {
+  return n >= 0 ? n * 2 : -n * 2 - 1;
+}
+
+/**
+ * Encodes an MVT Value message
+ * @param {string|number|boolean} value - Property value
+ * @return {Buffer} Encoded value
+ */
+function encodeValue(value) {
+  const w = new PbfWriter();
+  if (typeof value === "boolean") {
+    w.varintField(7, value ? 1 : 0);
+  } else if (typeof value === "number") {
+    if (Number.isInteger(value) && value >= 0) {
+      w.varintField(5, value); // uint_value
+    } else if (Number.isInteger(value)) {
+      w.varintField(6, zigzag(value)); // sint_value
+    } else {
+      w.doubleField(3, value); // double_value
+    }
+  } else {
+    w.stringField(1, value);
+  }
+  return w.finish();
+}
+
+/**
+ * Picks the scalar tile properties for a spot
+ * @param {Object} spot - Spot data with id
+ * @return {Object} Flat properties (strings, numbers, booleans only)
+ */
+function spotTileProperties(spot) {
+  const props = {id: spot.id};
+  for (const field of SPOT_LIST_PROJECTION) {
+    const value = spot[field];
+    if (field === "latitude" || field === "longitude" || field === "description") continue;
+    if (typeof value === "string" || typeof value === "boolean" ||
+        (typeof value === "number" && Number.isFinite(value))) {
+      props[field] = value;
+    }
+  }
+  if (Array.isArray(spot.imageUrls) && spot.imageUrls.length > 0) {
+    props.imageUrl = spot.imageUrls[0];
+    props.imageCount = spot.imageUrls.length;
+  }
+  return props;
+}
+
+/**
+ * Encodes spots as a single-layer vector tile
+ * @param {Array<Object>} spots - Spots with id, latitude, longitude
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {Buffer} Encoded tile (empty layer when there are no spots)
+ */
+function encodeSpotTile(spots, z, x, y) {
+  const keys = [];
+  const keyIndex = new Map();
+  const values = [];
+  const valueIndex = new Map();
+  const layer = new PbfWriter();
+
+  layer.varintField(15, 2); // version
+  layer.stringField(1, TILE_LAYER_NAME);
+
+  for (const spot of spots) {
+    const tileCoord = projectToTile(spot.latitude, spot.longitude, z);
+    const px = Math.round((tileCoord.x - x) * TILE_EXTENT);
+    const py = Math.round((tileCoord.y - y) * TILE_EXTENT);
+
+    const tags = [];
+    for (const [key, value] of Object.entries(spotTileProperties(spot))) {
+      if (!keyIndex.has(key)) {
+        keyIndex.set(key, keys.length);
+        keys.push(key);
+      }
+      const valueKey = `${typeof value}:${value}`;
+      if (!valueIndex.has(valueKey)) {
+        valueIndex.set(valueKey, values.length);
+        values.push(value);
+      }
+      tags.push(keyIndex.get(key), valueIndex.get(valueKey));
+    }
+
+    const feature = new PbfWriter();
+    feature.packedVarintField(2, tags);
+    feature.varintField(3, 1); // POINT
+    feature.packedVarintField(4, [9, zigzag(px), zigzag(py)]); // MoveTo(1)
+    layer.bytesField(2, feature.finish());
+  }
+
+  for (const key of keys) layer.stringField(3, key);
+  for (const value of values) layer.bytesField(4, encodeValue(value));
+  layer.varintField(5, TILE_EXTENT);
+
+  const tile = new PbfWriter();
+  tile.bytesField(3, layer.finish());
+  return tile.finish();
+}
+
+// ---------- Querying and storage ----------
+
+/**
+ * Fetches the top-ranked visible spots inside a tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {Promise<Array<Object>>} Spots ordered by ranking
+ */
+async function querySpotsForTile(z, x, y) {
+  const bounds = tileToBounds(z, x, y);
+  const lngRanges = [[bounds.minLng, bounds.maxLng]];
+  const cover = coverBoundsWithGeohashes(bounds.minLat, bounds.maxLat, lngRanges);
+
+  let baseQuery = db.collection("spots");
+  if (cover) {
+    baseQuery = baseQuery.where("geohashes", "array-contains-any", cover.cells);
+  }
+  const query = applySpotFilters(baseQuery, {}).orderBy("ranking", "desc");
+
+  // Cells overshoot the tile, so page until the tile is full or exhausted
+  const pageSize = MAX_FEATURES_PER_TILE;
+  const spots = [];
+  let lastDoc = null;
+  for (let page = 0; page < 4 && spots.length < MAX_FEATURES_PER_TILE; page++) {
+    let pageQuery = query.select(...SPOT_LIST_PROJECTION).limit(pageSize);
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+    const snap = await pageQuery.get();
+
+    for (const doc of snap.docs) {
+      const data = doc.data();
+      if (isWithinBounds(data.latitude, data.longitude, bounds.minLat, bounds.maxLat, lngRanges)) {
+        spots.push({id: doc.id, ...data});
+        if (spots.length >= MAX_FEATURES_PER_TILE) break;
+      }
+    }
+    if (snap.size < pageSize) break;
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+  return spots;
+}
+
+/**
+ * Returns the Storage path of a precomputed tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {string} Storage path
+ */
+function tileStoragePath(z, x, y) {
+  return `${TILE_STORAGE_PATH}/${z}/${x}/${y}.pbf`;
+}
+
+/**
+ * Reads a precomputed tile from Firebase Storage
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {Promise<Buffer|null>} Tile bytes or null if not found
+ */
+async function getTileFromStorage(z, x, y) {
+  if (!isValidTile(z, x, y) || z > PRECOMPUTED_MAX_ZOOM) return null;
+  const file = bucket.file(tileStoragePath(z, x, y));
+  try {
+    const [exists] = await file.exists();
+    if (!exists) return null;
+    const [contents] = await file.download();
+    return contents;
+  } catch (error) {
+    console.error(`Error reading tile ${z}/${x}/${y} from Storage:`, error);
+    return null;
+  }
+}
+
+/**
+ * Builds a tile, from Storage for low zooms when available, otherwise from
+ * a live query
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @return {Promise<{tile: Buffer, precomputed: boolean}>} Encoded tile
+ */
+async function getSpotTile(z, x, y) {
+  const stored = await getTileFromStorage(z, x, y);
+  if (stored) return {tile: stored, precomputed: true};
+  const spots = await querySpotsForTile(z, x, y);
+  return {tile: encodeSpotTile(spots, z, x, y), precomputed: false};
+}
+
+/**
+ * Generates all tiles up to PRECOMPUTED_MAX_ZOOM from a single ranked scan
+ * of visible spots and uploads them to Firebase Storage
+ * @return {Promise<number>} Number of tiles written
+ */
+async function generateLowZoomTiles() {
+  console.log("Starting low-zoom tile generation...");
+
+  const BATCH_SIZE = 1000;
+  const tiles = new Map(); // "z/x/y" -> spots[]
+  const query = applySpotFilters(db.collection("spots"), {})
+      .orderBy("ranking", "desc")
+      .select(...SPOT_LIST_PROJECTION);
+
+  let lastDoc = null;
+  let scanned = 0;
+  let scanning = true;
+  while (scanning) {
+    let pageQuery = query.limit(BATCH_SIZE);
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+    const snap = await pageQuery.get();
+
+    for (const doc of snap.docs) {
+      const spot = {id: doc.id, ...doc.data()};
+      if (typeof spot.latitude !== "number" || typeof spot.longitude !== "number") continue;
+
+      // Spots arrive in ranking order, so each tile keeps its top spots
+      for (let z = 0; z <= PRECOMPUTED_MAX_ZOOM; z++) {
+        const n = Math.pow(2, z);
+        const tileCoord = projectToTile(spot.latitude, spot.longitude, z);
+        const x = Math.min(n - 1, Math.max(0, Math.floor(tileCoord.x)));
+        const y = Math.min(n - 1, Math.max(0, Math.floor(tileCoord.y)));
+        const key = `${z}/${x}/${y}`;
+        if (!tiles.has(key)) tiles.set(key, []);
+        const list = tiles.get(key);
+        if (list.length < MAX_FEATURES_PER_TILE) list.push(spot);
+      }
+    }
+
+    scanned += snap.size;
+    if (snap.size < BATCH_SIZE) {
+      scanning = false;
+    } else {
+      lastDoc = snap.docs[snap.docs.length - 1];
+    }
+  }
+
+  console.log(`Scanned ${scanned} spots into ${tiles.size} non-empty tiles`);
+
+  // Write every tile, including empty ones, so stale tiles get replaced
+  let written = 0;
+  for (let z = 0; z <= PRECOMPUTED_MAX_ZOOM; z++) {
+    const n = Math.pow(2, z);
+    for (let x = 0; x < n; x++) {
+      for (let y = 0; y < n; y++) {
+        const spots = tiles.get(`${z}/${x}/${y}`) || [];
+        await bucket.file(tileStoragePath(z, x, y)).save(encodeSpotTile(spots, z, x, y), {
+          metadata: {
+            contentType: "application/vnd.mapbox-vector-tile",
+            cacheControl: "public, max-age=3600",
+          },
+        });
+        written++;
+      }
+    }
+  }
+
+  console.log(`Uploaded ${written} precomputed tiles to Storage`);
+  return written;
+}
+
+module.exports = {
+  PRECOMPUTED_MAX_ZOOM,
+  isValidTile,
+  tileToBounds,
+  encodeSpotTile,
+  getSpotTile,
+  generateLowZoomTiles,
+};
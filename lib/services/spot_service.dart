@@ -342,13 +342,15 @@ class SpotService extends ChangeNotifier {
     }
   }
 
-  // Delete a spot
+  // Delete a spot (moves it to the trash, see the deleteSpot function)
   Future<bool> deleteSpot(String spotId) async {
     try {
       _isLoading = true;
       notifyListeners();
 
-      await _firestore.collection('spots').doc(spotId).delete();
+      final functions = FirebaseFunctions.instanceFor(region: 'europe-west1');
+      final callable = functions.httpsCallable('deleteSpot');
+      await callable.call({'spotId': spotId});
       
       return true;
     } catch (e) {
@@ -739,9 +741,11 @@ class SpotService extends ChangeNotifier {
       int deletedCount = 0;
       int failedCount = 0;
 
+      final functions = FirebaseFunctions.instanceFor(region: 'europe-west1');
+      final callable = functions.httpsCallable('deleteSpot');
       for (final spotId in spotIds) {
         try {
-          await _firestore.collection('spots').doc(spotId).delete();
+          await callable.call({'spotId': spotId});
           deletedCount++;
           debugPrint('✅ Deleted spot: $spotId');
         } catch (e) {
@@ -13,6 +13,11 @@ class SyncSource {
   final List<String>? includeFolders; // Optional list of folders to include
   final bool? recordFolderName; // Whether to store folder name on spots
   final List<String>? allFolders; // List of all folders found during sync (when recordFolderName is true)
+  final Map<String, dynamic>? missingPolicy; // What syncs do with spots removed from the source: {action, afterMisses}
+  final String syncSchedule; // Automatic sync: 'off', 'daily' or 'weekly'
+  final DateTime? nextSyncAt; // When the next automatic sync is due
+  final int syncFailureCount; // Consecutive failed syncs (retries back off)
+  final String? lastSyncError;
   final DateTime? createdAt;
   final DateTime? updatedAt;
   final DateTime? lastSyncAt;
@@ -29,6 +34,11 @@ class SyncSource {
     this.includeFolders,
     this.recordFolderName,
     this.allFolders,
+    this.missingPolicy,
+    this.syncSchedule = 'off',
+    this.nextSyncAt,
+    this.syncFailureCount = 0,
+    this.lastSyncError,
     this.createdAt,
     this.updatedAt,
     this.lastSyncAt,
@@ -51,6 +61,13 @@ class SyncSource {
       allFolders: data['allFolders'] != null
           ? List<String>.from((data['allFolders'] as List).map((e) => e.toString()))
           : null,
+      missingPolicy: data['missingPolicy'] is Map
+          ? Map<String, dynamic>.from(data['missingPolicy'] as Map)
+          : null,
+      syncSchedule: data['syncSchedule'] is String ? data['syncSchedule'] as String : 'off',
+      nextSyncAt: _parseTimestamp(data['nextSyncAt']),
+      syncFailureCount: data['syncFailureCount'] is int ? data['syncFailureCount'] as int : 0,
+      lastSyncError: data['lastSyncError'] is Map ? data['lastSyncError']['message']?.toString() : null,
       createdAt: _parseTimestamp(data['createdAt']),
       updatedAt: _parseTimestamp(data['updatedAt']),
       lastSyncAt: _parseTimestamp(data['lastSyncAt']),
@@ -140,6 +157,8 @@ class SyncSourceService extends ChangeNotifier {
     bool isActive = true,
     List<String>? includeFolders,
     bool? recordFolderName,
+    Map<String, dynamic>? missingPolicy,
+    String? syncSchedule,
   }) async {
     try {
       final callable = _functions.httpsCallable('createSyncSource');
@@ -152,6 +171,8 @@ class SyncSourceService extends ChangeNotifier {
         'isActive': isActive,
         if (includeFolders != null) 'includeFolders': includeFolders,
         if (recordFolderName != null) 'recordFolderName': recordFolderName,
+        if (missingPolicy != null) 'missingPolicy': missingPolicy,
+        if (syncSchedule != null) 'syncSchedule': syncSchedule,
       });
       final success = result.data['success'] == true;
       if (success) {
@@ -176,6 +197,8 @@ class SyncSourceService extends ChangeNotifier {
     bool? isActive,
     List<String>? includeFolders,
     bool? recordFolderName,
+    Map<String, dynamic>? missingPolicy,
+    String? syncSchedule,
   }) async {
     try {
       final callable = _functions.httpsCallable('updateSyncSource');
@@ -188,6 +211,8 @@ class SyncSourceService extends ChangeNotifier {
       if (isActive != null) payload['isActive'] = isActive;
       if (includeFolders != null) payload['includeFolders'] = includeFolders;
       if (recordFolderName != null) payload['recordFolderName'] = recordFolderName;
+      if (missingPolicy != null) payload['missingPolicy'] = missingPolicy;
+      if (syncSchedule != null) payload['syncSchedule'] = syncSchedule;
       final result = await callable.call(payload);
       final success = result.data['success'] == true;
       if (success) {
@@ -221,14 +246,15 @@ class SyncSourceService extends ChangeNotifier {
     }
   }
 
-  Future<Map<String, dynamic>?> syncAllSources() async {
+  // force re-downloads and re-processes sources even if they haven't changed
+  Future<Map<String, dynamic>?> syncAllSources({bool force = false}) async {
     try {
       _isSyncingAll = true;
       _error = null;
       notifyListeners();
 
       final callable = _functions.httpsCallable('syncAllSources');
-      final result = await callable.call();
+      final result = await callable.call({if (force) 'force': true});
       
       _isSyncingAll = false;
       notifyListeners();
@@ -251,14 +277,17 @@ class SyncSourceService extends ChangeNotifier {
     }
   }
 
-  Future<Map<String, dynamic>?> syncSingleSource(String sourceId) async {
+  Future<Map<String, dynamic>?> syncSingleSource(String sourceId, {bool force = false}) async {
     try {
       _syncingSources.add(sourceId);
       _error = null;
       notifyListeners();
 
       final callable = _functions.httpsCallable('syncSingleSource');
-      final result = await callable.call({'sourceId': sourceId});
+      final result = await callable.call({
+        'sourceId': sourceId,
+        if (force) 'force': true,
+      });
       
       _syncingSources.remove(sourceId);
       notifyListeners();
@@ -320,6 +349,33 @@ class SyncSourceService extends ChangeNotifier {
     }
   }
 
+  // Dry run of a sync: what would be created, updated, unchanged or orphaned.
+  // Pass sourceId for a saved source, and/or source settings to preview edits
+  // or a source that doesn't exist yet.
+  Future<Map<String, dynamic>?> previewSyncSource({
+    String? sourceId,
+    Map<String, dynamic>? source,
+  }) async {
+    try {
+      final callable = _functions.httpsCallable('previewSyncSource');
+      final result = await callable.call({
+        if (sourceId != null) 'sourceId': sourceId,
+        if (source != null) 'source': source,
+      });
+      if (result.data['success'] == true) {
+        return Map<String, dynamic>.from(result.data as Map);
+      }
+      _error = 'Preview failed: ${result.data['error'] ?? 'Unknown error'}';
+      notifyListeners();
+      return null;
+    } catch (e) {
+      _error = 'Failed to preview sync: $e';
+      debugPrint(_error);
+      notifyListeners();
+      return null;
+    }
+  }
+
   Future<Map<String, dynamic>?> deleteSpot(String spotId) async {
     try {
       final callable = _functions.httpsCallable('deleteSpot');